@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+const { main } = require('../lib/cli')
+
+const controller = new AbortController()
+// --loop: finish the current pass, then exit.
+process.once('SIGINT', () => controller.abort())
+process.once('SIGTERM', () => controller.abort())
+
+main(process.argv.slice(2), { signal: controller.signal }).then((code) => {
+  process.exitCode = code
+})
@@ -7,14 +7,21 @@ export interface AequorClientHooks {
   onConnect?: (payload: { gen: number }) => void;
 
   /**
-   * Called when a connection attempt fails and is about to be retried.
+   * Called when a connection attempt fails and is about to be retried. With config.hosts,
+   * host is the one tried next (delay 0 while moving through hosts not yet tried in this pass).
    */
-  onReconnect?: (payload: { gen: number; retries: number; delay: number; err: Error }) => void;
+  onReconnect?: (payload: { gen: number; retries: number; delay: number; err: Error; host?: string }) => void;
 
   /**
    * Called when a query fails with a retryable error and is about to be retried.
    */
-  onQueryRetry?: (payload: { retries: number; delay: number; err: Error }) => void;
+  onQueryRetry?: (payload: { queryId: number; retries: number; delay: number; err: Error }) => void;
+
+  /**
+   * Called when client.transaction() is about to re-run its callback
+   * (serialization failure, deadlock or connection loss before COMMIT).
+   */
+  onTransactionRetry?: (payload: { retries: number; delay: number; err: Error }) => void;
 
   /**
    * Called when a heartbeat (lease renewal) succeeds.
@@ -30,36 +37,343 @@ export interface AequorClientHooks {
    * Called when a reaper pass is attempted (best effort).
    * Useful for metrics: how many zombies were killed and how long it took.
    */
-  onReap?: (payload: { gen: number; locked: boolean; killed: number; durationMs: number }) => void;
+  onReap?: (payload: {
+    gen: number;
+    locked: boolean;
+    killed: number;
+    cancelled: number;
+    killedByState: Record<string, number>;
+    cancelledByState: Record<string, number>;
+    /** True when reaperDryRun is set: nothing was terminated. */
+    dryRun: boolean;
+    /** Dry run only: how many sessions would have been terminated. */
+    wouldKill: number;
+    durationMs: number;
+    /** True when forced by a previous 53300 (too many connections) connect failure. */
+    urgent: boolean;
+    /** Backends / non-reserved slots at the time of the pass; null if not sampled. */
+    utilization: number | null;
+    /** Normalized services this pass held the lock for (own service + locked reapServices). */
+    services: string[];
+  }) => void;
+
+  /**
+   * Called once per session a reaper pass cancelled or terminated (forensics).
+   */
+  onReapDetail?: (payload: ReapAuditRecord & { gen: number }) => void;
+
+  /**
+   * Called when a query arrives after more than `thawThresholdMs` without a successful
+   * round trip (typically a container coming back from a freeze).
+   */
+  onThaw?: (payload: { gen: number; frozenMs: number }) => void;
+
+  /**
+   * Called when a snapshot restore is detected (clock discontinuity or handleRestore()).
+   * The instance id was regenerated and the pre-snapshot connection dropped.
+   */
+  onRestore?: (payload: { source: 'clock' | 'hook'; gapMs: number | null }) => void;
+
+  /**
+   * Called after admission control (maxServiceConnections) ran for a new connection.
+   * `live` includes the new connection itself.
+   */
+  onAdmission?: (payload: { gen: number; admitted: boolean; live: number | null; max: number | null; reaped: number }) => void;
+
+  /**
+   * Called once per client with the capability preflight result (probed once per container).
+   */
+  onCapabilities?: (payload: { gen: number; capabilities: AequorCapabilities }) => void;
+
+  /**
+   * Called on connect when the local clock differs from the database clock by more than
+   * clockSkewToleranceMs. offsetMs = database - local.
+   */
+  onClockSkew?: (payload: { gen: number; offsetMs: number; rttMs: number; toleranceMs: number }) => void;
+
+  /**
+   * Called when a coordinationSecret provider delivered a new secret and leases are now signed
+   * with it (keyId: current key of a keyring, null for a plain secret).
+   */
+  onSecretRotated?: (payload: { keyId: string | null }) => void;
+
+  /**
+   * Called when a read replica fails at the connection level; it is skipped for replicaDownCooldownMs.
+   */
+  onReplicaDown?: (payload: { index: number; host?: string; port?: number; err: Error }) => void;
+
+  /**
+   * Called when a read-only query runs on the primary because no replica could serve it.
+   * err: the last replica error, or null when every replica was still cooling down.
+   */
+  onReplicaFallback?: (payload: { err: Error | null }) => void;
 
   /**
    * Called when the underlying pg.Client emits an 'error' event or ends unexpectedly.
    * This is a critical signal that the connection is dead.
    */
-  onClientDead?: (payload: { source: 'error' | 'end'; err?: Error; meta?: { sqlstate?: string; [key: string]: any } }) => void;
+  onClientDead?: (payload: { source: 'error' | 'end' | 'thaw' | 'idle_timeout' | 'read_only'; err?: Error; meta?: { sqlstate?: string; [key: string]: any } }) => void;
 
   /**
    * Called immediately before a user query is executed. Useful for tracing start time.
    */
-  onQueryStart?: (payload: { args: any[]; startedAt: number }) => void;
+  onQueryStart?: (payload: { queryId: number; args: any[]; startedAt: number }) => void;
 
   /**
    * Called immediately after a user query successfully completes.
    */
-  onQueryEnd?: (payload: { args: any[]; res: QueryResult<any>; duration: number }) => void;
+  onQueryEnd?: (payload: { queryId: number; args: any[]; res: QueryResult<any>; duration: number }) => void;
 
   /**
    * Called when a user query fails (before retry logic kicks in).
    */
-  onQueryError?: (payload: { args: any[]; err: Error; duration: number }) => void;
+  onQueryError?: (payload: { queryId: number; args: any[]; err: Error; duration: number }) => void;
 }
 
-export interface AequorClientConfig extends ClientConfig {
+export interface ReaperStateRule {
+  /**
+   * Idle seconds (since state_change) after which pg_cancel_backend is sent.
+   */
+  cancelAfterSec?: number;
+
+  /**
+   * Idle seconds (since state_change) after which pg_terminate_backend is sent.
+   * Default: minConnectionIdleTimeSec.
+   */
+  terminateAfterSec?: number;
+}
+
+export interface ReapAuditRecord {
+  pid: number;
+  action: 'terminate' | 'cancel';
+  service: string | null;
+  instanceId: string | null;
+  state: string | null;
+  /** now - lease expiry (ms, database clock). */
+  leaseExpDeltaMs: number | null;
+  idleSec: number;
+  clientAddr: string | null;
+  usename: string | null;
+  backendStart: Date | string | null;
+  applicationName: string | null;
+  /** What pg_terminate_backend / pg_cancel_backend returned; null if the backend was already gone. */
+  result: boolean | null;
+}
+
+export interface AequorCapabilities {
+  serverVersionNum: number;
+  trackActivities: boolean;
+  /** Role the reaper runs as (reaperConnection user, or the app role). */
+  role: string;
+  superuser: boolean;
+  signalBackend: boolean;
+  readAllStats: boolean;
+  /** Member of the app role: may see and terminate its sessions without extra grants. */
+  memberOfAppRole: boolean;
+  /** Other sessions of the current database whose details are hidden from this role. */
+  hiddenSessions: number;
+  canSeeSessions: boolean;
+  canSignal: boolean;
+  reaperSupported: boolean;
+  /** Why the reaper can't work (empty when reaperSupported). */
+  reaperProblems: string[];
+}
+
+export type LeaseCategory =
+  | 'self'
+  | 'own-active'
+  | 'own-expired'
+  | 'own-expired-too-fresh'
+  | 'foreign-signed'
+  | 'unsigned';
+
+export interface LeaseInspectionEntry {
+  pid: number;
+  /**
+   * - own-expired: reapable now.
+   * - own-expired-too-fresh: expired, but idle below the threshold (or state not reapable).
+   * - foreign-signed: lease-shaped, but wrong secret or another service.
+   */
+  category: LeaseCategory;
+  /** What a reaper pass would do with this backend. */
+  action: 'terminate' | 'cancel' | null;
+  state: string | null;
+  /** Decoded from application_name (untrusted unless own-*). */
+  service: string | null;
+  instanceId: string | null;
+  idleSec: number;
+  /** now - lease expiry: positive => expired that long ago, negative => time left. */
+  leaseExpDeltaMs: number | null;
+  exp: number | null;
+  usename: string | null;
+  clientAddr: string | null;
+  backendStart: Date | null;
+  applicationName: string | null;
+}
+
+export interface CoordinationKeyring {
+  /**
+   * Key id used to sign new leases. Must be a key of `keys`.
+   */
+  current: string;
+
+  /**
+   * Key id (1-4 chars of [A-Za-z0-9_-]) -> secret (at least 16 bytes).
+   * Leases are verified against every key in the ring.
+   */
+  keys: Record<string, string>;
+}
+
+/**
+ * Credentials (and optionally location) for the reaper's short-lived side connection.
+ * host, port, database, ssl and connectionTimeoutMillis default to the app's; user/password do not.
+ */
+export type ReaperConnectionConfig = Omit<ClientConfig, 'application_name'>;
+
+export interface OpenTelemetryOptions {
+  /** Tracer to use. Default: tracerProvider's, else the global one ('pg-aequor'). */
+  tracer?: any;
+  tracerProvider?: any;
+  /** Record the statement text as db.query.text (bound values never are). Default: true. */
+  captureQueryText?: boolean;
+  /** @opentelemetry/api instance (default: require('@opentelemetry/api')). */
+  api?: any;
+}
+
+/** pino-style (fields, message) or winston-style (message, meta) level methods. */
+export interface LoggerLike {
+  debug?(...args: any[]): void;
+  info(...args: any[]): void;
+  warn?(...args: any[]): void;
+  error?(...args: any[]): void;
+}
+
+export type LogEvent =
+  | 'connected'
+  | 'connect_retry'
+  | 'auth_refetch'
+  | 'clock_sync_failed'
+  | 'session_timeouts_failed'
+  | 'session_timeouts_unsupported'
+  | 'preflight_failed'
+  | 'secret_rotated'
+  | 'secret_rotation_failed'
+  | 'query_retry'
+  | 'transaction_retry'
+  | 'rollback_failed'
+  | 'heartbeat_failed'
+  | 'client_dead_swallowed'
+  | 'thaw_detected'
+  | 'restore_detected'
+  | 'reaper_lock_busy'
+  | 'reaper_dry_run'
+  | 'reaper_cancel'
+  | 'reaper_kill'
+  | 'reaper_audit_failed'
+  | 'reaper_failed'
+  | 'reaper_disabled'
+  | 'reaper_pressure_failed'
+  | 'reaper_connection_error'
+  | 'otel_unavailable'
+  | 'query_cancel'
+  | 'query_cancel_failed'
+  | 'query_cancel_unsupported';
+
+export interface RedactOptions {
+  /** Bound query values (values / params fields). Default: true. */
+  values?: boolean;
+  /** Password fields and credentials in connection strings. Default: true. */
+  password?: boolean;
+  /** Lease signatures in application_name (service, instance and expiry stay readable). Default: true. */
+  applicationName?: boolean;
+  /** Statement text (text / query fields). Default: false. */
+  queryText?: boolean;
+  /**
+   * Host addresses: host / address / clientAddr fields, plus the configured hosts and IP
+   * addresses in messages and error messages. Default: false.
+   */
+  host?: boolean;
+}
+
+export interface MetricsOptions {
+  /** CloudWatch namespace for EMF. Default: 'PgAequor'. */
+  namespace?: string;
+  /** EMF dimensions. Default: { ServiceName: serviceName }. */
+  dimensions?: Record<string, string>;
+  /** Query latency histogram buckets, in milliseconds. */
+  buckets?: number[];
+}
+
+export interface MetricsFlushOptions {
+  /** Line sink. Default: process.stdout.write(line + '\n'). */
+  write?: (line: string) => void;
+  timestamp?: number;
+}
+
+/** Counters and a query latency histogram fed by client hook events; share one between clients. */
+export class Metrics {
+  constructor(options?: MetricsOptions);
+  static readonly DEFAULT_NAMESPACE: string;
+  static readonly DEFAULT_BUCKETS_MS: number[];
+  readonly namespace: string;
+  readonly dimensions: Record<string, string>;
+  /** Maps a hook event (onQueryEnd, onReap, ...) onto the registry. */
+  record(event: string, payload: any): void;
+  /** Prometheus text exposition (cumulative). */
+  prometheus(): string;
+  /** CloudWatch EMF JSON lines with the deltas since the previous call. */
+  emf(options?: { timestamp?: number }): string[];
+  /** Writes emf() lines (stdout by default) and returns them. */
+  flush(options?: MetricsFlushOptions): string[];
+}
+
+export type CredentialResult<T> = T | { value: T; expiresAt?: Date | number; ttlMs?: number };
+
+/** Async provider function, or a CredentialProvider to share one cache between clients. */
+export type CredentialSource<T> = (() => Promise<CredentialResult<T>> | CredentialResult<T>) | CredentialProvider<T>;
+
+export class CredentialProvider<T = any> {
+  constructor(fetchFn: () => Promise<CredentialResult<T>> | CredentialResult<T>, options?: { ttlMs?: number; refreshAheadMs?: number; name?: string });
+  readonly name: string;
+  /** Last fetch error (cleared by the next successful fetch). */
+  readonly lastError: Error | null;
+  /** Fresh value; waits for the provider only without an unexpired cached value. */
+  get(): Promise<T>;
+  /** Cached value (possibly stale, null before the first fetch); starts a background refresh when due. */
+  current(): T | null;
+  refresh(): Promise<T>;
+  invalidate(): void;
+}
+
+export interface AequorClientConfig extends Omit<ClientConfig, 'password'> {
   /**
    * Shared coordination secret for signing leases. Required if leaseMode is 'required'.
    * Conceptually distinct from DB password. Must be at least 16 bytes.
+   * Pass a keyring to rotate without downtime, or an async provider (fetched on the first
+   * connect, refreshed in the background; rotations never block a heartbeat).
+   */
+  coordinationSecret?: string | CoordinationKeyring | CredentialSource<string | CoordinationKeyring>;
+
+  /**
+   * Static password, or an async provider (e.g. IAM auth token) resolved per connect,
+   * cached for credentialTtlMs and re-fetched once when a connect fails with 28P01.
+   */
+  password?: string | CredentialSource<string>;
+
+  /**
+   * Cache lifetime of provider results without their own expiresAt / ttlMs. Default: 600000.
+   */
+  credentialTtlMs?: number;
+
+  /**
+   * Refresh providers in the background this long before the cached value expires. Default: 60000.
+   */
+  credentialRefreshAheadMs?: number;
+
+  /**
+   * How long coordination keys rotated out by a provider keep verifying leases. Default: 3600000.
    */
-  coordinationSecret?: string;
+  secretRetentionMs?: number;
 
   /**
    * Logical name of the service using this client. Used for advisory lock namespace.
@@ -104,10 +418,61 @@ export interface AequorClientConfig extends ClientConfig {
   minConnectionIdleTimeSec?: number;
 
   /**
-   * Maximum number of zombie connections to kill in one reaper pass. Default: 1.
+   * Maximum number of zombie connections to kill in one reaper pass. Default: 10.
    */
   maxIdleConnectionsToKill?: number;
 
+  /**
+   * Reapable pg_stat_activity states with per-state idle thresholds (seconds).
+   * A number is terminateAfterSec. With cancelAfterSec, pg_cancel_backend is sent first and
+   * pg_terminate_backend once terminateAfterSec is reached.
+   * Default: { idle: minConnectionIdleTimeSec }.
+   */
+  reaperStates?: Record<string, number | ReaperStateRule | false>;
+
+  /**
+   * Run reaper passes without terminating anything; onReap reports `wouldKill`. Default: false.
+   */
+  reaperDryRun?: boolean;
+
+  /**
+   * Scale reaperRunProbability, reaperCooldownMs and maxIdleConnectionsToKill with server
+   * connection utilization (configured values at <= 20%, most aggressive at >= 80%). Default: true.
+   */
+  reaperAdaptive?: boolean;
+
+  /**
+   * Trust group: sibling service names (as configured on their clients, sharing this
+   * coordinationSecret) whose expired leases this reaper verifies and reaps too.
+   * Each service is locked separately, so no service is reaped by two leaders at once.
+   */
+  reapServices?: string[];
+
+  /**
+   * Insert one audit record per cancelled/terminated session into this table ('table' or
+   * 'schema.table') in the same reaper pass. See ServerReaper.auditTableSql(). Default: off.
+   */
+  reaperAuditTable?: string;
+
+  /**
+   * Run reaper passes on a short-lived side connection with these (privileged) credentials
+   * instead of the app connection. A connect failing with 53300 triggers an emergency reap on it.
+   */
+  reaperConnection?: ReaperConnectionConfig;
+
+  /**
+   * Service-wide connection budget: max live (validly signed, unexpired) leases of this service
+   * in pg_stat_activity. Checked on every new connection. 0 disables. Default: 0.
+   */
+  maxServiceConnections?: number;
+
+  /**
+   * What to do when over budget (after reaping expired leases).
+   * - 'wait': back off with jitter and try again within the connect retry budget (default).
+   * - 'fail': fail fast with ConnectionBudgetExceededError.
+   */
+  connectionBudgetMode?: 'wait' | 'fail';
+
   /**
    * Lease time-to-live in milliseconds. Default: 90000 (90s).
    */
@@ -152,16 +517,133 @@ export interface AequorClientConfig extends ClientConfig {
    */
   defaultQueryTimeoutMs?: number;
 
+  /**
+   * Client-wide default for QueryOptions.idempotent. Default: false
+   * (statements are only retried when the failure happened before they were sent).
+   */
+  defaultIdempotent?: boolean;
+
+  /**
+   * Time (ms) without a successful round trip after which the connection is validated
+   * (or replaced) before the next query. 0 disables. Default: 60000.
+   */
+  thawThresholdMs?: number;
+
+  /**
+   * What to do after a thaw.
+   * - 'validate': cheap `SELECT 1` with `thawValidationTimeoutMs`; reconnect if it fails (default).
+   * - 'reconnect': always reconnect.
+   */
+  thawAction?: 'validate' | 'reconnect';
+
+  /**
+   * Timeout (ms) for the post-thaw validation query. Default: 1000.
+   */
+  thawValidationTimeoutMs?: number;
+
+  /**
+   * Wall-clock jump (ms) ahead of the monotonic clock that is treated as a snapshot restore
+   * (e.g. Lambda SnapStart). 0 disables detection. Default: 5000.
+   */
+  restoreDetectionThresholdMs?: number;
+
+  /**
+   * Measure the offset from the database clock on connect and stamp leases in database time.
+   * Default: true.
+   */
+  clockSync?: boolean;
+
+  /**
+   * Skew (ms) beyond which onClockSkew fires and the startup lease is restamped. Default: 1000.
+   */
+  clockSkewToleranceMs?: number;
+
+  /**
+   * Set idle_in_transaction_session_timeout and (Postgres 14+) idle_session_timeout on each new
+   * connection to leaseTtlMs + sessionTimeoutMarginMs, so the server drops zombies even when no
+   * reaper runs. Cut-offs are reported as onClientDead source 'idle_timeout'. Default: false.
+   */
+  sessionTimeouts?: boolean;
+
+  /**
+   * Added to leaseTtlMs for sessionTimeouts (min 1000). Default: 30000.
+   */
+  sessionTimeoutMarginMs?: number;
+
+  /**
+   * Hosts tried in order on connect ('host', 'host:port' or { host, port }), starting from the
+   * last one that worked. Overrides host/port.
+   */
+  hosts?: Array<string | { host: string; port?: number }>;
+
+  /**
+   * Which node a connect accepts, checked via pg_is_in_recovery() / transaction_read_only.
+   * 'read-write' also treats 25006 (read-only transaction) as a failover signal. Default: 'any'.
+   */
+  targetSessionAttrs?: 'any' | 'read-write' | 'prefer-standby';
+
+  /**
+   * Read replicas for readOnly queries / client.read. Each entry overrides the primary's
+   * connection settings and gets its own client: lease, heartbeat and reaper.
+   */
+  replicas?: Array<Partial<AequorClientConfig>>;
+
+  /**
+   * Replica choice among healthy replicas: 'round-robin' (default), 'random', 'first', or a
+   * function returning the index of one of the given endpoints.
+   */
+  replicaPolicy?: ReplicaPolicy;
+
+  /**
+   * Run readOnly queries on the primary when every replica is down. Default: true.
+   */
+  replicaFallback?: boolean;
+
+  /**
+   * How long a failed replica is skipped. Default: 30000.
+   */
+  replicaDownCooldownMs?: number;
+
+  /**
+   * Retries per replica before failing over to the next one. Default: 1.
+   */
+  replicaRetries?: number;
+
+  /**
+   * OpenTelemetry spans for connect (and each attempt), query attempts, heartbeats and reaper
+   * passes. Needs @opentelemetry/api; without it tracing stays off. Default: off.
+   */
+  openTelemetry?: boolean | OpenTelemetryOptions;
+
+  /**
+   * Built-in metrics: connects, reconnects, query latency, retries by SQLSTATE, heartbeat
+   * failures, reaper runs/kills, client deaths. Read with metrics() (Prometheus) or
+   * flushMetrics() (CloudWatch EMF). Pass a Metrics instance to share it. Default: off.
+   */
+  metrics?: boolean | MetricsOptions | Metrics;
+
   /**
    * Observability hooks.
    */
   hooks?: AequorClientHooks;
 
   /**
-   * Debug logging (console.log). Default: false.
+   * Debug logging (console.log) when no logger is set. Default: false.
    */
   debug?: boolean;
 
+  /**
+   * Structured logger (pino, winston, or anything with debug/info/warn/error methods).
+   * Receives stable event names (connect_retry, heartbeat_failed, reaper_kill, ...) as `event`.
+   */
+  logger?: LoggerLike | ((message: string) => void);
+
+  /**
+   * What to redact from log fields and messages. Default: values, password and applicationName.
+   * false disables redaction.
+   */
+  redact?: boolean | RedactOptions;
+
   /**
    * Underlying pg driver instance (e.g. for X-Ray capture).
    */
@@ -172,6 +654,119 @@ export interface AequorClientConfig extends ClientConfig {
   applicationName?: string;
 }
 
+export type ReplicaPolicy =
+  | 'round-robin'
+  | 'random'
+  | 'first'
+  | ((endpoints: Array<{ index: number; host?: string; port?: number }>) => number);
+
+export interface QueryOptions {
+  /**
+   * Whether the statement is safe to run twice. Non-idempotent statements are only retried
+   * when the failure provably happened before they were sent; otherwise AmbiguousWriteError
+   * is thrown. Default: config.defaultIdempotent.
+   */
+  idempotent?: boolean;
+
+  /**
+   * Route to a read replica (config.replicas). Implies idempotent unless set. Default: false.
+   */
+  readOnly?: boolean;
+
+  /**
+   * Per-call override of config.retries.
+   */
+  retries?: number;
+
+  /**
+   * Per-call override of config.maxQueryRetryTimeMs.
+   */
+  maxRetryTimeMs?: number;
+
+  /**
+   * Cancels the statement on the server when aborted; the query rejects with AbortError
+   * and is never retried. Only pg (8.11+) statements in the (text, values) / (config) forms
+   * are cancelled; otherwise the call stops waiting and the statement keeps running.
+   */
+  signal?: AbortSignal;
+}
+
+export interface TransactionOptions {
+  /**
+   * Isolation level for BEGIN. Default: server default (usually 'read committed').
+   */
+  isolationLevel?: 'serializable' | 'repeatable read' | 'read committed' | 'read uncommitted';
+
+  /**
+   * BEGIN ... READ ONLY (true) / READ WRITE (false).
+   */
+  readOnly?: boolean;
+
+  /**
+   * BEGIN ... DEFERRABLE (only meaningful for serializable read-only transactions).
+   */
+  deferrable?: boolean;
+
+  /**
+   * How many times the whole callback may be re-run. Default: config.retries.
+   */
+  retries?: number;
+}
+
+export interface TransactionScope {
+  /**
+   * Runs a statement inside the transaction. Throws TransactionAbortedError if the
+   * connection was replaced since BEGIN.
+   */
+  query<R extends QueryResultRow = any, I extends any[] = any[]>(
+    queryTextOrConfig: string | import('pg').QueryConfig<I>,
+    values?: I
+  ): Promise<QueryResult<R>>;
+}
+
+/**
+ * The connection was replaced while a transaction was running (code 'ETXABORTED').
+ */
+export class TransactionAbortedError extends Error {
+  readonly code: 'ETXABORTED';
+}
+
+/**
+ * The connection dropped after a statement (or COMMIT) was sent: it may or may not have been
+ * applied (code 'EAMBIGUOUS'). `cause` holds the original connection error.
+ */
+export class AmbiguousWriteError extends Error {
+  readonly code: 'EAMBIGUOUS';
+  readonly cause: Error;
+}
+
+/**
+ * Admission control refused a new connection (code 'EBUDGET').
+ */
+export class ConnectionBudgetExceededError extends Error {
+  readonly code: 'EBUDGET';
+  /** Live leases counted (incl. the refused connection); null if the budget lock timed out. */
+  readonly live: number | null;
+  readonly max: number | null;
+}
+
+export class TargetSessionAttrsError extends Error {
+  readonly code: 'ETARGETSESSION';
+  /** 'host' or 'host:port' (config.hosts only). */
+  readonly host?: string;
+  readonly inRecovery: boolean;
+  readonly readOnly: boolean;
+}
+
+export class AbortError extends Error {
+  readonly name: 'AbortError';
+  readonly code: 'ABORT_ERR';
+  /** signal.reason */
+  readonly reason: any;
+  /** The server's 57014 (cancel landed), or the connection error; absent if no cancel was sent. */
+  readonly cause?: Error;
+}
+
 export class AequorClient {
   constructor(config: AequorClientConfig);
 
@@ -184,10 +779,73 @@ export class AequorClient {
    * Executes a query with automatic retry and lease management.
    */
   query<R extends QueryResultRow = any, I extends any[] = any[]>(
-    queryTextOrConfig: string | import('pg').QueryConfig<I>,
-    values?: I
+    queryText: string,
+    values?: I,
+    options?: QueryOptions
+  ): Promise<QueryResult<R>>;
+  query<R extends QueryResultRow = any, I extends any[] = any[]>(
+    queryConfig: import('pg').QueryConfig<I>,
+    options?: QueryOptions
   ): Promise<QueryResult<R>>;
 
+  /**
+   * Read-only view: read.query(...) is query(..., { readOnly: true }).
+   */
+  readonly read: {
+    query<R extends QueryResultRow = any, I extends any[] = any[]>(
+      queryText: string,
+      values?: I,
+      options?: QueryOptions
+    ): Promise<QueryResult<R>>;
+    query<R extends QueryResultRow = any, I extends any[] = any[]>(
+      queryConfig: import('pg').QueryConfig<I>,
+      options?: QueryOptions
+    ): Promise<QueryResult<R>>;
+  };
+
+  /**
+   * Read-only: classifies every backend of the current database in pg_stat_activity.
+   * Requires a coordinationSecret.
+   */
+  inspectLeases(): Promise<LeaseInspectionEntry[]>;
+
+  /**
+   * Capability preflight: server version, track_activities, role memberships and
+   * pg_stat_activity visibility. Probed once per container.
+   */
+  getCapabilities(): Promise<AequorCapabilities>;
+
+  /**
+   * Renews the lease if it is due and waits for the write (no-op while not connected).
+   * For connections that sit idle; a connection in use renews it on its own queries.
+   */
+  renewLease(): Promise<void>;
+
+  /**
+   * Runs a scheduled reaper pass (cooldown and run probability apply) if the reaper is on
+   * and the client is connected. For connections that sit idle.
+   */
+  reapIfDue(): Promise<void>;
+
+  /**
+   * Turns the reaper on or off after construction. Needs a coordinationSecret; a reaper the
+   * capability preflight turned off stays off. Returns whether the reaper is on now.
+   */
+  setReaperEnabled(enabled: boolean): boolean;
+
+  /**
+   * Runs fn(tx) inside BEGIN/COMMIT, re-running the whole callback on serialization
+   * failures, deadlocks and connection loss before COMMIT. Connection loss while COMMIT
+   * is in flight is never retried.
+   */
+  transaction<T>(fn: (tx: TransactionScope) => Promise<T>, options?: TransactionOptions): Promise<T>;
+
+  /**
+   * Call from a runtime restore hook (e.g. SnapStart afterRestore). Regenerates the instance id
+   * and drops the pre-snapshot connection without waiting on it; the next query re-leases.
+   */
+  handleRestore(): void;
+
   /**
    * Gracefully closes the connection.
    */
@@ -203,4 +861,227 @@ export class AequorClient {
    * Use with caution.
    */
   getClient(): Client | null;
+
+  /**
+   * Prometheus text exposition of config.metrics ('' when off).
+   */
+  metrics(): string;
+
+  /**
+   * Writes the metrics recorded since the last flush as CloudWatch EMF lines. Call once per invocation.
+   */
+  flushMetrics(options?: MetricsFlushOptions): string[];
+}
+
+export interface AequorPoolConfig extends AequorClientConfig {
+  /**
+   * Members kept connected even when idle. Default: 0.
+   */
+  min?: number;
+
+  /**
+   * Maximum number of members (connections) in this pool. Default: 10.
+   */
+  max?: number;
+
+  /**
+   * Idle time (ms) after which members above `min` are closed. 0 disables eviction. Default: 10000.
+   */
+  idleTimeoutMs?: number;
+
+  /**
+   * Max time (ms) acquire() waits for a free member before failing with code 'EACQUIRETIMEOUT'.
+   * 0 waits forever. Default: 10000.
+   */
+  acquireTimeoutMs?: number;
+
+  /**
+   * How often (ms) idle members renew leases that are due and the reaper owner, when idle,
+   * gets a reaper pass (its cooldown applies). 0 disables: idle leases then expire. Default: 10000.
+   */
+  maintenanceIntervalMs?: number;
+}
+
+export interface AequorPoolClient extends AequorClient {
+  /**
+   * Returns the member to the pool. Passing an error destroys the member instead.
+   */
+  release(err?: Error | boolean): void;
+}
+
+export class AequorPool {
+  constructor(config: AequorPoolConfig);
+
+  /** Number of members, including ones still connecting. */
+  readonly totalCount: number;
+
+  /** Number of idle members. */
+  readonly idleCount: number;
+
+  /** Number of callers waiting in acquire(). */
+  readonly waitingCount: number;
+
+  /**
+   * Warms the pool up to `min` connected members.
+   */
+  connect(): Promise<void>;
+
+  /**
+   * Checks out a connected member. Each member carries its own lease and heartbeat.
+   */
+  acquire(): Promise<AequorPoolClient>;
+
+  /**
+   * Runs a single query on a checked-out member and releases it.
+   */
+  query<R extends QueryResultRow = any, I extends any[] = any[]>(
+    queryText: string,
+    values?: I,
+    options?: QueryOptions
+  ): Promise<QueryResult<R>>;
+  query<R extends QueryResultRow = any, I extends any[] = any[]>(
+    queryConfig: import('pg').QueryConfig<I>,
+    options?: QueryOptions
+  ): Promise<QueryResult<R>>;
+
+  /**
+   * Runs client.transaction(fn, options) on a checked-out member and releases it.
+   */
+  transaction<T>(fn: (tx: TransactionScope) => Promise<T>, options?: TransactionOptions): Promise<T>;
+
+  /**
+   * Prometheus text exposition of all members' metrics ('' when off).
+   */
+  metrics(): string;
+
+  /**
+   * Writes the members' metrics recorded since the last flush as CloudWatch EMF lines.
+   */
+  flushMetrics(options?: MetricsFlushOptions): string[];
+
+  /**
+   * Closes idle members and rejects waiters. Checked-out members are closed on release.
+   */
+  end(): Promise<void>;
+}
+
+export interface RunReaperOptions {
+  serviceName: string;
+  /** Secret or keyring, same as AequorClientConfig.coordinationSecret. */
+  coordinationSecret: string | CoordinationKeyring;
+  /** pg.Client config for the reaper's own connection. PG* env vars apply. */
+  connection?: ClientConfig;
+  /** Default: 180. */
+  minConnectionIdleTimeSec?: number;
+  /** Default: 10. */
+  maxIdleConnectionsToKill?: number;
+  reaperStates?: Record<string, number | ReaperStateRule | false>;
+  /** Trust group siblings sharing the coordination secret. */
+  reapServices?: string[];
+  dryRun?: boolean;
+  /** Keep running passes (until `iterations` or `signal`). Default: false (one pass). */
+  loop?: boolean;
+  /** Pause between passes. Default: 60000. */
+  intervalMs?: number;
+  /** Max passes; implies loop. */
+  iterations?: number;
+  /** Stops the loop between passes. */
+  signal?: AbortSignal;
+  /** Called with each pass report. */
+  onRun?: (run: ReaperRunReport) => void;
+  logger?: LoggerLike | ((message: string) => void);
+  library?: any;
+}
+
+export interface ReaperReportEntry {
+  pid: number;
+  category: LeaseCategory;
+  action: 'terminate' | 'cancel' | null;
+  state: string | null;
+  service: string | null;
+  instanceId: string | null;
+  idleSec: number;
+  leaseExpDeltaMs: number | null;
+  usename: string | null;
+  clientAddr: string | null;
+  applicationName: string | null;
+  backendStart: Date | string | null;
+  /** Signalled sessions only: what the signal function returned (null: already gone). */
+  result: boolean | null;
+}
+
+export interface ReaperRunReport {
+  /** ISO timestamp. */
+  startedAt: string;
+  durationMs: number;
+  /** False: another reaper held the lock, nothing was done. */
+  locked: boolean;
+  inspected: ReaperReportEntry[];
+  killed: ReaperReportEntry[];
+  cancelled: ReaperReportEntry[];
+  /** Dry run only. */
+  wouldKill: ReaperReportEntry[];
+  error: { message: string; code: string | null } | null;
+}
+
+/**
+ * Standalone reaper (same logic as the `aequor-reaper` bin).
+ * exitCode: 0 nothing killed, 1 error, 3 killed >= 1, 4 lock busy on every pass.
+ */
+export function runReaper(options: RunReaperOptions): Promise<{
+  service: string;
+  dryRun: boolean;
+  runs: ReaperRunReport[];
+  exitCode: 0 | 1 | 3 | 4;
+}>;
+
+export interface ServerReaperSqlOptions {
+  /** Default: 'public'. */
+  schema?: string;
+  /** Default: 'aequor_secrets'. */
+  secretsTable?: string;
+  /** Schema pgcrypto is (or gets) installed in; installSql only. Default: 'public'. */
+  pgcryptoSchema?: string;
+}
+
+export interface CronScheduleOptions {
+  /** As configured on the clients; normalized like LeaseManager does. */
+  serviceName: string;
+  /** Row ref in the secrets table. Default: serviceName. */
+  secretRef?: string;
+  /** Cron expression. Default: '* * * * *'. */
+  schedule?: string;
+  /** Default: 'aequor-reap-<service>'. */
+  jobName?: string;
+  /**
+   * Same shape as reaperStates. Default: { idle: minConnectionIdleTimeSec }.
+   * The server side only terminates; cancelAfterSec is not used.
+   */
+  states?: Record<string, number | ReaperStateRule | false>;
+  minConnectionIdleTimeSec?: number;
+  maxIdleConnectionsToKill?: number;
+  dryRun?: boolean;
+  schema?: string;
+}
+
+/**
+ * Server-side reaper: SQL (pgcrypto + PL/pgSQL) that verifies leases and terminates
+ * zombies inside Postgres, scheduled with pg_cron.
+ */
+export class ServerReaper {
+  /** Migration installing pgcrypto, the secrets table, aequor_sign() and aequor_reap(). */
+  static installSql(options?: ServerReaperSqlOptions): string;
+  /** DDL for the reaperAuditTable (default 'public.aequor_reap_audit'). */
+  static auditTableSql(options?: { table?: string }): string;
+  /** `SELECT cron.schedule(...)` running aequor_reap() for one service. */
+  static cronScheduleSql(options: CronScheduleOptions): string;
+  /** Mirrors a secret or keyring into the secrets table (parameterized). */
+  static storeSecrets(client: Client, secretRef: string, secret: string | CoordinationKeyring, options?: ServerReaperSqlOptions): Promise<void>;
+  /** Compares aequor_sign() against the JS signature for a few sample leases. */
+  static verifySignatureCompatibility(client: Client, options?: { schema?: string }): Promise<{
+    ok: boolean;
+    samples: Array<{ base: string; js: string; sql: string }>;
+  }>;
+  /** The service name as it appears in leases. */
+  static normalizeServiceName(serviceName: string): string;
 }
@@ -1,7 +1,22 @@
 const AequorClient = require('./lib/client')
+const AequorPool = require('./lib/pool')
+const { runReaper } = require('./lib/cli')
+const ServerReaper = require('./lib/server-reaper')
+const CredentialProvider = require('./lib/credentials')
+const Metrics = require('./lib/metrics')
+const { TransactionAbortedError, AmbiguousWriteError, ConnectionBudgetExceededError, TargetSessionAttrsError, AbortError } = require('./lib/errors')
 
 // Canonical export.
 module.exports = {
   AequorClient,
+  AequorPool,
+  runReaper,
+  ServerReaper,
+  CredentialProvider,
+  Metrics,
+  TransactionAbortedError,
+  AmbiguousWriteError,
+  ConnectionBudgetExceededError,
+  TargetSessionAttrsError,
+  AbortError,
 }
-
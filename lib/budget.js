@@ -0,0 +1,71 @@
+const Reaper = require('./reaper')
+const { ConnectionBudgetExceededError } = require('./errors')
+
+/**
+ * Connection Budget
+ * Admission control before a new connection is handed out: counts live (validly signed,
+ * unexpired) leases of this service in pg_stat_activity. Counting runs under a transaction-level
+ * advisory lock in Reaper.LOCK_NS, so concurrent connectors are admitted one at a time.
+ */
+class ConnectionBudget {
+  static LOCK_TIMEOUT_MS = 5000
+
+  /**
+   * Admits the freshly connected client or throws ConnectionBudgetExceededError.
+   * The client is already connected with its lease, so it counts itself.
+   * @param {Object} client - The connected pg.Client (not yet handed out)
+   * @param {LeaseManager} leaseManager
+   * @param {Object} options - { max, reap }: reap() runs the client's reaper and resolves to
+   *   its result (null when the reaper is off)
+   * @returns {Promise<{ live: number, max: number, reaped: number }>}
+   */
+  static async admit(client, leaseManager, { max, reap }) {
+    let live = await ConnectionBudget._countLive(client, leaseManager)
+    let reaped = 0
+    if (live > max && reap) {
+      // Over budget: clean up expired leases first, then look again.
+      const result = await reap()
+      reaped = Number((result && result.killed) || 0)
+      live = await ConnectionBudget._countLive(client, leaseManager)
+    }
+    if (live > max) {
+      throw new ConnectionBudgetExceededError(
+        `Service connection budget exceeded: ${live} live leases for ${leaseManager.serviceName} (max ${max})`,
+        { live, max }
+      )
+    }
+    return { live, max, reaped }
+  }
+
+  static async _countLive(client, leaseManager) {
+    await client.query('BEGIN')
+    try {
+      await client.query(`SELECT set_config('lock_timeout', $1, true)`, [`${ConnectionBudget.LOCK_TIMEOUT_MS}ms`])
+      // ';' never appears in a normalized service name, so this can't collide with the reaper's key.
+      await client.query(
+        `SELECT pg_advisory_xact_lock($1::int, hashtext($2))`,
+        [Reaper.LOCK_NS, `${leaseManager.serviceName};budget`]
+      )
+      const rows = await Reaper.scan(client, { prefix: `s=${leaseManager.serviceName};` })
+      let live = 1 // self
+      for (const row of rows) {
+        const lease = leaseManager.parseAndVerify(row.application_name, Reaper.rowNow(row))
+        if (lease && lease.svc === leaseManager.serviceName && !lease.isExpired) live++
+      }
+      await client.query('COMMIT')
+      return live
+    } catch (err) {
+      try { await client.query('ROLLBACK') } catch (_) {}
+      // Admission lock contended for too long: same as "no room right now".
+      if (err && err.code === '55P03') {
+        throw new ConnectionBudgetExceededError(
+          `Timed out waiting for the connection budget lock of ${leaseManager.serviceName}`,
+          { live: null, max: null, cause: err }
+        )
+      }
+      throw err
+    }
+  }
+}
+
+module.exports = ConnectionBudget
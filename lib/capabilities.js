@@ -0,0 +1,99 @@
+/**
+ * Capability Preflight
+ * One query that tells whether the reaper can do its job with the role it runs as:
+ * server version, track_activities, role memberships and pg_stat_activity visibility.
+ * Results are cached per container (module scope) and per target, so only the first
+ * connection of a cold start pays for it.
+ */
+class Capabilities {
+  // backend_type and the pg_signal_backend / pg_read_all_stats roles exist since Postgres 10.
+  static MIN_SERVER_VERSION_NUM = 100000
+
+  static _cache = new Map() // key -> Promise<capabilities>
+
+  /**
+   * Probes once per key; concurrent callers share the same probe. Failures are not cached.
+   * @param {string} key - Identifies the target (host/port/database/role)
+   * @param {Function} probeFn - async () => capabilities
+   * @returns {Promise<{ capabilities: Object, fresh: boolean }>} fresh: this call ran the probe
+   */
+  static async cached(key, probeFn) {
+    const hit = Capabilities._cache.get(key)
+    if (hit) return { capabilities: await hit, fresh: false }
+    const promise = probeFn()
+    Capabilities._cache.set(key, promise)
+    try {
+      return { capabilities: await promise, fresh: true }
+    } catch (err) {
+      Capabilities._cache.delete(key)
+      throw err
+    }
+  }
+
+  static clearCache() {
+    Capabilities._cache.clear()
+  }
+
+  /**
+   * Reads the capabilities of the role `client` is connected as.
+   * @param {Object} client - Connected pg.Client
+   * @param {Object} [options] - { appRole }: role of the app connections the reaper has to act on.
+   *   Defaults to the probed role itself (reaper on the app connection).
+   * @returns {Promise<Object>}
+   */
+  static async probe(client, { appRole } = {}) {
+    const res = await client.query(`
+      SELECT current_setting('server_version_num')::int AS server_version_num,
+             current_setting('track_activities') AS track_activities,
+             current_user AS role,
+             (SELECT rolsuper FROM pg_roles WHERE rolname = current_user) AS superuser,
+             CASE WHEN to_regrole('pg_signal_backend') IS NULL THEN false
+                  ELSE pg_has_role(current_user, 'pg_signal_backend', 'MEMBER') END AS signal_backend,
+             CASE WHEN to_regrole('pg_read_all_stats') IS NULL THEN false
+                  ELSE pg_has_role(current_user, 'pg_read_all_stats', 'MEMBER') END AS read_all_stats,
+             CASE WHEN to_regrole(COALESCE($1, current_user)) IS NULL THEN false
+                  ELSE pg_has_role(current_user, COALESCE($1, current_user), 'MEMBER') END AS member_of_app_role,
+             (SELECT count(*) FROM pg_stat_activity
+               WHERE datname = current_database() AND pid <> pg_backend_pid() AND state IS NULL)::int AS hidden_sessions
+    `, [appRole || null])
+    const row = res.rows[0]
+    const caps = {
+      serverVersionNum: Number(row.server_version_num),
+      trackActivities: row.track_activities === 'on',
+      role: row.role,
+      superuser: row.superuser === true,
+      signalBackend: row.signal_backend === true,
+      readAllStats: row.read_all_stats === true,
+      memberOfAppRole: row.member_of_app_role === true,
+      // Sessions of other roles whose details we can't see (state/application_name hidden).
+      hiddenSessions: Number(row.hidden_sessions) || 0,
+    }
+    caps.canSeeSessions = caps.superuser || caps.readAllStats || caps.memberOfAppRole
+    caps.canSignal = caps.superuser || caps.signalBackend || caps.memberOfAppRole
+    caps.reaperProblems = Capabilities.reaperProblems(caps)
+    caps.reaperSupported = caps.reaperProblems.length === 0
+    return caps
+  }
+
+  /**
+   * @returns {string[]} Human-readable reasons the reaper can't work; empty if it can.
+   */
+  static reaperProblems(caps) {
+    const problems = []
+    if (!(caps.serverVersionNum >= Capabilities.MIN_SERVER_VERSION_NUM)) {
+      problems.push(`server_version_num ${caps.serverVersionNum} is below ${Capabilities.MIN_SERVER_VERSION_NUM} (Postgres 10 required)`)
+    }
+    if (!caps.trackActivities) {
+      problems.push('track_activities is off: pg_stat_activity has no session state')
+    }
+    if (!caps.canSeeSessions) {
+      problems.push(`role ${caps.role} can't see the app role's sessions in pg_stat_activity (grant pg_read_all_stats)`)
+    }
+    if (!caps.canSignal) {
+      problems.push(`role ${caps.role} can't terminate the app role's sessions (grant pg_signal_backend)`)
+    }
+    return problems
+  }
+}
+
+module.exports = Capabilities
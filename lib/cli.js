@@ -0,0 +1,312 @@
+const crypto = require('crypto')
+const util = require('util')
+const LeaseManager = require('./lease')
+const Reaper = require('./reaper')
+const Logger = require('./logger')
+
+/**
+ * Standalone Reaper
+ * Runs reaper passes outside the request path (cron, scheduled Lambda, Kubernetes CronJob).
+ * `runReaper()` is the programmatic entry point; `main()` backs the `aequor-reaper` bin.
+ *
+ * Exit codes: 0 nothing killed, 1 error, 2 usage, 3 killed >= 1 session, 4 lock busy.
+ */
+const EXIT = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  KILLED: 3,
+  LOCK_BUSY: 4,
+}
+
+// The CLI's own session carries a lease of the service it reaps, so other reapers leave it alone.
+const SESSION_LEASE_MS = 5 * 60 * 1000
+
+const USAGE = `Usage: aequor-reaper --service <name> [options]
+
+Options:
+  --service <name>         Service whose expired leases are reaped (required)
+  --secret-env <VAR>       Env var holding the coordination secret (default: COORD_SECRET)
+  --url-env <VAR>          Env var holding a connection string (default: DATABASE_URL, else PG* vars)
+  --min-idle-sec <n>       Idle seconds before an expired lease is reaped (default: 180)
+  --max-kill <n>           Max sessions terminated per pass (default: 10)
+  --states <json>          Reapable states, e.g. '{"idle":180,"idle in transaction":300}'
+  --reap-services <a,b>    Sibling services (same secret) to reap as well
+  --dry-run                Report what would be killed without terminating anything
+  --loop                   Keep running passes until SIGINT/SIGTERM
+  --interval-ms <n>        Pause between passes with --loop (default: 60000)
+  --iterations <n>         Stop after n passes (implies --loop)
+  --json                   Print one JSON report per pass (NDJSON)
+  --debug                  Log reaper decisions to stderr
+  -h, --help               Show this help
+
+Exit codes: 0 nothing killed, 1 error, 2 usage, 3 killed >= 1, 4 lock busy`
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'UsageError'
+    this.code = 'EUSAGE'
+  }
+}
+
+/**
+ * Runs one reaper pass, or several with `loop`.
+ * @param {Object} options
+ * @param {string} options.serviceName
+ * @param {string|Object} options.coordinationSecret - Secret or keyring (see LeaseManager)
+ * @param {Object} [options.connection] - pg.Client config (credentials, host, ...). PG* env vars apply.
+ * @param {number} [options.minConnectionIdleTimeSec=180]
+ * @param {number} [options.maxIdleConnectionsToKill=10]
+ * @param {Object} [options.reaperStates]
+ * @param {string[]} [options.reapServices] - Trust group siblings sharing the secret
+ * @param {boolean} [options.dryRun=false]
+ * @param {boolean} [options.loop=false]
+ * @param {number} [options.intervalMs=60000]
+ * @param {number} [options.iterations] - Max passes with loop (default: until aborted)
+ * @param {AbortSignal} [options.signal] - Stops the loop between passes
+ * @param {Function} [options.onRun] - Called with each pass report
+ * @param {Function|Object} [options.logger] - (message) => void, or a pino/winston-compatible logger
+ * @param {Object} [options.library] - pg-compatible library (default: require('pg'))
+ * @returns {Promise<{ service: string, dryRun: boolean, runs: Object[], exitCode: number }>}
+ */
+async function runReaper(options = {}) {
+  if (!options.serviceName) throw new UsageError('serviceName is required')
+  if (!options.coordinationSecret) throw new UsageError('coordinationSecret is required')
+
+  const leaseManager = new LeaseManager(options.serviceName, crypto.randomBytes(6).toString('base64url'), options.coordinationSecret)
+  const strategy = {
+    minConnIdleTimeSec: options.minConnectionIdleTimeSec || 180,
+    maxIdleConnectionsToKill: options.maxIdleConnectionsToKill || 10,
+    reapStates: options.reaperStates,
+    reapServices: options.reapServices,
+    dryRun: options.dryRun === true,
+    reaperErrorMode: 'throw',
+  }
+  const loop = options.loop === true || options.iterations > 0
+  const maxRuns = loop ? (options.iterations > 0 ? options.iterations : Infinity) : 1
+  const intervalMs = options.intervalMs ?? 60000
+  const logger = Logger.from(options.logger)
+  const library = options.library || require('pg')
+
+  const runs = []
+  while (runs.length < maxRuns && !(options.signal && options.signal.aborted)) {
+    if (runs.length > 0) await sleep(intervalMs, options.signal)
+    if (options.signal && options.signal.aborted) break
+    const run = await reapOnce(library, options.connection, leaseManager, strategy, logger)
+    runs.push(run)
+    if (typeof options.onRun === 'function') options.onRun(run)
+  }
+
+  return { service: leaseManager.serviceName, dryRun: strategy.dryRun, runs, exitCode: exitCodeFor(runs) }
+}
+
+async function reapOnce(library, connection, leaseManager, strategy, logger) {
+  const startedAt = Date.now()
+  const run = {
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: 0,
+    locked: false,
+    inspected: [],
+    killed: [],
+    cancelled: [],
+    wouldKill: [],
+    error: null,
+  }
+  const client = new library.Client({
+    ...connection,
+    application_name: leaseManager.generateAppName(Date.now() + SESSION_LEASE_MS),
+  })
+  // Crash Safety: a dropped socket is reported by the failing query, not as an uncaught error.
+  client.on('error', (err) => logger.warn('reaper_connection_error', `aequor-reaper: connection error: ${err.message}`, { err }))
+  try {
+    await client.connect()
+    run.inspected = (await Reaper.inspect(client, leaseManager, strategy)).map(toReportEntry)
+    const result = await Reaper.reap(client, {}, leaseManager, strategy, logger)
+    run.locked = !!result.locked
+    run.killed = (result.killedSessions || []).map(toReportEntry)
+    run.cancelled = (result.cancelledSessions || []).map(toReportEntry)
+    run.wouldKill = (result.wouldKill || []).map(toReportEntry)
+  } catch (err) {
+    run.error = { message: err.message, code: err.code || null }
+  } finally {
+    try { await client.end() } catch (_) {}
+  }
+  run.durationMs = Date.now() - startedAt
+  return run
+}
+
+// Error wins over killed, killed over lock busy (only when no pass got the lock).
+function exitCodeFor(runs) {
+  if (runs.some(r => r.error)) return EXIT.ERROR
+  if (runs.some(r => r.killed.length > 0)) return EXIT.KILLED
+  if (runs.length > 0 && runs.every(r => !r.locked)) return EXIT.LOCK_BUSY
+  return EXIT.OK
+}
+
+function toReportEntry(e) {
+  return {
+    pid: e.pid,
+    category: e.category,
+    action: e.action,
+    state: e.state,
+    service: e.service,
+    instanceId: e.instanceId,
+    idleSec: Math.round(e.idleSec),
+    leaseExpDeltaMs: e.leaseExpDeltaMs,
+    usename: e.usename,
+    clientAddr: e.clientAddr,
+    applicationName: e.applicationName,
+    backendStart: e.backendStart ?? null,
+    // Signalled sessions only: what pg_terminate_backend / pg_cancel_backend returned.
+    result: e.result ?? null,
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms)
+    function done() {
+      clearTimeout(timer)
+      if (signal) signal.removeEventListener('abort', done)
+      resolve()
+    }
+    if (signal) signal.addEventListener('abort', done, { once: true })
+  })
+}
+
+/**
+ * Parses argv (without node and script) into runReaper options.
+ * @returns {Object} options plus { json, help }
+ */
+function parseArgs(argv, env = process.env) {
+  let parsed
+  try {
+    parsed = util.parseArgs({
+      args: argv,
+      options: {
+        service: { type: 'string' },
+        'secret-env': { type: 'string', default: 'COORD_SECRET' },
+        'url-env': { type: 'string' },
+        'min-idle-sec': { type: 'string' },
+        'max-kill': { type: 'string' },
+        states: { type: 'string' },
+        'reap-services': { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        loop: { type: 'boolean', default: false },
+        'interval-ms': { type: 'string' },
+        iterations: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        debug: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }).values
+  } catch (err) {
+    throw new UsageError(err.message)
+  }
+  if (parsed.help) return { help: true }
+
+  if (!parsed.service) throw new UsageError('--service is required')
+  const secretEnv = parsed['secret-env']
+  if (!env[secretEnv]) throw new UsageError(`Environment variable ${secretEnv} (coordination secret) is not set`)
+
+  const urlEnv = parsed['url-env'] || 'DATABASE_URL'
+  if (parsed['url-env'] && !env[urlEnv]) throw new UsageError(`Environment variable ${urlEnv} (connection string) is not set`)
+  const connection = env[urlEnv] ? { connectionString: env[urlEnv] } : {}
+
+  let reaperStates
+  if (parsed.states) {
+    try {
+      reaperStates = JSON.parse(parsed.states)
+    } catch (err) {
+      throw new UsageError(`--states is not valid JSON: ${err.message}`)
+    }
+  }
+
+  return {
+    serviceName: parsed.service,
+    coordinationSecret: env[secretEnv],
+    connection,
+    minConnectionIdleTimeSec: positiveInt(parsed['min-idle-sec'], '--min-idle-sec'),
+    maxIdleConnectionsToKill: positiveInt(parsed['max-kill'], '--max-kill'),
+    reaperStates,
+    reapServices: parsed['reap-services'] ? parsed['reap-services'].split(',').map(x => x.trim()).filter(Boolean) : undefined,
+    dryRun: parsed['dry-run'],
+    loop: parsed.loop,
+    intervalMs: positiveInt(parsed['interval-ms'], '--interval-ms'),
+    iterations: positiveInt(parsed.iterations, '--iterations'),
+    json: parsed.json,
+    debug: parsed.debug,
+  }
+}
+
+function positiveInt(value, flag) {
+  if (value === undefined) return undefined
+  const n = Number(value)
+  if (!Number.isInteger(n) || n <= 0) throw new UsageError(`${flag} must be a positive integer`)
+  return n
+}
+
+function formatRun(run, dryRun) {
+  if (run.error) return `error: ${run.error.message}`
+  if (!run.locked) return 'lock busy (another reaper is running), skipped'
+  const list = (entries) => entries.map(e => `${e.pid}(${e.state}, idle ${e.idleSec}s)`).join(', ')
+  if (dryRun) return `dry run: inspected ${run.inspected.length}, would kill ${run.wouldKill.length}${run.wouldKill.length ? `: ${list(run.wouldKill)}` : ''}`
+  return `inspected ${run.inspected.length}, cancelled ${run.cancelled.length}, killed ${run.killed.length}${run.killed.length ? `: ${list(run.killed)}` : ''}`
+}
+
+/**
+ * bin entry point. Resolves with the exit code; never throws.
+ * @param {string[]} argv
+ * @param {Object} [io] - { env, stdout, stderr, signal, library } (defaults: process)
+ * @returns {Promise<number>}
+ */
+async function main(argv, io = {}) {
+  const env = io.env || process.env
+  const stdout = io.stdout || process.stdout
+  const stderr = io.stderr || process.stderr
+
+  // util.parseArgs landed in Node 18.3; the library itself runs on any Node 18.
+  if (typeof util.parseArgs !== 'function') {
+    stderr.write(`aequor-reaper: requires Node.js 18.3 or later (running ${process.version})\n`)
+    return EXIT.USAGE
+  }
+
+  let options
+  try {
+    options = parseArgs(argv, env)
+  } catch (err) {
+    stderr.write(`aequor-reaper: ${err.message}\n\n${USAGE}\n`)
+    return EXIT.USAGE
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`)
+    return EXIT.OK
+  }
+
+  try {
+    const report = await runReaper({
+      ...options,
+      signal: io.signal,
+      library: io.library,
+      logger: options.debug ? (...args) => stderr.write(`${util.format(...args)}\n`) : undefined,
+      onRun: (run) => {
+        stdout.write(options.json
+          ? `${JSON.stringify({ service: options.serviceName, dryRun: options.dryRun, ...run })}\n`
+          : `aequor-reaper[${options.serviceName}]: ${formatRun(run, options.dryRun)}\n`)
+      },
+    })
+    return report.exitCode
+  } catch (err) {
+    stderr.write(`aequor-reaper: ${err.message}\n`)
+    return err instanceof UsageError ? EXIT.USAGE : EXIT.ERROR
+  }
+}
+
+module.exports = {
+  runReaper,
+  parseArgs,
+  main,
+  EXIT,
+  USAGE,
+}
@@ -1,10 +1,35 @@
 const RetryStrategy = require('./retry')
 const LeaseManager = require('./lease')
 const Reaper = require('./reaper')
+const ConnectionBudget = require('./budget')
+const Capabilities = require('./capabilities')
+const ReplicaSet = require('./replicas')
+const CredentialProvider = require('./credentials')
+const Instrumentation = require('./otel')
+const Metrics = require('./metrics')
+const Logger = require('./logger')
+const { TransactionAbortedError, AmbiguousWriteError, ConnectionBudgetExceededError, TargetSessionAttrsError, AbortError } = require('./errors')
 const crypto = require('crypto')
+const { performance } = require('perf_hooks')
+
+const ISOLATION_LEVELS = ['serializable', 'repeatable read', 'read committed', 'read uncommitted']
+// FATAL errors of server-side idle cut-offs (idle_session_timeout / idle_in_transaction_session_timeout).
+const IDLE_TIMEOUT_SQLSTATES = ['57P05', '25P03']
+// libpq-style target_session_attrs subset: which nodes a (multi-host) connect accepts.
+const TARGET_SESSION_ATTRS = ['any', 'read-write', 'prefer-standby']
+
+// 48-bit random instance id => exactly 8 base64url chars (no padding). Good entropy, tight budget.
+function generateInstanceId() {
+  return crypto.randomBytes(6).toString('base64url')
+}
+
+// Process-wide, so query ids stay unique across clients sharing one hooks object (e.g. a pool).
+let querySeq = 0
 
 class AequorClient {
   constructor(config = {}) {
+    // Provider functions (password / coordinationSecret) become shared, cached providers.
+    config = CredentialProvider.wrapConfig(config)
     this._config = config
     this._library = config.library || require('pg')
     this._client = null
@@ -32,6 +57,14 @@ class AequorClient {
       // Default should be minutes, not seconds, otherwise you create your own outages.
       minConnIdleTimeSec: config.minConnectionIdleTimeSec || 180, // Default 3m
       maxIdleConnectionsToKill: config.maxIdleConnectionsToKill || 10,
+      // Reapable pg_stat_activity states with per-state thresholds. Default: { idle: minConnIdleTimeSec }.
+      reapStates: config.reaperStates,
+      // Trust group: sibling services (sharing our coordination secret) this reaper also cleans up.
+      reapServices: config.reapServices,
+      // Opt-in: persist one audit record per signalled session ('table' or 'schema.table').
+      auditTable: config.reaperAuditTable ? Reaper.qualifiedTableName(config.reaperAuditTable) : null,
+      // Report what would be killed without terminating anything.
+      dryRun: config.reaperDryRun === true,
       reaperErrorMode: config.reaperErrorMode || 'swallow', // 'swallow' | 'throw'
     }
     this._reaperCooldownMs = config.reaperCooldownMs ?? 30000
@@ -39,11 +72,25 @@ class AequorClient {
     this._reaperBaseInterval = this._reaperCooldownMs + Math.random() * (this._reaperCooldownMs / 3)
     this._reaperCurrentInterval = this._reaperBaseInterval
     this._reaperNextRunAt = 0
+    // Scale probability/cooldown/kill limit with server connection pressure.
+    this._reaperAdaptive = config.reaperAdaptive !== false
+    // Set by a 53300 (too many connections) connect failure: reap on the next successful connect.
+    this._reapUrgent = false
+    // Emergency (side connection) reaps on 53300: at most one per reaperCooldownMs, since every
+    // query retry starts a new connect loop and each side connection takes a reserved slot.
+    this._emergencyReapNextAt = 0
+    // Separate (privileged) credentials for a short-lived reaper connection. null: reap on the app connection.
+    this._reaperConnection = config.reaperConnection || null
+    // Preflight result (see getCapabilities); probed once per container.
+    this._capabilities = null
+
+    // Service-wide connection budget (admission control). 0 disables.
+    this._maxServiceConnections = config.maxServiceConnections ?? 0
+    this._connectionBudgetMode = config.connectionBudgetMode || 'wait' // 'wait' | 'fail'
 
     // Setup Lease Manager
     const serviceName = config.serviceName || process.env.AWS_LAMBDA_FUNCTION_NAME || 'sls_pg'
-    // 48-bit random instance id => exactly 8 base64url chars (no padding). Good entropy, tight budget.
-    const instanceId = crypto.randomBytes(6).toString('base64url')
+    const instanceId = generateInstanceId()
     // Explicit coordination secret (NOT db password).
     const coordinationSecret = config.coordinationSecret
     this._baseApplicationName =
@@ -51,50 +98,173 @@ class AequorClient {
       (typeof config.applicationName === 'string' && config.applicationName) ||
       serviceName
 
+    this._secretProvider = null
     if (!coordinationSecret) {
       if (this._leaseMode === 'required') {
         throw new Error('Missing config.coordinationSecret (required for lease/reaper). Set leaseMode=\"optional\" to disable lease/reaper/heartbeat.')
       }
       this._leaseManager = null
       this._reaperEnabled = false
+    } else if (coordinationSecret instanceof CredentialProvider) {
+      // Fetched on the first connect; rotations are picked up without blocking (_applyCoordinationSecret).
+      this._secretProvider = coordinationSecret
+      this._leaseManager = null
     } else {
       this._leaseManager = new LeaseManager(serviceName, instanceId, coordinationSecret)
     }
+    this._serviceName = serviceName
+    this._appliedSecret = null
+    // Rotated-out coordination keys keep verifying existing leases this long.
+    this._secretRetentionMs = config.secretRetentionMs ?? 60 * 60 * 1000
+    // Async password (e.g. IAM auth token): resolved per connect, re-fetched on 28P01.
+    this._password = config.password instanceof CredentialProvider ? config.password : null
     
     // Heartbeat state
     this._leaseExp = 0
     this._heartbeatPromise = null
+    // Bumped by every lease written to the server; a ROLLBACK undoes those written inside its transaction.
+    this._leaseWrites = 0
     this._leaseTtlMs = config.leaseTtlMs ?? 90000
     this._heartbeatSoftRemainingMs = config.heartbeatSoftRemainingMs ?? 30000
     this._heartbeatHardWaitRemainingMs = config.heartbeatHardWaitRemainingMs ?? 5000
     this._heartbeatErrorMode = config.heartbeatErrorMode || 'reconnect' // 'swallow' | 'reconnect' | 'throw'
     this._heartbeatTimeoutMs = config.heartbeatTimeoutMs ?? 2000
     this._defaultQueryTimeoutMs = config.defaultQueryTimeoutMs ?? 0
+    // Client-wide default for query({ idempotent }). Non-idempotent statements are never
+    // retried once sent: a dropped connection can't tell us whether they were applied.
+    this._defaultIdempotent = config.defaultIdempotent ?? false
 
     // Logging
-    this._logger = config.debug ? console.log : () => {}
+    this._logger = Logger.create({ logger: config.logger, debug: config.debug, redact: config.redact })
     this._hooks = config.hooks || {}
+    // Opt-in OpenTelemetry spans (connect attempts, query attempts, heartbeats, reaper passes).
+    this._otel = Instrumentation.create(config.openTelemetry, this._logger)
+    // Opt-in counters/histograms fed by the hook events (client.metrics() / client.flushMetrics()).
+    this._metrics = Metrics.create(config.metrics, {
+      dimensions: { ServiceName: serviceName },
+    })
 
     // Backoff state (decorrelated jitter needs previous delay)
     this._connectPrevDelay = 0
     this._queryPrevDelay = 0
+    this._txPrevDelay = 0
     this._maxConnectRetryTimeMs = config.maxConnectRetryTimeMs ?? 15000
     this._maxQueryRetryTimeMs = config.maxQueryRetryTimeMs ?? 15000
+
+    // Freeze/thaw: after this long without a successful round trip, validate the socket
+    // (cheap ping with a short timeout) or reconnect before sending the user's query. 0 disables.
+    this._lastRoundTripAt = 0
+    this._thawThresholdMs = config.thawThresholdMs ?? 60000
+    this._thawAction = config.thawAction || 'validate' // 'validate' | 'reconnect'
+    this._thawValidationTimeoutMs = config.thawValidationTimeoutMs ?? 1000
+
+    // Snapshot/restore (e.g. Lambda SnapStart) detection: wall clock jumping ahead of the
+    // monotonic clock means this process was restored from a snapshot. 0 disables.
+    this._restoreDetectionThresholdMs = config.restoreDetectionThresholdMs ?? 5000
+    this._clockMark = { wall: Date.now(), mono: performance.now() }
+
+    // Lease expiry is decided on the database clock: measure our offset from it on connect
+    // and stamp leases in DB-corrected time (_now()).
+    this._clockSync = config.clockSync !== false
+    this._clockOffsetMs = 0 // server - local
+    this._clockSkewToleranceMs = config.clockSkewToleranceMs ?? 1000
+
+    // Defense in depth: let the server drop sessions idle for longer than the lease could be valid.
+    // leaseTtlMs + margin, so a warm idle container is never cut off while its lease is live.
+    this._sessionTimeouts = config.sessionTimeouts === true
+    this._sessionTimeoutMarginMs = Math.max(1000, config.sessionTimeoutMarginMs ?? 30000)
+    this._serverVersionNum = null
+
+    // Multi-host failover: hosts are tried in order, starting from the last one that worked.
+    // After connecting, targetSessionAttrs decides whether the node is acceptable.
+    this._hosts = AequorClient._parseHosts(config.hosts)
+    this._hostIndex = 0
+    this._logger.addHosts([
+      config.host,
+      ...(this._hosts || []).map(h => h.host),
+      config.reaperConnection && config.reaperConnection.host,
+    ])
+    this._targetSessionAttrs = config.targetSessionAttrs || 'any'
+    if (!TARGET_SESSION_ATTRS.includes(this._targetSessionAttrs)) {
+      throw new Error(`Invalid targetSessionAttrs: ${this._targetSessionAttrs} (expected one of ${TARGET_SESSION_ATTRS.join(', ')})`)
+    }
+
+    // Read replicas: each entry overrides the primary's connection settings and gets its own
+    // client (lease, heartbeat, reaper). Few retries per replica: failing over beats waiting.
+    this._replicas = null
+    if (Array.isArray(config.replicas) && config.replicas.length > 0) {
+      this._replicas = new ReplicaSet(this, config.replicas.map(replica => ({
+        ...config,
+        retries: config.replicaRetries ?? 1,
+        // The primary's failover settings don't describe a replica.
+        hosts: undefined,
+        metrics: this._metrics || undefined,
+        targetSessionAttrs: undefined,
+        // Its credentials carry over; a host/port in it would point the replica's reaper at the primary.
+        reaperConnection: AequorClient._withoutLocation(config.reaperConnection),
+        ...replica,
+        replicas: undefined,
+      })), {
+        policy: config.replicaPolicy,
+        fallback: config.replicaFallback !== false,
+        downCooldownMs: config.replicaDownCooldownMs ?? 30000,
+        createClient: (replicaConfig) => new AequorClient(replicaConfig),
+      })
+    }
+  }
+
+  /**
+   * Read-only view: `client.read.query(...)` runs on a replica (the primary without replicas).
+   * Same as query(..., { readOnly: true }).
+   */
+  get read() {
+    return {
+      query: (...input) => {
+        const { args, options } = AequorClient._splitQueryArgs(input)
+        return this.query(...ReplicaSet.withOptions(args, { ...options, readOnly: true }))
+      },
+    }
+  }
+
+  // Local time corrected by the last measured offset from the database clock.
+  _now() {
+    return Date.now() + this._clockOffsetMs
   }
 
   _safeHook(name, payload) {
+    if (this._metrics) this._metrics.record(name, payload)
     const fn = this._hooks && this._hooks[name]
     if (typeof fn !== 'function') return
     try { fn(payload) } catch (_) { /* never throw from hooks */ }
   }
 
+  // Runs fn(span) inside an OpenTelemetry span when tracing is on (no-op span otherwise).
+  // attributes is a thunk: nothing is computed while tracing is off.
+  _traced(name, fn, { kind, attributes } = {}) {
+    if (!this._otel) return fn(Instrumentation.NOOP_SPAN)
+    return this._otel.span(name, { kind, attributes: attributes ? attributes() : undefined }, fn)
+  }
+
+  _traceAttributes(client = this._client) {
+    const attributes = {
+      ...Instrumentation.connectionAttributes({ ...this._config, ...this._currentHost() }),
+      'aequor.generation': this._generation,
+    }
+    if (this._leaseManager && this._leaseExp > 0) attributes['aequor.lease_remaining_ms'] = this._leaseExp - this._now()
+    if (client && client.processID) attributes['aequor.backend_pid'] = client.processID
+    return attributes
+  }
+
   async connect() {
+    this._detectRestore()
     if (this._client && !this._isDead) return
     if (this._connectPromise) return this._connectPromise
     const gen = ++this._generation
     this._connectPromise = (async () => {
       try {
-        await this._connectWithRetry(gen)
+        await this._traced('aequor.connect', () => this._connectWithRetry(gen), {
+          attributes: () => ({ ...this._traceAttributes(null), 'aequor.generation': gen }),
+        })
       } finally {
         this._connectPromise = null
       }
@@ -104,18 +274,64 @@ class AequorClient {
 
   async _connectWithRetry(gen) {
     const startedAt = Date.now()
+    const hostCount = this._hosts ? this._hosts.length : 1
     let retries = 0
+    let attempts = 0
+    let passwordRefetched = false
+    let emergencyReaped = false
     while (true) {
       try {
-        await this._connect(gen)
+        // prefer-standby: a primary is only good enough once every other host was tried.
+        await this._traced('aequor.connect.attempt', async (span) => {
+          await this._connect(gen, { requireStandby: attempts < hostCount - 1 })
+          span.setAttributes(this._traceAttributes())
+        }, {
+          attributes: () => ({ ...this._traceAttributes(null), 'aequor.generation': gen, 'aequor.retry_count': retries }),
+        })
         this._connectPrevDelay = 0
         this._safeHook('onConnect', { gen })
         return // Success
       } catch (err) {
+        attempts++
+        if (err && err.code === '53300') {
+          this._reapUrgent = true
+          // Emergency reap: the side connection can still get in through reserved slots.
+          // Once per retry loop, and rate-limited across loops.
+          if (!emergencyReaped && this._reaperEnabled && this._reaperConnection && Date.now() >= this._emergencyReapNextAt) {
+            emergencyReaped = true
+            this._emergencyReapNextAt = Date.now() + this._reaperCooldownMs
+            await this._reap()
+          }
+        }
+        // Rejected credentials (expired auth token, rotated password): fetch fresh ones once, right away.
+        if (err && err.code === '28P01' && this._password && !passwordRefetched) {
+          passwordRefetched = true
+          this._password.invalidate()
+          this._safeHook('onReconnect', { gen, retries, delay: 0, err, host: this._hostLabel() })
+          this._logger.info('auth_refetch', 'Authentication failed, re-fetching password', { gen, host: this._hostLabel() })
+          continue
+        }
         if (this._maxConnectRetryTimeMs > 0 && (Date.now() - startedAt) > this._maxConnectRetryTimeMs) {
           throw err
         }
-        if (!RetryStrategy.isRetryable(err) || retries >= this._retryStrategy.retries) {
+        // Over budget: 'wait' backs off (jittered) and tries again, 'fail' fails fast.
+        const overBudget = err instanceof ConnectionBudgetExceededError
+        const wrongNode = err instanceof TargetSessionAttrsError
+        const retryable = overBudget ? this._connectionBudgetMode === 'wait' : (wrongNode || RetryStrategy.isRetryable(err))
+        if (this._hosts && !overBudget) {
+          this._advanceHost()
+          // Hosts not yet tried in this pass are tried right away, whatever the error (a DNS name
+          // decommissioned by the failover, pg_hba on the old node); only a full pass costs a retry.
+          if (attempts % hostCount !== 0) {
+            this._safeHook('onReconnect', { gen, retries, delay: 0, err, host: this._hostLabel() })
+            this._logger.warn('connect_retry', `Connect failed (${err.message}), trying next host`, {
+              gen, retries, delay: 0, nextHost: this._hostLabel(), err,
+            })
+            continue
+          }
+        }
+        if (!retryable) throw err
+        if (retries >= this._retryStrategy.retries) {
           throw err
         }
         retries++
@@ -125,71 +341,348 @@ class AequorClient {
           this._connectPrevDelay
         )
         this._connectPrevDelay = delay
-        this._safeHook('onReconnect', { gen, retries, delay, err })
-        this._logger(`Connect Retry ${retries}/${this._retryStrategy.retries} after ${delay}ms: ${err.message}`)
+        this._safeHook('onReconnect', { gen, retries, delay, err, host: this._hostLabel() })
+        this._logger.warn('connect_retry', `Connect Retry ${retries}/${this._retryStrategy.retries} after ${delay}ms: ${err.message}`, {
+          gen, retries, maxRetries: this._retryStrategy.retries, delay, host: this._hostLabel(), err,
+        })
         await new Promise(res => setTimeout(res, delay))
       }
     }
   }
 
-  async _connect(gen) {
+  async _connect(gen, { requireStandby = false } = {}) {
     // Internal cleanup before creating a new client should NOT invalidate this generation.
     await this._disposeClient('reconnect', { bumpGeneration: false })
 
+    await this._initCoordinationSecret()
+    this._applyCoordinationSecret()
+    const password = this._password ? await this._password.get() : undefined
+
     // Generate initial lease
     let appName = String(this._baseApplicationName || 'app').slice(0, 63)
     if (this._leaseManager) {
-      this._leaseExp = Date.now() + this._leaseTtlMs
+      this._leaseExp = this._now() + this._leaseTtlMs
       appName = this._leaseManager.generateAppName(this._leaseExp)
     } else {
       this._leaseExp = 0
     }
     
-    const clientConfig = this._buildPgClientConfig({ application_name: appName })
+    const clientConfig = this._buildPgClientConfig({
+      application_name: appName,
+      ...this._currentHost(),
+      ...(this._password ? { password } : {}),
+    })
 
     const client = new this._library.Client(clientConfig)
+    // Set when we close this client ourselves before handing it out (not a crash).
+    let abandoned = false
+    let handedOut = false
+    // Once replaced or detached (thaw, restore, cancel, dispose), a client's events are stale:
+    // pg emits 'end' asynchronously, typically while the next connect is already under way.
+    const stale = () => abandoned || (handedOut && client !== this._client)
     
     // Crash Safety: Swallow errors to prevent Runtime.ExitError
-    client.on('error', (err) => this._markDeadAndDispose(client, err, 'error'))
+    client.on('error', (err) => {
+      if (stale()) return
+      const idleTimeout = err && IDLE_TIMEOUT_SQLSTATES.includes(err.code)
+      this._markDeadAndDispose(client, err, idleTimeout ? 'idle_timeout' : 'error')
+    })
     // If connection ends, the client is not reusable.
-    client.on('end', () => this._markDeadAndDispose(client, null, 'end'))
+    client.on('end', () => { if (!stale()) this._markDeadAndDispose(client, null, 'end') })
 
     await client.connect()
 
     // Generation guard: do not resurrect if a newer generation started while we were connecting.
     if (this._generation !== gen) {
+      abandoned = true
+      try { await client.end() } catch (_) {}
+      return
+    }
+
+    this._logger.debug('connected', `Connected (gen ${gen})`, {
+      gen, host: this._hostLabel() || this._config.host, applicationName: appName,
+    })
+
+    if (this._targetSessionAttrs !== 'any') {
+      try {
+        await this._checkSessionAttrs(client, { requireStandby })
+      } catch (err) {
+        abandoned = true
+        try { await client.end() } catch (_) {}
+        throw err
+      }
+    }
+
+    if (this._clockSync && this._leaseManager) {
+      try {
+        await this._syncClock(client, gen)
+      } catch (err) {
+        this._logger.warn('clock_sync_failed', `Clock sync failed: ${err.message}`, { gen, err })
+      }
+    }
+
+    if (this._sessionTimeouts) {
+      try {
+        await this._applySessionTimeouts(client)
+      } catch (err) {
+        this._logger.warn('session_timeouts_failed', `Session timeouts not applied: ${err.message}`, { gen, err })
+      }
+    }
+
+    // Admission control: don't hand out a connection the service has no budget for.
+    if (this._maxServiceConnections > 0 && this._leaseManager) {
+      try {
+        const admission = await ConnectionBudget.admit(client, this._leaseManager, {
+          max: this._maxServiceConnections,
+          // Over budget: an urgent pass of our own reaper, only if it is on (config, preflight).
+          reap: this._reaperEnabled
+            ? () => { this._reapUrgent = true; return this._reap(client) }
+            : null,
+        })
+        this._safeHook('onAdmission', { gen, admitted: true, ...admission })
+      } catch (err) {
+        abandoned = true
+        try { await client.end() } catch (_) {}
+        if (err instanceof ConnectionBudgetExceededError) {
+          this._safeHook('onAdmission', { gen, admitted: false, live: err.live, max: err.max, reaped: 0 })
+        }
+        throw err
+      }
+    }
+
+    // Generation guard again: end(), a restore or a socket error (which marks the client dead)
+    // may have started a newer generation during the setup queries above.
+    if (this._generation !== gen) {
+      abandoned = true
       try { await client.end() } catch (_) {}
       return
     }
 
     this._client = client
+    handedOut = true
     this._isDead = false
+    this._lastRoundTripAt = Date.now()
 
-    // Run Reaper if enabled (async, best effort)
+    // Run Reaper if enabled (async, best effort), after the one-time capability preflight.
     if (this._reaperEnabled) {
-      this._reap().catch(err => this._logger('Reap failed:', err.message))
+      this._preflightAndReap().catch(err => this._logger.error('reaper_failed', `Reap failed: ${err.message}`, { err }))
     }
   }
 
-  // Best-effort connection cleanup
-  async _reap() {
+  // A reaper pass (cooldown and dice roll apply) after the one-time capability preflight.
+  async _preflightAndReap() {
+    try {
+      await this._preflight()
+    } catch (err) {
+      this._logger.warn('preflight_failed', `Preflight failed: ${err.message}`, { err })
+    }
+    if (this._reaperEnabled) await this._reap()
+  }
+
+  // First connect with a secret provider: the LeaseManager can only exist once we have the secret.
+  async _initCoordinationSecret() {
+    if (!this._secretProvider || this._leaseManager) return
+    const secret = await this._secretProvider.get()
+    if (this._leaseManager) return // a concurrent caller got there first
+    this._leaseManager = new LeaseManager(this._serviceName, generateInstanceId(), secret)
+    this._appliedSecret = secret
+  }
+
+  /**
+   * Never waits: rotates the LeaseManager to the provider's latest secret once a background
+   * refresh brought a new one. Previous keys keep verifying leases for secretRetentionMs.
+   */
+  _applyCoordinationSecret() {
+    if (!this._secretProvider || !this._leaseManager) return
+    const secret = this._secretProvider.current()
+    if (secret === null || secret === this._appliedSecret) return
+    this._appliedSecret = secret
+    try {
+      if (this._leaseManager.rotate(secret, { retainMs: this._secretRetentionMs })) {
+        this._logger.info('secret_rotated', 'Coordination secret rotated', { keyId: this._leaseManager.keyId })
+        this._safeHook('onSecretRotated', { keyId: this._leaseManager.keyId })
+      }
+    } catch (err) {
+      this._logger.warn('secret_rotation_failed', `Coordination secret not rotated: ${err.message}`, { err })
+    }
+  }
+
+  /**
+   * Rejects a node that doesn't match targetSessionAttrs (writer detection after failover:
+   * a demoted primary is in recovery, a read-only one has transaction_read_only on).
+   */
+  async _checkSessionAttrs(client, { requireStandby }) {
+    const res = await client.query(`SELECT pg_is_in_recovery() AS in_recovery, current_setting('transaction_read_only') AS read_only`)
+    const row = (res && res.rows && res.rows[0]) || {}
+    const inRecovery = row.in_recovery === true
+    const readOnly = row.read_only === 'on'
+    const host = this._hostLabel()
+    if (this._targetSessionAttrs === 'read-write' && (inRecovery || readOnly)) {
+      throw new TargetSessionAttrsError(`${host || 'Server'} is ${inRecovery ? 'in recovery' : 'read-only'}, need read-write`, { host, inRecovery, readOnly })
+    }
+    if (this._targetSessionAttrs === 'prefer-standby' && requireStandby && !inRecovery) {
+      throw new TargetSessionAttrsError(`${host || 'Server'} is not a standby, trying the next host`, { host, inRecovery, readOnly })
+    }
+  }
+
+  // Connection override for the current host (none without config.hosts).
+  _currentHost() {
+    return this._hosts ? this._hosts[this._hostIndex] : {}
+  }
+
+  _hostLabel() {
+    if (!this._hosts) return undefined
+    const { host, port } = this._hosts[this._hostIndex]
+    return port ? `${host}:${port}` : host
+  }
+
+  _advanceHost() {
+    if (this._hosts) this._hostIndex = (this._hostIndex + 1) % this._hosts.length
+  }
+
+  // 25006 (read_only_sql_transaction) on a read-write client: the node was demoted under us.
+  _isReadOnlyFailover(err) {
+    return this._targetSessionAttrs === 'read-write' && !!err && err.code === '25006'
+  }
+
+  // Drops the current (now read-only) connection and moves on to the next host.
+  _failover(client, err) {
+    if (client && this._client === client) this._markDeadAndDispose(client, err, 'read_only')
+    this._advanceHost()
+  }
+
+  /**
+   * Measures the offset of the database clock (midpoint of the round trip). Beyond
+   * clockSkewToleranceMs, fires onClockSkew and restamps the startup lease, which was
+   * written before the offset was known.
+   */
+  async _syncClock(client, gen) {
+    const t0 = Date.now()
+    const res = await client.query(`SELECT (extract(epoch FROM clock_timestamp()) * 1000)::float8 AS now_ms`)
+    const t1 = Date.now()
+    const serverMs = Number(res && res.rows && res.rows[0] && res.rows[0].now_ms)
+    if (!Number.isFinite(serverMs)) return
+    const previousOffsetMs = this._clockOffsetMs
+    this._clockOffsetMs = Math.round(serverMs - (t0 + t1) / 2)
+    if (Math.abs(this._clockOffsetMs) <= this._clockSkewToleranceMs) return
+
+    this._safeHook('onClockSkew', {
+      gen,
+      offsetMs: this._clockOffsetMs,
+      rttMs: t1 - t0,
+      toleranceMs: this._clockSkewToleranceMs,
+    })
+    if (Math.abs(this._clockOffsetMs - previousOffsetMs) <= this._clockSkewToleranceMs) return
+    const exp = this._now() + this._leaseTtlMs
+    // Never interpolate appName into SQL. Use bind parameters.
+    await client.query(`SELECT set_config('application_name', $1, false)`, [this._leaseManager.generateAppName(exp)])
+    this._leaseExp = exp
+  }
+
+  /**
+   * Sets idle_in_transaction_session_timeout and, on Postgres 14+, idle_session_timeout to
+   * leaseTtlMs + sessionTimeoutMarginMs (one round trip; version checked server-side).
+   * Every lease stamp is a query on this session, so the server's idle deadline always
+   * lies past the lease expiry: heartbeats need no extra traffic to stay ahead of it.
+   */
+  async _applySessionTimeouts(client) {
+    const timeoutMs = this._leaseTtlMs + this._sessionTimeoutMarginMs
+    const res = await client.query(
+      `SELECT set_config('idle_in_transaction_session_timeout', $1, false),
+              CASE WHEN current_setting('server_version_num')::int >= 140000
+                   THEN set_config('idle_session_timeout', $1, false) END AS idle_session_timeout,
+              current_setting('server_version_num')::int AS server_version_num`,
+      [`${timeoutMs}ms`]
+    )
+    const row = res && res.rows && res.rows[0]
+    this._serverVersionNum = row ? Number(row.server_version_num) : null
+    if (row && row.idle_session_timeout == null) {
+      this._logger.warn('session_timeouts_unsupported', `Session timeouts: idle_session_timeout needs Postgres 14+ (server_version_num ${row.server_version_num})`, {
+        serverVersionNum: this._serverVersionNum,
+      })
+    }
+  }
+
+  // Best-effort connection cleanup. Admission passes the connection it is checking, which isn't
+  // handed out yet; everyone else reaps on the current one. Resolves to the pass result, if one ran.
+  async _reap(client = this._client) {
     // 1. Check Lease Manager
     if (!this._leaseManager) return
 
-    // 2. Jittered Cooldown + Backoff
+    // 2. Jittered Cooldown + Backoff (skipped after a 53300: the server is out of slots)
+    const urgent = this._reapUrgent
     const now = Date.now()
-    if (now < this._reaperNextRunAt) return
+    if (!urgent && now < this._reaperNextRunAt) return
     
-    // 3. Use CURRENT client (Single Connection Architecture)
-    const client = this._client
-    if (!client) return
+    // 3. Use CURRENT client (Single Connection Architecture) for sampling; with reaperConnection
+    // the pass itself runs on a side connection, so it works even while we have no client.
+    if (!client && !this._reaperConnection) return
 
     try {
+      // 4. Adaptive schedule: the more saturated the server, the more eager the reaper.
+      let schedule = {
+        probability: Number(this._strategy.reaperRunProbability),
+        maxKill: this._strategy.maxIdleConnectionsToKill,
+        cooldownFactor: 1,
+      }
+      let pressure = null
+      if (this._reaperAdaptive && client) {
+        try {
+          pressure = await Reaper.samplePressure(client)
+        } catch (err) {
+          this._logger.debug('reaper_pressure_failed', `Reaper: pressure sample failed: ${err.message}`, { err })
+        }
+        if (pressure) schedule = Reaper.scaleForPressure(pressure.utilization, schedule)
+      }
+
+      // 5. Dice roll (configured probability, raised under pressure)
+      if (!urgent && !(Math.random() < schedule.probability)) return
+
       const startedAt = Date.now()
-      const result = await Reaper.reap(client, this._config, this._leaseManager, this._strategy, this._logger)
+      const strategy = { ...this._strategy, maxIdleConnectionsToKill: schedule.maxKill }
+      const result = await this._traced('aequor.reap', async (span) => {
+        const res = this._reaperConnection
+          ? await this._withReaperConnection(side => Reaper.reap(side, this._config, this._leaseManager, strategy, this._logger))
+          : await Reaper.reap(client, this._config, this._leaseManager, strategy, this._logger)
+        span.setAttributes({
+          'aequor.reaper.locked': !!res.locked,
+          'aequor.reaper.killed': Number(res.killed || 0),
+          'aequor.reaper.cancelled': Number(res.cancelled || 0),
+        })
+        if (res.error) span.setAttribute('error.type', String(res.error.code || 'Error'))
+        return res
+      }, {
+        attributes: () => ({
+          ...this._traceAttributes(client),
+          'aequor.reaper.urgent': urgent,
+          'aequor.reaper.side_connection': !!this._reaperConnection,
+          'aequor.reaper.dry_run': !!strategy.dryRun,
+        }),
+      })
+      this._reapUrgent = false
       const durationMs = Date.now() - startedAt
+      if (result.error && result.error.code === '42501') {
+        this._disableReaper(`insufficient privilege: ${result.error.message}`)
+      }
       // Hook for metrics: how often we attempt, lock status, and how many zombies were killed.
-      this._safeHook('onReap', { gen: this._generation, locked: !!result.locked, killed: Number(result.killed || 0), durationMs })
+      this._safeHook('onReap', {
+        gen: this._generation,
+        locked: !!result.locked,
+        killed: Number(result.killed || 0),
+        cancelled: Number(result.cancelled || 0),
+        killedByState: result.killedByState || {},
+        cancelledByState: result.cancelledByState || {},
+        dryRun: !!result.dryRun,
+        wouldKill: result.wouldKill ? result.wouldKill.length : 0,
+        durationMs,
+        urgent,
+        utilization: pressure ? pressure.utilization : null,
+        services: result.services || [],
+      })
+      // Forensics: one call per cancelled / terminated session.
+      for (const record of result.audit || []) {
+        this._safeHook('onReapDetail', { gen: this._generation, ...record })
+      }
       
       if (!result.locked) {
         // Lock busy (someone else is reaping) -> Exponential Backoff
@@ -199,44 +692,202 @@ class AequorClient {
         this._reaperCurrentInterval = this._reaperBaseInterval
       }
 
-      // Schedule next run with jitter
-      const jitter = Math.random() * (this._reaperCurrentInterval / 2)
-      this._reaperNextRunAt = now + this._reaperCurrentInterval + jitter
-      
-      if (result.killed > 0) {
-        this._logger(`Reaper: Killed ${result.killed} zombies`)
-      }
+      // Schedule next run with jitter (cooldown shrinks under pressure)
+      const interval = this._reaperCurrentInterval * schedule.cooldownFactor
+      const jitter = Math.random() * (interval / 2)
+      this._reaperNextRunAt = now + interval + jitter
+      return result
+
     } catch (err) {
-      this._logger('Reap failed:', err.message)
+      if (err && err.code === '42501') this._disableReaper(`insufficient privilege: ${err.message}`)
+      this._logger.error('reaper_failed', `Reap failed: ${err.message}`, { err })
+    }
+  }
+
+  /**
+   * One-time (per container and target) check of what the reaper's role may do.
+   * Turns the reaper off with a warning when it couldn't work anyway.
+   */
+  async _preflight() {
+    if (this._capabilities) return this._capabilities
+    // Probe the role the reaper actually runs as.
+    const viaSide = this._reaperEnabled && !!this._reaperConnection
+    const target = { ...this._config, ...this._currentHost(), ...(viaSide ? this._reaperConnection : {}) }
+    const key = [target.host, target.port, target.database, target.user, viaSide ? this._config.user : ''].join('|')
+    const { capabilities, fresh } = await Capabilities.cached(key, () => viaSide
+      ? this._withReaperConnection(side => Capabilities.probe(side, { appRole: this._config.user }))
+      : Capabilities.probe(this._client))
+
+    this._capabilities = capabilities
+    this._safeHook('onCapabilities', { gen: this._generation, capabilities })
+    if (this._reaperEnabled && !capabilities.reaperSupported) {
+      // Warn once per container, not once per client.
+      this._disableReaper(capabilities.reaperProblems.join('; '), fresh)
+    }
+    return capabilities
+  }
+
+  // warn=false: another client of this container already warned; log it at debug only.
+  _disableReaper(reason, warn = true) {
+    this._reaperEnabled = false
+    this._logger[warn ? 'warn' : 'debug']('reaper_disabled', `Reaper disabled: ${reason}`, { reason })
+  }
+
+  /**
+   * Capability preflight result: server version, track_activities, role memberships and
+   * pg_stat_activity visibility, plus whether the reaper can work with them.
+   * @returns {Promise<Object>}
+   */
+  async getCapabilities() {
+    await this._ensureReady()
+    return this._preflight()
+  }
+
+  /**
+   * Renews the lease if it is due (heartbeatSoftRemainingMs) and waits for the write. A connection
+   * renews it on its own queries only; AequorPool calls this for members that sit idle, so other
+   * containers don't reap them as zombies. A no-op while not connected.
+   */
+  async renewLease() {
+    if (!this._client || this._isDead) return
+    await this._heartbeatIfNeeded()
+    if (this._heartbeatPromise) await this._heartbeatPromise
+  }
+
+  /**
+   * Runs a scheduled reaper pass (cooldown and run probability apply) after the one-time capability
+   * preflight. The reaper runs on connect by itself; this is for connections that sit idle, e.g.
+   * AequorPool's reaper owner. A no-op while the reaper is off or the client is not connected.
+   */
+  async reapIfDue() {
+    if (!this._reaperEnabled || !this._client || this._isDead) return
+    await this._preflightAndReap()
+  }
+
+  /**
+   * Turns the reaper on or off after construction (AequorPool moves reaper ownership this way).
+   * Needs a coordinationSecret; a reaper the capability preflight turned off stays off.
+   * @param {boolean} enabled
+   * @returns {boolean} Whether the reaper is on now
+   */
+  setReaperEnabled(enabled) {
+    const usable = !!(this._leaseManager || this._secretProvider) && !(this._capabilities && !this._capabilities.reaperSupported)
+    this._reaperEnabled = enabled === true && usable
+    return this._reaperEnabled
+  }
+
+  /**
+   * Opens a short-lived connection with the reaperConnection credentials, runs fn on it, closes it.
+   * Host/port/database/ssl default to the app's; user/password never do. The side connection
+   * carries our own signed lease, so other reapers classify it as own-active.
+   */
+  async _withReaperConnection(fn) {
+    const base = { ...this._config, ...this._currentHost() }
+    const client = new this._library.Client({
+      host: base.host,
+      port: base.port,
+      database: base.database,
+      ssl: base.ssl,
+      connectionTimeoutMillis: base.connectionTimeoutMillis,
+      ...this._reaperConnection,
+      application_name: this._leaseManager.generateAppName(this._now() + this._leaseTtlMs),
+    })
+    // Crash Safety: a side connection must never take the process down.
+    client.on('error', (err) => this._logger.warn('reaper_connection_error', `Reaper connection error: ${err.message}`, { err }))
+    try {
+      await client.connect()
+      return await fn(client)
+    } finally {
+      try { await client.end() } catch (_) {}
     }
   }
 
-  async query(...args) {
+  /**
+   * Read-only: classifies every backend of the current database
+   * (self / own-active / own-expired / own-expired-too-fresh / foreign-signed / unsigned).
+   * @returns {Promise<Object[]>}
+   */
+  async inspectLeases() {
+    if (!this._leaseManager && !this._secretProvider) throw new Error('inspectLeases() requires a coordinationSecret')
+    await this._ensureReady()
+    return Reaper.inspect(this._client, this._leaseManager, this._strategy)
+  }
+
+  /**
+   * Runs a query with reconnect/retry.
+   * Accepts pg's (text, values) / (config) forms plus a trailing options object:
+   * query(text, values, { idempotent, readOnly, retries, maxRetryTimeMs, signal }) or query(config, { ... }).
+   * Statements not declared idempotent are only retried when the failure provably happened
+   * before they were sent (connect / heartbeat). Otherwise an AmbiguousWriteError is thrown.
+   * readOnly statements go to a read replica when configured, and are idempotent by default.
+   * When `signal` fires, the statement is cancelled on the server and the query rejects with an
+   * AbortError (never retried).
+   */
+  async query(...input) {
+    const { args, options } = AequorClient._splitQueryArgs(input)
+    if (options.readOnly && this._replicas) return this._replicas.query(args, options)
+    const queryId = ++querySeq
+    return this._traced('aequor.query', () => this._queryWithRetry(args, options, queryId), {
+      attributes: () => ({ ...this._otel.queryAttributes(args), 'aequor.query_id': queryId }),
+    })
+  }
+
+  async _queryWithRetry(args, options, queryId) {
+    const idempotent = options.idempotent ?? (options.readOnly ? true : this._defaultIdempotent)
+    const maxRetries = options.retries ?? this._retryStrategy.retries
+    const maxRetryTimeMs = options.maxRetryTimeMs ?? this._maxQueryRetryTimeMs
+    const signal = options.signal
+    this._detectRestore()
     const startedAt = Date.now()
-    this._safeHook('onQueryStart', { args, startedAt })
+    this._safeHook('onQueryStart', { queryId, args, startedAt })
     let retries = 0
     while (true) {
+      let sent = false
+      let client = null
       try {
-        if (!this._client || this._isDead) {
-          await this.connect()
-        } else {
-          // Check heartbeat. If lease expired -> WAIT. If OK -> async update.
-          await this._heartbeatIfNeeded()
-        }
+        AequorClient._throwIfAborted(signal)
+        await this._ensureReady()
+        AequorClient._throwIfAborted(signal)
 
-        const res = await this._client.query(...args)
+        sent = true
+        client = this._client
+        const run = signal ? () => this._queryCancellable(client, args, signal) : () => client.query(...args)
+        const res = await this._traced(this._otel ? this._otel.querySpanName(args) : null, run, {
+          kind: Instrumentation.SPAN_KIND.CLIENT,
+          attributes: () => ({
+            ...this._traceAttributes(client),
+            ...this._otel.queryAttributes(args),
+            'aequor.query_id': queryId,
+            'aequor.retry_count': retries,
+          }),
+        })
+        this._lastRoundTripAt = Date.now()
         this._queryPrevDelay = 0
-        this._safeHook('onQueryEnd', { args, res, duration: Date.now() - startedAt })
+        this._safeHook('onQueryEnd', { queryId, args, res, duration: Date.now() - startedAt })
         return res
 
       } catch (err) {
-        // If error is NOT retryable, throw immediately
-        if (!RetryStrategy.isRetryable(err) || retries >= this._retryStrategy.retries) {
-          this._safeHook('onQueryError', { args, err, duration: Date.now() - startedAt })
+        // The server refused the statement (read-only node), so it is safe to re-run elsewhere.
+        const readOnlyNode = this._isReadOnlyFailover(err)
+        // If error is NOT retryable (or the caller aborted), throw immediately
+        if (err instanceof AbortError || (!readOnlyNode && !RetryStrategy.isRetryable(err))) {
+          this._safeHook('onQueryError', { queryId, args, err, duration: Date.now() - startedAt })
           throw err
         }
-        if (this._maxQueryRetryTimeMs > 0 && (Date.now() - startedAt) > this._maxQueryRetryTimeMs) {
-          this._safeHook('onQueryError', { args, err, duration: Date.now() - startedAt })
+        if (readOnlyNode) this._failover(client, err)
+        // The statement left this process: it may have been applied before the connection dropped.
+        if (sent && !idempotent && !readOnlyNode) {
+          this._isDead = true
+          await this._disposeClient('query_error')
+          const ambiguous = new AmbiguousWriteError(
+            `Connection lost after the query was sent; it may or may not have been applied: ${err.message}`,
+            { cause: err }
+          )
+          this._safeHook('onQueryError', { queryId, args, err: ambiguous, duration: Date.now() - startedAt })
+          throw ambiguous
+        }
+        if (retries >= maxRetries || (maxRetryTimeMs > 0 && (Date.now() - startedAt) > maxRetryTimeMs)) {
+          this._safeHook('onQueryError', { queryId, args, err, duration: Date.now() - startedAt })
           throw err
         }
         
@@ -247,8 +898,10 @@ class AequorClient {
           this._queryPrevDelay
         )
         this._queryPrevDelay = delay
-        this._safeHook('onQueryRetry', { retries, delay, err })
-        this._logger(`Query Retry ${retries}/${this._retryStrategy.retries} after ${delay}ms: ${err.message}`)
+        this._safeHook('onQueryRetry', { queryId, retries, delay, err })
+        this._logger.warn('query_retry', `Query Retry ${retries}/${maxRetries} after ${delay}ms: ${err.message}`, {
+          queryId, retries, maxRetries, delay, err, ...AequorClient._queryFields(args),
+        })
         
         // Force reconnect on next loop
         this._isDead = true
@@ -259,11 +912,334 @@ class AequorClient {
     }
   }
 
+  /**
+   * Runs the statement under an AbortSignal. On abort the backend gets a cancel request:
+   * 57014 means the cancel landed and the connection stays usable; any other outcome recycles it.
+   * A statement that completed before the cancel arrived returns its result (it was applied), but
+   * the connection is recycled too, since a late cancel would hit the next statement.
+   * With pg we submit our own Query, so only that statement is ever cancelled: one still waiting
+   * in the driver's queue is dropped from it instead (no cancel, no recycle), one already done
+   * is left alone.
+   */
+  async _queryCancellable(client, args, signal) {
+    const tracking = AequorClient._queryTracking(this._library, client, args)
+    if (!tracking) return this._queryUncancellable(client, args, signal)
+    let cancelRequested = false
+    let query = null
+    let rejectQuery = null
+    const result = new Promise((resolve, reject) => {
+      query = new this._library.Query(args[0], args[1], (err, res) => (err ? reject(err) : resolve(res)))
+      // Query doesn't copy a per-statement read timeout from its config.
+      if (args[0].query_timeout) query.query_timeout = args[0].query_timeout
+      rejectQuery = reject
+    })
+    const onAbort = () => {
+      if (tracking.active() === query) {
+        cancelRequested = true
+        this._cancelBackend(client)
+        return
+      }
+      const idx = tracking.queue.indexOf(query)
+      if (idx === -1) return // Already done
+      tracking.queue.splice(idx, 1)
+      rejectQuery(new AbortError('Query was aborted before it was sent', { reason: signal.reason }))
+    }
+    signal.addEventListener('abort', onAbort, { once: true })
+    try {
+      client.query(query)
+      const res = await result
+      if (cancelRequested) this._markDeadAndDispose(client, null, 'cancel')
+      return res
+    } catch (err) {
+      if (!cancelRequested) throw err
+      if (err.code !== '57014') this._markDeadAndDispose(client, null, 'cancel')
+      throw new AbortError('Query was cancelled', { reason: signal.reason, cause: err })
+    } finally {
+      signal.removeEventListener('abort', onAbort)
+    }
+  }
+
+  // Statements we can't tell apart from other callers' (other drivers, submittables, callbacks):
+  // a cancel by backend pid could hit someone else's statement, so the call only stops waiting.
+  async _queryUncancellable(client, args, signal) {
+    const running = Promise.resolve(client.query(...args))
+    let onAbort
+    const aborted = new Promise((_, reject) => {
+      onAbort = () => {
+        running.catch(() => {})
+        this._logger.warn('query_cancel_unsupported', `Query on backend ${client.processID} aborted but not cancelled: the driver can't single out its statement`, {
+          pid: client.processID,
+        })
+        reject(new AbortError('Query was aborted; the statement was not cancelled on the server', { reason: signal.reason }))
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+    })
+    try {
+      return await Promise.race([running, aborted])
+    } finally {
+      signal.removeEventListener('abort', onAbort)
+    }
+  }
+
+  // CancelRequest(pid, secret key) over a throwaway socket, as pg's Client#cancel does; that one
+  // reads the activeQuery getter (deprecated in pg 8.17) to decide, so we decide ourselves.
+  _cancelBackend(client) {
+    const pid = client.processID
+    this._logger.info('query_cancel', `Cancelling query on backend ${pid}`, { pid })
+    try {
+      const con = new this._library.Client({ host: client.host, port: client.port }).connection
+      con.on('error', (err) => this._logger.warn('query_cancel_failed', `Query cancel failed: ${err.message}`, { pid, err }))
+      con.once('connect', () => con.cancel(pid, client.secretKey))
+      if (client.host && client.host.indexOf('/') === 0) con.connect(`${client.host}/.s.PGSQL.${client.port}`)
+      else con.connect(client.port, client.host)
+    } catch (err) {
+      this._logger.warn('query_cancel_failed', `Query cancel failed: ${err.message}`, { pid, err })
+    }
+  }
+
+  /**
+   * pg only: submitting our own Query lets us tell it apart from other callers' statements.
+   * Returns { queue, active() } over the driver's queue and running statement, or null.
+   * pg 8.17+ has _queryQueue / _getActiveQuery() (queryQueue / activeQuery became deprecated
+   * getters there, never touched); 8.11-8.16 have plain queryQueue / activeQuery fields.
+   */
+  static _queryTracking(library, client, args) {
+    const [config, values] = args
+    const plain = typeof config === 'string' || (config && typeof config === 'object' && typeof config.submit !== 'function')
+    if (typeof library.Query !== 'function' || !client.secretKey || !plain || args.length > 2 || typeof values === 'function') return null
+    if (typeof client._getActiveQuery === 'function' && Array.isArray(client._queryQueue)) {
+      return { queue: client._queryQueue, active: () => client._getActiveQuery() }
+    }
+    // An own field, not the getter: activeQuery is only assigned once a statement runs.
+    if (Object.prototype.hasOwnProperty.call(client, 'queryQueue') && Array.isArray(client.queryQueue)) {
+      return { queue: client.queryQueue, active: () => client.activeQuery }
+    }
+    return null
+  }
+
+  static _throwIfAborted(signal) {
+    if (signal && signal.aborted) throw new AbortError('Query was aborted before it was sent', { reason: signal.reason })
+  }
+
+  // Statement fields for log events; config.redact decides what survives.
+  static _queryFields(args) {
+    const first = args[0]
+    if (typeof first === 'string') return { text: first, values: args[1] }
+    return first && typeof first === 'object' ? { text: first.text, values: first.values } : {}
+  }
+
+  /**
+   * Normalizes config.hosts: 'host', 'host:port' or { host, port }. null when not configured.
+   */
+  static _parseHosts(hosts) {
+    if (!Array.isArray(hosts) || hosts.length === 0) return null
+    return hosts.map(entry => {
+      let { host, port } = entry && typeof entry === 'object' ? entry : { host: String(entry) }
+      // 'host:port' (a bare IPv6 address has several colons: use the object form for those)
+      const m = port === undefined && /^([^:]+):(\d+)$/.exec(host)
+      if (m) [host, port] = [m[1], Number(m[2])]
+      // Without a port, config.port (or the pg default) applies.
+      return port === undefined ? { host } : { host, port }
+    })
+  }
+
+  // Connection settings minus where to connect (host / port).
+  static _withoutLocation(settings) {
+    if (!settings) return settings
+    const { host, port, ...rest } = settings
+    return rest
+  }
+
+  static _splitQueryArgs(input) {
+    // Options trail pg's own arguments: (text, values, options) or (config, options).
+    const idx = typeof input[0] === 'string' ? 2 : 1
+    const candidate = input[idx]
+    if (input.length === idx + 1 && candidate && Object.getPrototypeOf(candidate) === Object.prototype) {
+      return { args: input.slice(0, idx), options: candidate }
+    }
+    return { args: input, options: {} }
+  }
+
+  /**
+   * Runs fn(tx) inside BEGIN/COMMIT. Every statement in `tx` runs on the same connection generation.
+   * The whole callback is re-run on serialization failures, deadlocks and connection loss before COMMIT.
+   * Connection loss while COMMIT is in flight is never retried (the outcome is unknown).
+   * @param {Function} fn - async (tx) => result
+   * @param {Object} [options] - { isolationLevel, readOnly, deferrable, retries }
+   */
+  async transaction(fn, options = {}) {
+    const begin = AequorClient._beginStatement(options)
+    const maxRetries = options.retries ?? this._retryStrategy.retries
+    this._detectRestore()
+    let retries = 0
+    while (true) {
+      let phase = 'begin'
+      let gen = null
+      let client = null
+      let leaseWrites = 0
+      try {
+        await this._ensureReady()
+        gen = this._generation
+        client = this._client
+        const tx = this._createTransactionScope(gen, client)
+
+        leaseWrites = this._leaseWrites
+        await tx.query(begin)
+        phase = 'body'
+        const result = await fn(tx)
+        phase = 'commit'
+        await tx.query('COMMIT')
+        tx._close()
+        this._txPrevDelay = 0
+        return result
+      } catch (err) {
+        // Connect already ran its own retry loop; don't multiply it.
+        if (!client) throw err
+        const connectionLost = err instanceof TransactionAbortedError || RetryStrategy.isRetryable(err)
+        const readOnlyNode = this._isReadOnlyFailover(err)
+        if (readOnlyNode) {
+          // Rejected by a demoted node; nothing was applied. Re-run on the next host.
+          this._failover(client, err)
+        } else if (connectionLost) {
+          // The old socket (and the server-side transaction with it) is gone. Never continue on a fresh one.
+          if (this._client === client) {
+            this._isDead = true
+            await this._disposeClient('transaction_error')
+          }
+          // COMMIT may or may not have been applied. Re-running could apply the transaction twice.
+          // Unless it was never sent: the scope refuses it once the connection was replaced.
+          if (phase === 'commit' && !(err instanceof TransactionAbortedError)) {
+            throw new AmbiguousWriteError(
+              `Connection lost while COMMIT was in flight; the transaction may or may not have been applied: ${err.message}`,
+              { cause: err }
+            )
+          }
+        } else if (phase !== 'begin') {
+          await this._rollbackQuietly(gen, client)
+          // A heartbeat sent on this socket during the transaction (by a concurrent caller) was
+          // rolled back with it: the server still shows the older lease. Write it again.
+          if (this._leaseWrites !== leaseWrites) await this._performHeartbeat(gen, client).catch(() => {})
+        }
+
+        if (!readOnlyNode && !(err instanceof TransactionAbortedError) && !RetryStrategy.isTransactionRetryable(err)) throw err
+        if (retries >= maxRetries) throw err
+
+        retries++
+        const delay = RetryStrategy.getBackoff(
+          this._retryStrategy.minBackoff,
+          this._retryStrategy.maxBackoff,
+          this._txPrevDelay
+        )
+        this._txPrevDelay = delay
+        this._safeHook('onTransactionRetry', { retries, delay, err })
+        this._logger.warn('transaction_retry', `Transaction Retry ${retries}/${maxRetries} after ${delay}ms: ${err.message}`, {
+          retries, maxRetries, delay, err,
+        })
+        await new Promise(res => setTimeout(res, delay))
+      }
+    }
+  }
+
+  _createTransactionScope(gen, client) {
+    let closed = false
+    const assertSameGeneration = () => {
+      if (closed) throw new TransactionAbortedError('Transaction is already finished')
+      if (this._generation !== gen || this._client !== client || this._isDead) {
+        throw new TransactionAbortedError('Connection was replaced during the transaction; it was rolled back by the server')
+      }
+    }
+    return {
+      query: async (...args) => {
+        assertSameGeneration()
+        const res = await client.query(...args)
+        this._lastRoundTripAt = Date.now()
+        return res
+      },
+      _close: () => { closed = true },
+    }
+  }
+
+  async _rollbackQuietly(gen, client) {
+    if (!client || this._generation !== gen || this._client !== client) return
+    try {
+      await client.query('ROLLBACK')
+    } catch (err) {
+      this._logger.warn('rollback_failed', `Rollback failed: ${err.message}`, { err })
+      this._isDead = true
+      await this._disposeClient('rollback_failed')
+    }
+  }
+
+  static _beginStatement({ isolationLevel, readOnly, deferrable } = {}) {
+    const parts = ['BEGIN']
+    if (isolationLevel) {
+      const level = String(isolationLevel).toLowerCase().replace(/_/g, ' ')
+      if (!ISOLATION_LEVELS.includes(level)) {
+        throw new Error(`Invalid isolationLevel: ${isolationLevel}`)
+      }
+      parts.push(`ISOLATION LEVEL ${level.toUpperCase()}`)
+    }
+    if (readOnly === true) parts.push('READ ONLY')
+    if (readOnly === false) parts.push('READ WRITE')
+    if (deferrable === true) parts.push('DEFERRABLE')
+    if (deferrable === false) parts.push('NOT DEFERRABLE')
+    return parts.join(' ')
+  }
+
+  // Connect if needed; otherwise validate after a freeze and renew the lease.
+  async _ensureReady() {
+    if (!this._client || this._isDead) {
+      await this.connect()
+      return
+    }
+    await this._validateAfterThaw()
+    // Check heartbeat. If lease expired -> WAIT. If OK -> async update.
+    if (this._client && !this._isDead) await this._heartbeatIfNeeded()
+    // Thaw validation / heartbeat may have disposed the client.
+    if (!this._client || this._isDead) await this.connect()
+  }
+
+  async _validateAfterThaw() {
+    if (!(this._thawThresholdMs > 0) || !this._lastRoundTripAt) return
+    const frozenMs = Date.now() - this._lastRoundTripAt
+    if (frozenMs < this._thawThresholdMs) return
+
+    const gen = this._generation
+    const client = this._client
+    this._safeHook('onThaw', { gen, frozenMs })
+    this._logger.info('thaw_detected', `Thaw detected after ${Math.round(frozenMs / 1000)}s without a round trip (${this._thawAction})`, {
+      gen, frozenMs, action: this._thawAction,
+    })
+    if (this._thawAction === 'reconnect') {
+      // Half-dead sockets may never finish closing: detach, don't wait.
+      this._markDeadAndDispose(client, null, 'thaw')
+      return
+    }
+    try {
+      await this._withTimeout(client.query('SELECT 1'), this._thawValidationTimeoutMs, 'Thaw validation')
+      if (this._generation === gen && client === this._client) this._lastRoundTripAt = Date.now()
+    } catch (err) {
+      if (client === this._client) this._markDeadAndDispose(client, err, 'thaw')
+    }
+  }
+
+  _withTimeout(promise, ms, label) {
+    let timer
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const e = new Error(`${label} timed out after ${ms}ms`)
+        e.code = 'ETIMEDOUT'
+        reject(e)
+      }, ms)
+    })
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+  }
+
   async _heartbeatIfNeeded() {
     if (!this._leaseManager) return
     const gen = this._generation
     const client = this._client
-    const now = Date.now()
+    const now = this._now()
     const remaining = this._leaseExp - now
     
     // If lease has > 30s remaining, we are safe. Do nothing.
@@ -291,24 +1267,24 @@ class AequorClient {
       if (!this._leaseManager) return
       if (!client || client !== this._client) return
       if (this._generation !== gen) return
-      const newExp = Date.now() + this._leaseTtlMs
+      this._applyCoordinationSecret()
+      const newExp = this._now() + this._leaseTtlMs
       const appName = this._leaseManager.generateAppName(newExp)
       // Never interpolate appName into SQL. Use bind parameters.
-      const heartbeatQuery = this._client.query(`SELECT set_config('application_name', $1, false)`, [appName])
-      const timeout = new Promise((_, reject) => {
-        const e = new Error(`Heartbeat timed out after ${this._heartbeatTimeoutMs}ms`)
-        e.code = 'ETIMEDOUT'
-        setTimeout(() => reject(e), this._heartbeatTimeoutMs)
-      })
-      const res = await Promise.race([heartbeatQuery, timeout])
+      const res = await this._traced('aequor.heartbeat', () => {
+        const heartbeatQuery = this._client.query(`SELECT set_config('application_name', $1, false)`, [appName])
+        return this._withTimeout(heartbeatQuery, this._heartbeatTimeoutMs, 'Heartbeat')
+      }, { attributes: () => this._traceAttributes(client) })
       if (!res) throw new Error('Heartbeat failed: no result')
       // Only update local lease if DB update succeeded.
+      this._leaseWrites++
       if (this._generation === gen && client === this._client) {
         this._leaseExp = newExp
+        this._lastRoundTripAt = Date.now()
         this._safeHook('onHeartbeat', { gen })
       }
     } catch (err) {
-      this._logger('Heartbeat failed:', err.message)
+      this._logger.warn('heartbeat_failed', `Heartbeat failed: ${err.message}`, { gen, err })
       this._safeHook('onHeartbeatFail', { gen, err })
       // If we're in hard-wait territory and heartbeat fails, do NOT keep a client that
       // is now invisible to other reapers (lease can expire). Default action: reconnect.
@@ -337,12 +1313,38 @@ class AequorClient {
       'connUtilization', // legacy alias
       'minConnectionIdleTimeSec',
       'maxIdleConnectionsToKill',
+      'reaperStates',
+      'reaperDryRun',
+      'reaperAdaptive',
+      'reapServices',
+      'reaperAuditTable',
+      'reaperConnection',
+      'clockSync',
+      'clockSkewToleranceMs',
+      'sessionTimeouts',
+      'sessionTimeoutMarginMs',
+      'replicas',
+      'replicaPolicy',
+      'replicaFallback',
+      'replicaDownCooldownMs',
+      'replicaRetries',
+      'hosts',
+      'targetSessionAttrs',
+      'openTelemetry',
+      'metrics',
+      'credentialTtlMs',
+      'credentialRefreshAheadMs',
+      'secretRetentionMs',
+      'maxServiceConnections',
+      'connectionBudgetMode',
       'retries',
       'minBackoff',
       'maxBackoff',
       'serviceName',
       'coordinationSecret',
       'debug',
+      'logger',
+      'redact',
       'leaseTtlMs',
       'heartbeatSoftRemainingMs',
       'heartbeatHardWaitRemainingMs',
@@ -352,9 +1354,14 @@ class AequorClient {
       'leaseMode',
       'applicationName',
       'defaultQueryTimeoutMs',
+      'defaultIdempotent',
       'hooks',
       'maxConnectRetryTimeMs',
       'maxQueryRetryTimeMs',
+      'restoreDetectionThresholdMs',
+      'thawThresholdMs',
+      'thawAction',
+      'thawValidationTimeoutMs',
     ]
     for (const k of internalKeys) delete clientConfig[k]
     return clientConfig
@@ -392,7 +1399,7 @@ class AequorClient {
         severity: err.severity,
         routine: err.routine,
       }
-      this._logger(`WARN: pg client ${source} (swallowed):`, err.message || err.code, meta)
+      this._logger.warn('client_dead_swallowed', `pg client ${source} (swallowed): ${err.message || err.code}`, { source, err, ...meta })
       this._safeHook('onClientDead', { source, err, meta })
     }
     // Best-effort close; do not await.
@@ -401,18 +1408,82 @@ class AequorClient {
     } catch (_) {}
   }
 
+  _detectRestore() {
+    if (!(this._restoreDetectionThresholdMs > 0)) return
+    const wall = Date.now()
+    const mono = performance.now()
+    // Both clocks advance together while running (and while frozen). After a snapshot restore
+    // the wall clock has moved on while the monotonic clock continues from snapshot time.
+    const gapMs = (wall - this._clockMark.wall) - (mono - this._clockMark.mono)
+    this._clockMark = { wall, mono }
+    if (gapMs > this._restoreDetectionThresholdMs) this._onRestored('clock', gapMs)
+  }
+
+  /**
+   * Call from a runtime restore hook (e.g. SnapStart afterRestore).
+   * Regenerates the instance id and drops the pre-snapshot connection; the next query re-leases.
+   */
+  handleRestore() {
+    this._clockMark = { wall: Date.now(), mono: performance.now() }
+    this._onRestored('hook', null)
+  }
+
+  _onRestored(source, gapMs) {
+    // Every restored copy shares the pre-snapshot identity: make this one unique again.
+    if (this._leaseManager) this._leaseManager.setInstanceId(generateInstanceId())
+    this._leaseExp = 0
+    this._lastRoundTripAt = 0
+    this._reaperBaseInterval = this._reaperCooldownMs + Math.random() * (this._reaperCooldownMs / 3)
+    this._reaperCurrentInterval = this._reaperBaseInterval
+
+    // The pre-snapshot socket is dead or shared. Drop it without waiting on it; detaching it
+    // first makes its late 'end' stale, so it can't tear down the reconnect that follows.
+    const old = this._client
+    this._isDead = true
+    this._generation++
+    this._client = null
+    if (old) {
+      try {
+        old.end().catch(() => {})
+      } catch (_) {}
+    }
+    this._logger.info('restore_detected', `Restore detected (${source}${gapMs !== null ? `, gap=${Math.round(gapMs)}ms` : ''}): new instance id, reconnecting`, {
+      source, gapMs,
+    })
+    this._safeHook('onRestore', { source, gapMs })
+  }
+
   async clean() {
     // Try to close gracefully
     await this._disposeClient('clean')
   }
   
   async end() {
+    if (this._replicas) await this._replicas.end()
     return this.clean()
   }
 
   getClient() {
     return this._client
   }
+
+  /**
+   * Prometheus text exposition of this client's metrics (config.metrics; '' when off).
+   * @returns {string}
+   */
+  metrics() {
+    return this._metrics ? this._metrics.prometheus() : ''
+  }
+
+  /**
+   * Writes everything recorded since the last flush as CloudWatch EMF lines (stdout by default).
+   * Call once at the end of each invocation.
+   * @param {Object} [options] - { write: (line) => void }
+   * @returns {string[]} The lines written
+   */
+  flushMetrics(options) {
+    return this._metrics ? this._metrics.flush(options) : []
+  }
 }
 
 module.exports = AequorClient
@@ -0,0 +1,120 @@
+/**
+ * Credential Provider
+ * Wraps an async provider function (IAM auth tokens, secret stores) in a TTL cache.
+ * Values are refreshed in the background ahead of expiry, concurrent callers share one fetch,
+ * and a stale value keeps being served by current() while its replacement is on the way.
+ *
+ * A provider returns the value itself, or { value, expiresAt } / { value, ttlMs } when it
+ * knows better than the configured TTL (e.g. a 15-minute IAM token).
+ */
+class CredentialProvider {
+  static DEFAULT_TTL_MS = 10 * 60 * 1000
+  static DEFAULT_REFRESH_AHEAD_MS = 60 * 1000
+
+  /**
+   * @param {Function} fetchFn - async () => value | { value, expiresAt?, ttlMs? }
+   * @param {Object} [options] - { ttlMs, refreshAheadMs, name }
+   */
+  constructor(fetchFn, { ttlMs, refreshAheadMs, name = 'credential' } = {}) {
+    if (typeof fetchFn !== 'function') throw new Error(`CredentialProvider(${name}) requires a function`)
+    this._fetchFn = fetchFn
+    this._ttlMs = ttlMs ?? CredentialProvider.DEFAULT_TTL_MS
+    this._refreshAheadMs = refreshAheadMs ?? CredentialProvider.DEFAULT_REFRESH_AHEAD_MS
+    this.name = name
+    this._value = null
+    this._expiresAt = 0
+    this._refreshPromise = null
+    this.lastError = null
+  }
+
+  /**
+   * Shares one provider instance (and with it one cache) between everything built from a config.
+   * @param {Object} config - Client config
+   * @returns {Object} config with function-valued password / coordinationSecret wrapped
+   */
+  static wrapConfig(config) {
+    const options = { ttlMs: config.credentialTtlMs, refreshAheadMs: config.credentialRefreshAheadMs }
+    const wrapped = { ...config }
+    for (const key of ['password', 'coordinationSecret']) {
+      if (typeof config[key] === 'function') wrapped[key] = new CredentialProvider(config[key], { ...options, name: key })
+    }
+    return wrapped
+  }
+
+  /**
+   * Fresh value. Waits for the provider only when there is no unexpired value yet.
+   * @returns {Promise<any>}
+   */
+  async get() {
+    const now = Date.now()
+    if (this._value !== null && now < this._expiresAt) {
+      if (now >= this._expiresAt - this._refreshAheadMs) this._refreshInBackground()
+      return this._value
+    }
+    return this.refresh()
+  }
+
+  /**
+   * Never waits: the cached value (possibly stale, null before the first fetch).
+   * Starts a background refresh when one is due.
+   */
+  current() {
+    if (Date.now() >= this._expiresAt - this._refreshAheadMs) this._refreshInBackground()
+    return this._value
+  }
+
+  /**
+   * Fetches now (deduplicated with any refresh already in flight).
+   * @returns {Promise<any>}
+   */
+  refresh() {
+    if (!this._refreshPromise) {
+      this._refreshPromise = (async () => {
+        try {
+          const { value, expiresAt } = this._unwrap(await this._fetchFn())
+          this._value = value
+          this._expiresAt = expiresAt
+          this.lastError = null
+          return value
+        } catch (err) {
+          this.lastError = err
+          throw err
+        } finally {
+          this._refreshPromise = null
+        }
+      })()
+    }
+    return this._refreshPromise
+  }
+
+  /**
+   * Drops the cached value (e.g. the server rejected it); the next get() fetches.
+   */
+  invalidate() {
+    this._value = null
+    this._expiresAt = 0
+  }
+
+  _refreshInBackground() {
+    // Failures surface through lastError and the next get(); the cached value stays usable until it expires.
+    this.refresh().catch(() => {})
+  }
+
+  _unwrap(result) {
+    const now = Date.now()
+    let value = result
+    let expiresAt = now + this._ttlMs
+    if (result && typeof result === 'object' && 'value' in result) {
+      value = result.value
+      if (result.expiresAt !== undefined) expiresAt = new Date(result.expiresAt).getTime()
+      else if (result.ttlMs !== undefined) expiresAt = now + result.ttlMs
+    }
+    if (value === null || value === undefined || value === '') {
+      throw new Error(`CredentialProvider(${this.name}) returned an empty value`)
+    }
+    if (!Number.isFinite(expiresAt)) throw new Error(`CredentialProvider(${this.name}) returned an invalid expiresAt`)
+    return { value, expiresAt }
+  }
+}
+
+module.exports = CredentialProvider
@@ -0,0 +1,77 @@
+/**
+ * Error Types
+ * Library-specific failures. Each carries a stable `code` so callers can branch without instanceof.
+ */
+
+/**
+ * The connection a transaction was running on was replaced (reconnect / generation bump).
+ * The server already rolled the transaction back together with the old socket.
+ */
+class TransactionAbortedError extends Error {
+  constructor(message, options) {
+    super(message, options)
+    this.name = 'TransactionAbortedError'
+    this.code = 'ETXABORTED'
+  }
+}
+
+/**
+ * The connection dropped after a statement (or COMMIT) was sent, so it may or may not have
+ * been applied on the server. Not retried automatically; `cause` holds the connection error.
+ */
+class AmbiguousWriteError extends Error {
+  constructor(message, options) {
+    super(message, options)
+    this.name = 'AmbiguousWriteError'
+    this.code = 'EAMBIGUOUS'
+  }
+}
+
+/**
+ * Admission control refused a new connection: the service already holds `max` live leases.
+ */
+class ConnectionBudgetExceededError extends Error {
+  constructor(message, { live, max, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'ConnectionBudgetExceededError'
+    this.code = 'EBUDGET'
+    this.live = live
+    this.max = max
+  }
+}
+
+/**
+ * The node we connected to doesn't match targetSessionAttrs (e.g. a demoted primary while
+ * we need read-write). The connection was closed; the connect loop moves on to the next host.
+ */
+class TargetSessionAttrsError extends Error {
+  constructor(message, { host, inRecovery, readOnly } = {}) {
+    super(message)
+    this.name = 'TargetSessionAttrsError'
+    this.code = 'ETARGETSESSION'
+    this.host = host
+    this.inRecovery = inRecovery
+    this.readOnly = readOnly
+  }
+}
+
+/**
+ * The query's AbortSignal fired. The statement was cancelled on the server (57014 in `cause`)
+ * or never sent; it is not retried. name / code match Node's own AbortError.
+ */
+class AbortError extends Error {
+  constructor(message, { reason, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'AbortError'
+    this.code = 'ABORT_ERR'
+    this.reason = reason
+  }
+}
+
+module.exports = {
+  TransactionAbortedError,
+  AmbiguousWriteError,
+  ConnectionBudgetExceededError,
+  TargetSessionAttrsError,
+  AbortError,
+}
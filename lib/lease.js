@@ -4,29 +4,87 @@ const crypto = require('crypto')
  * Lease Manager
  * Handles generation and verification of signed application_name strings.
  * Format: "s=SERVICE;i=INSTANCE_ID;e=TIMESTAMP;g=HMAC"
+ * With a keyring: "s=SERVICE;i=INSTANCE_ID;e=TIMESTAMP;k=KEY_ID;g=HMAC"
  * Short keys used to fit within Postgres 63-byte limit.
  */
 class LeaseManager {
   static APP_NAME_MAX_LEN = 63
   static SIG_LEN = 11 // 8 bytes -> base64url w/o padding => 11 chars
+  static KEY_ID_MAX_LEN = 4 // budget reserved for ";k=<kid>" in every lease, keyring or not
 
   /**
    * @param {string} serviceName - The logical name of the service
    * @param {string} instanceId - Unique ID of this client instance
-   * @param {string} secret - Shared secret for HMAC (coordination secret; NOT db password)
+   * @param {string|Object} secret - Shared secret for HMAC (coordination secret; NOT db password),
+   *   or a keyring { current: 'k2', keys: { k1: '...', k2: '...' } } for zero-downtime rotation
    */
   constructor(serviceName, instanceId, secret) {
     // Keep instanceId compact and delimiter-safe.
     this.instanceId = LeaseManager._sanitizeToken(instanceId || 'inst')
-    if (!secret) {
-      throw new Error('LeaseManager requires a non-empty secret')
-    }
-    if (Buffer.byteLength(String(secret), 'utf8') < 16) {
-      throw new Error('LeaseManager secret is too short; must be at least 16 bytes')
-    }
-    this.secret = secret
+    const ring = LeaseManager._normalizeKeyring(secret)
+    this._keys = ring.keys // Map: keyId (null for a plain secret) -> secret
+    this._retired = [] // [{ kid, secret, until }]: rotated-out keys that still verify
+    this.keyId = ring.current
+    this.secret = ring.keys.get(ring.current)
     // Normalize serviceName so application_name ALWAYS fits into 63 bytes and is LIKE-safe.
-    this.serviceName = LeaseManager._normalizeServiceName(serviceName || 'sls_pg', this.instanceId)
+    this._rawServiceName = serviceName || 'sls_pg'
+    this.serviceName = LeaseManager._normalizeServiceName(this._rawServiceName, this.instanceId)
+  }
+
+  /**
+   * Replaces the instance id (e.g. after a snapshot restore cloned this process).
+   * @param {string} instanceId
+   */
+  setInstanceId(instanceId) {
+    this.instanceId = LeaseManager._sanitizeToken(instanceId || 'inst')
+    this.serviceName = LeaseManager._normalizeServiceName(this._rawServiceName, this.instanceId)
+  }
+
+  /**
+   * Switches to a new secret or keyring. Keys that drop out keep verifying leases for retainMs,
+   * so sessions signed before the rotation (ours or a slower instance's) are still recognized.
+   * Switching between a plain secret and a keyring is allowed; the normalized name doesn't change.
+   * @param {string|Object} secret
+   * @param {Object} [options] - { retainMs } (default 1h)
+   * @returns {boolean} false if nothing changed
+   */
+  rotate(secret, { retainMs = 60 * 60 * 1000 } = {}) {
+    const ring = LeaseManager._normalizeKeyring(secret)
+    const unchanged = ring.current === this.keyId && ring.keys.size === this._keys.size &&
+      [...ring.keys].every(([kid, value]) => this._keys.get(kid) === value)
+    if (unchanged) return false
+
+    const now = Date.now()
+    const until = now + retainMs
+    for (const [kid, value] of this._keys) {
+      if (ring.keys.get(kid) !== value) this._retired.push({ kid, secret: value, until })
+    }
+    this._retired = this._retired.filter(r => r.until > now && ring.keys.get(r.kid) !== r.secret)
+    this._keys = ring.keys
+    this.keyId = ring.current
+    this.secret = ring.keys.get(ring.current)
+    return true
+  }
+
+  /**
+   * Normalizes another service's name exactly like our own (same instance id length),
+   * e.g. for trust-group siblings that share our coordination secret.
+   * @param {string} serviceName
+   * @returns {string}
+   */
+  normalizeServiceName(serviceName) {
+    return LeaseManager._normalizeServiceName(serviceName, this.instanceId)
+  }
+
+  /**
+   * Normalizes a service name as a LeaseManager with this instance id would (only the id's length
+   * matters), e.g. for the server-side reaper's LIKE prefix and lock key.
+   * @param {string} serviceName
+   * @param {string} instanceId
+   * @returns {string}
+   */
+  static normalizeServiceNameFor(serviceName, instanceId) {
+    return LeaseManager._normalizeServiceName(serviceName, instanceId)
   }
 
   /**
@@ -36,9 +94,10 @@ class LeaseManager {
    * @throws {Error} if generated name exceeds 63 bytes
    */
   generateAppName(expirationTs) {
-    // Format: s=...;i=...;e=...
-    const base = `s=${this.serviceName};i=${this.instanceId};e=${expirationTs}`
-    const sig = this._sign(base)
+    // Format: s=...;i=...;e=...[;k=...]
+    let base = `s=${this.serviceName};i=${this.instanceId};e=${expirationTs}`
+    if (this.keyId !== null) base += `;k=${this.keyId}`
+    const sig = this._sign(base, this.secret)
     const result = `${base};g=${sig}`
 
     // Hard guarantee: never exceed Postgres 63-byte truncation limit.
@@ -52,43 +111,116 @@ class LeaseManager {
 
   /**
    * Parses an application_name and verifies its signature and expiration.
+   * Leases carrying a key id are verified with that key (live or retired); leases without one
+   * (signed with a plain secret) are verified against every key, so a plain -> keyring rotation
+   * that keeps the old string as a key still recognizes them.
    * @param {string} appNameString
+   * @param {number} [now=Date.now()] - Reference time (ms) for isExpired; the reaper passes DB time
    * @returns {Object|null} Parsed info if valid format & signature, else null
    */
-  parseAndVerify(appNameString) {
-    if (!appNameString) return null
-
-    // Regex for: s=...;i=...;e=...;g=...
-    const match = appNameString.match(/^s=([^;]+);i=([^;]+);e=([^;]+);g=([^;]+)$/)
-    if (!match) return null
+  parseAndVerify(appNameString, now = Date.now()) {
+    const parsed = LeaseManager.parse(appNameString)
+    if (!parsed) return null
 
-    const [full, s, i, eStr, g] = match
-    const base = `s=${s};i=${i};e=${eStr}`
-    const expectedSig = this._sign(base)
+    const { svc: s, inst: i, kid, sig: g, base } = parsed
+    const nowMs = Date.now()
+    const retired = this._retired.filter(r => r.until > nowMs && (kid === null || r.kid === kid))
+    let candidates
+    if (kid !== null) {
+      const key = this._keys.get(kid)
+      candidates = key ? [{ kid, secret: key }, ...retired] : retired
+      if (candidates.length === 0) return null // Unknown key id -> signed by someone we can't verify
+    } else {
+      candidates = [...[...this._keys].map(([id, secret]) => ({ kid: id, secret })), ...retired]
+    }
 
     // Timing-safe signature comparison
     const bufG = Buffer.from(g, 'utf8')
-    const bufExpected = Buffer.from(expectedSig, 'utf8')
-    if (bufG.length !== bufExpected.length || !crypto.timingSafeEqual(bufG, bufExpected)) return null
+    const match = candidates.find((c) => {
+      const bufExpected = Buffer.from(this._sign(base, c.secret), 'utf8')
+      return bufG.length === bufExpected.length && crypto.timingSafeEqual(bufG, bufExpected)
+    })
+    if (!match) return null
 
-    const exp = parseInt(eStr, 10)
+    const exp = parsed.exp
     if (!Number.isFinite(exp)) return null
     
     return {
       svc: s,
       inst: i,
       exp,
-      isExpired: Date.now() > exp,
+      kid: match.kid,
+      isExpired: now > exp,
       isValidSignature: true
     }
   }
 
-  _sign(text) {
+  /**
+   * Parses the lease format WITHOUT verifying the signature (untrusted; for inspection only).
+   * @param {string} appNameString
+   * @returns {Object|null} { svc, inst, exp, kid, sig, base } or null if not lease-shaped
+   */
+  static parse(appNameString) {
+    if (!appNameString) return null
+
+    // Regex for: s=...;i=...;e=...[;k=...];g=...
+    const match = appNameString.match(/^s=([^;]+);i=([^;]+);e=([^;]+)(?:;k=([^;]+))?;g=([^;]+)$/)
+    if (!match) return null
+
+    const [full, s, i, eStr, kid, g] = match
+    let base = `s=${s};i=${i};e=${eStr}`
+    if (kid !== undefined) base += `;k=${kid}`
+    return { svc: s, inst: i, exp: parseInt(eStr, 10), kid: kid === undefined ? null : kid, sig: g, base }
+  }
+
+  /**
+   * Validates a secret or keyring and lists its keys (keyId null for a plain secret),
+   * e.g. to mirror them into the server-side reaper's secrets table.
+   * @param {string|Object} secret
+   * @returns {Array<{ keyId: string|null, secret: string }>}
+   */
+  static keyEntries(secret) {
+    return [...LeaseManager._normalizeKeyring(secret).keys].map(([keyId, value]) => ({ keyId, secret: value }))
+  }
+
+  _sign(text, secret) {
     // Compact signature: take first 8 bytes of HMAC and encode as base64url (11 chars, no padding)
-    const buf = crypto.createHmac('sha256', this.secret).update(text).digest()
+    const buf = crypto.createHmac('sha256', secret).update(text).digest()
     return buf.subarray(0, 8).toString('base64url')
   }
 
+  static _normalizeKeyring(secret) {
+    if (secret && typeof secret === 'object') {
+      const { current, keys } = secret
+      if (!keys || typeof keys !== 'object' || Object.keys(keys).length === 0) {
+        throw new Error('LeaseManager keyring requires a non-empty keys object')
+      }
+      const map = new Map()
+      for (const [kid, value] of Object.entries(keys)) {
+        if (!/^[A-Za-z0-9_-]+$/.test(kid) || kid.length > LeaseManager.KEY_ID_MAX_LEN) {
+          throw new Error(`LeaseManager key id "${kid}" must be 1-${LeaseManager.KEY_ID_MAX_LEN} chars of [A-Za-z0-9_-]`)
+        }
+        LeaseManager._assertSecret(value, `key "${kid}"`)
+        map.set(kid, value)
+      }
+      if (!map.has(current)) {
+        throw new Error(`LeaseManager keyring current key "${current}" is not in keys`)
+      }
+      return { current, keys: map }
+    }
+    LeaseManager._assertSecret(secret, 'secret')
+    return { current: null, keys: new Map([[null, secret]]) }
+  }
+
+  static _assertSecret(secret, label) {
+    if (!secret) {
+      throw new Error(`LeaseManager requires a non-empty ${label}`)
+    }
+    if (Buffer.byteLength(String(secret), 'utf8') < 16) {
+      throw new Error(`LeaseManager ${label} is too short; must be at least 16 bytes`)
+    }
+  }
+
   static _sanitizeToken(s) {
     // Remove delimiter characters used by our format and LIKE wildcards.
     // Keep it deterministic and log-friendly.
@@ -101,10 +233,12 @@ class LeaseManager {
     const inst = LeaseManager._sanitizeToken(instanceId || 'inst')
 
     // Total format:
-    // s=<svc>;i=<inst>;e=<13digits>;g=<sig>
+    // s=<svc>;i=<inst>;e=<13digits>[;k=<kid>];g=<sig>
     // Fixed overhead excluding <svc>: "s="(2) + ";i="(3) + inst + ";e="(3) + 13 + ";g="(3) + SIG_LEN
-    // => 24 + instLen + SIG_LEN
-    const overhead = 24 + inst.length + LeaseManager.SIG_LEN
+    // => 24 + instLen + SIG_LEN, plus ";k="(3) + KEY_ID_MAX_LEN.
+    // The key id budget is always the max, even for a plain secret, so a longer key id or a
+    // plain <-> keyring rotation never changes the normalized name (the reaper's lock / LIKE prefix).
+    const overhead = 24 + inst.length + LeaseManager.SIG_LEN + 3 + LeaseManager.KEY_ID_MAX_LEN
     const maxSvcLen = Math.max(1, LeaseManager.APP_NAME_MAX_LEN - overhead)
 
     // If sanitization changed the name, we must add a hash suffix to avoid accidental collisions
@@ -0,0 +1,203 @@
+/**
+ * Metrics
+ * Counters and a query latency histogram fed by the client's hook events (config.metrics).
+ * Recording is a Map lookup and an add, cheap enough for every query.
+ *
+ * Two exporters over the same registry:
+ * - prometheus(): cumulative text exposition for long-running services (client.metrics())
+ * - emf(): CloudWatch Embedded Metric Format lines with the deltas since the last flush,
+ *   meant to be written once at the end of each invocation (client.flushMetrics())
+ */
+
+// name -> Prometheus name/help and EMF metric name. Labels stay small and bounded (codes, sources).
+const COUNTERS = {
+  connects: { prom: 'aequor_connects_total', emf: 'Connects', help: 'Successful connects' },
+  reconnects: { prom: 'aequor_reconnects_total', emf: 'Reconnects', help: 'Failed connect attempts that were retried, by error code' },
+  queryErrors: { prom: 'aequor_query_errors_total', emf: 'QueryErrors', help: 'Failed queries, by error code' },
+  queryRetries: { prom: 'aequor_query_retries_total', emf: 'QueryRetries', help: 'Query retries, by SQLSTATE / error code' },
+  transactionRetries: { prom: 'aequor_transaction_retries_total', emf: 'TransactionRetries', help: 'Transaction re-runs, by SQLSTATE / error code' },
+  heartbeatFailures: { prom: 'aequor_heartbeat_failures_total', emf: 'HeartbeatFailures', help: 'Failed lease heartbeats' },
+  reaperRuns: { prom: 'aequor_reaper_runs_total', emf: 'ReaperRuns', help: 'Reaper passes, by whether the service lock was acquired' },
+  reaperKilled: { prom: 'aequor_reaper_killed_total', emf: 'ReaperKilled', help: 'Sessions terminated by the reaper' },
+  reaperCancelled: { prom: 'aequor_reaper_cancelled_total', emf: 'ReaperCancelled', help: 'Queries cancelled by the reaper' },
+  clientDeaths: { prom: 'aequor_client_deaths_total', emf: 'ClientDeaths', help: 'Connections found dead, by source' },
+}
+
+const LATENCY = { prom: 'aequor_query_duration_seconds', emf: 'QueryLatency', help: 'Duration of successful queries, retries included' }
+
+class Metrics {
+  static DEFAULT_BUCKETS_MS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+  static DEFAULT_NAMESPACE = 'PgAequor'
+  // EMF takes at most 100 values per metric per document; bounded memory between flushes.
+  static EMF_MAX_VALUES = 100
+  static MAX_SAMPLES = 10000
+
+  /**
+   * @param {boolean|Object|Metrics} option - config.metrics: true, { namespace, dimensions, buckets }, or a shared instance
+   * @param {Object} [defaults] - { dimensions }
+   * @returns {Metrics|null}
+   */
+  static create(option, defaults = {}) {
+    if (!option) return null
+    if (option instanceof Metrics) return option
+    const settings = option === true ? {} : option
+    return new Metrics({
+      ...settings,
+      dimensions: { ...defaults.dimensions, ...settings.dimensions },
+    })
+  }
+
+  constructor({ namespace = Metrics.DEFAULT_NAMESPACE, dimensions = {}, buckets = Metrics.DEFAULT_BUCKETS_MS } = {}) {
+    this.namespace = namespace
+    this.dimensions = dimensions
+    this._buckets = [...buckets].sort((a, b) => a - b)
+    this._series = new Map() // key -> { name, labels, value, flushed }
+    this._latency = { counts: new Array(this._buckets.length + 1).fill(0), sum: 0, count: 0 }
+    this._samples = [] // latency since the last EMF flush
+  }
+
+  inc(name, labels = null, by = 1) {
+    const key = labels ? `${name}|${Object.entries(labels).map(([k, v]) => `${k}=${v}`).join(',')}` : name
+    let series = this._series.get(key)
+    if (!series) {
+      series = { name, labels, value: 0, flushed: 0 }
+      this._series.set(key, series)
+    }
+    series.value += by
+  }
+
+  observeLatency(ms) {
+    const h = this._latency
+    let i = 0
+    while (i < this._buckets.length && ms > this._buckets[i]) i++
+    h.counts[i]++
+    h.sum += ms
+    h.count++
+    if (this._samples.length < Metrics.MAX_SAMPLES) this._samples.push(ms)
+  }
+
+  /**
+   * Maps a client hook event onto the registry.
+   * @param {string} event - Hook name (onConnect, onQueryEnd, ...)
+   * @param {Object} payload
+   */
+  record(event, payload) {
+    switch (event) {
+      case 'onQueryEnd': return this.observeLatency(payload.duration)
+      case 'onQueryError': return this.inc('queryErrors', { code: Metrics.errorCode(payload.err) })
+      case 'onQueryRetry': return this.inc('queryRetries', { code: Metrics.errorCode(payload.err) })
+      case 'onConnect': return this.inc('connects')
+      case 'onReconnect': return this.inc('reconnects', { code: Metrics.errorCode(payload.err) })
+      case 'onTransactionRetry': return this.inc('transactionRetries', { code: Metrics.errorCode(payload.err) })
+      case 'onHeartbeatFail': return this.inc('heartbeatFailures')
+      case 'onClientDead': return this.inc('clientDeaths', { source: payload.source })
+      case 'onReap':
+        this.inc('reaperRuns', { locked: payload.locked ? 'true' : 'false' })
+        if (payload.killed) this.inc('reaperKilled', null, payload.killed)
+        if (payload.cancelled) this.inc('reaperCancelled', null, payload.cancelled)
+    }
+  }
+
+  static errorCode(err) {
+    return String((err && (err.code || err.sqlstate)) || 'unknown')
+  }
+
+  /**
+   * Prometheus text exposition format (cumulative since start).
+   * @returns {string}
+   */
+  prometheus() {
+    const lines = []
+    const byName = new Map()
+    for (const series of this._series.values()) {
+      if (!byName.has(series.name)) byName.set(series.name, [])
+      byName.get(series.name).push(series)
+    }
+    for (const [name, def] of Object.entries(COUNTERS)) {
+      const list = byName.get(name)
+      if (!list) continue
+      lines.push(`# HELP ${def.prom} ${def.help}`, `# TYPE ${def.prom} counter`)
+      for (const series of list) lines.push(`${def.prom}${Metrics._promLabels(series.labels)} ${series.value}`)
+    }
+
+    const h = this._latency
+    lines.push(`# HELP ${LATENCY.prom} ${LATENCY.help}`, `# TYPE ${LATENCY.prom} histogram`)
+    let cumulative = 0
+    this._buckets.forEach((le, i) => {
+      cumulative += h.counts[i]
+      lines.push(`${LATENCY.prom}_bucket{le="${le / 1000}"} ${cumulative}`)
+    })
+    lines.push(`${LATENCY.prom}_bucket{le="+Inf"} ${h.count}`)
+    lines.push(`${LATENCY.prom}_sum ${h.sum / 1000}`, `${LATENCY.prom}_count ${h.count}`)
+    return `${lines.join('\n')}\n`
+  }
+
+  /**
+   * CloudWatch EMF documents with everything recorded since the previous call (then reset).
+   * One document per label set; latency samples are split into chunks of EMF_MAX_VALUES.
+   * @param {Object} [options] - { timestamp }
+   * @returns {string[]} JSON lines
+   */
+  emf({ timestamp = Date.now() } = {}) {
+    const groups = new Map() // label key -> { labels, values: { emfName: value }, units }
+    const group = (labels) => {
+      const key = labels ? JSON.stringify(labels) : ''
+      if (!groups.has(key)) groups.set(key, { labels: labels || {}, values: {}, units: {} })
+      return groups.get(key)
+    }
+    for (const series of this._series.values()) {
+      const delta = series.value - series.flushed
+      if (delta === 0) continue
+      series.flushed = series.value
+      const g = group(series.labels)
+      g.values[COUNTERS[series.name].emf] = delta
+      g.units[COUNTERS[series.name].emf] = 'Count'
+    }
+
+    // The first latency chunk joins the unlabeled counters; further chunks get documents of their own.
+    const overflow = []
+    const samples = this._samples
+    this._samples = []
+    for (let i = 0; i < samples.length; i += Metrics.EMF_MAX_VALUES) {
+      const g = i === 0 ? group(null) : { labels: {}, values: {}, units: {} }
+      g.values[LATENCY.emf] = samples.slice(i, i + Metrics.EMF_MAX_VALUES)
+      g.units[LATENCY.emf] = 'Milliseconds'
+      if (i > 0) overflow.push(g)
+    }
+
+    return [...groups.values(), ...overflow].map(g => JSON.stringify({
+      _aws: {
+        Timestamp: timestamp,
+        CloudWatchMetrics: [{
+          Namespace: this.namespace,
+          Dimensions: [[...Object.keys(this.dimensions), ...Object.keys(g.labels)]],
+          Metrics: Object.keys(g.values).map(name => ({ Name: name, Unit: g.units[name] })),
+        }],
+      },
+      ...this.dimensions,
+      ...g.labels,
+      ...g.values,
+    }))
+  }
+
+  /**
+   * Writes emf() lines (stdout by default, where the Lambda runtime ships them to CloudWatch).
+   * @param {Object} [options] - { write: (line) => void, timestamp }
+   * @returns {string[]} The lines written
+   */
+  flush({ write = line => process.stdout.write(`${line}\n`), timestamp } = {}) {
+    const lines = this.emf({ timestamp })
+    for (const line of lines) write(line)
+    return lines
+  }
+
+  static _promLabels(labels) {
+    if (!labels) return ''
+    const body = Object.entries(labels)
+      .map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+      .join(',')
+    return `{${body}}`
+  }
+}
+
+module.exports = Metrics
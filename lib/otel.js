@@ -0,0 +1,121 @@
+const Logger = require('./logger')
+
+/**
+ * OpenTelemetry Instrumentation
+ * Opt-in (config.openTelemetry). Uses @opentelemetry/api when it is installed; without it the
+ * client runs uninstrumented. Spans follow the database semantic conventions (db.system,
+ * db.namespace, db.operation.name, db.query.text, server.address) plus aequor.* attributes:
+ * generation, retry count, lease remaining and backend pid.
+ *
+ * Span tree of one query: aequor.query (INTERNAL) > aequor.connect > aequor.connect.attempt,
+ * and one CLIENT span per query attempt. Heartbeats and reaper passes get their own spans,
+ * parented to whatever context triggered them.
+ */
+
+// Stand-in when tracing is off, so call sites never branch.
+const NOOP_SPAN = {
+  setAttribute() { return this },
+  setAttributes() { return this },
+  recordException() {},
+  setStatus() { return this },
+}
+
+// SpanKind / SpanStatusCode values of @opentelemetry/api (stable since 1.0).
+const SPAN_KIND = { INTERNAL: 0, CLIENT: 2 }
+const STATUS_ERROR = 2
+
+class Instrumentation {
+  static NOOP_SPAN = NOOP_SPAN
+  static SPAN_KIND = SPAN_KIND
+
+  /**
+   * @param {boolean|Object} option - config.openTelemetry: true, or { api, tracer, tracerProvider, captureQueryText }
+   * @param {Logger} [logger]
+   * @returns {Instrumentation|null} null when disabled or @opentelemetry/api is missing
+   */
+  static create(option, logger = Logger.from(null)) {
+    if (!option) return null
+    const settings = option === true ? {} : option
+    const api = settings.api || Instrumentation._loadApi()
+    if (!api) {
+      logger.debug('otel_unavailable', 'openTelemetry: @opentelemetry/api is not installed, tracing disabled')
+      return null
+    }
+    const { name, version } = require('../package.json')
+    const tracer = settings.tracer ||
+      (settings.tracerProvider ? settings.tracerProvider.getTracer(name, version) : api.trace.getTracer(name, version))
+    return new Instrumentation(api, tracer, { captureQueryText: settings.captureQueryText !== false })
+  }
+
+  static _loadApi() {
+    try {
+      return require('@opentelemetry/api')
+    } catch (_) {
+      return null
+    }
+  }
+
+  constructor(api, tracer, { captureQueryText = true } = {}) {
+    this._api = api
+    this._tracer = tracer
+    this._captureQueryText = captureQueryText
+  }
+
+  /**
+   * Runs fn(span) inside a span that is a child of the active context (and active for fn).
+   * Thrown errors are recorded and rethrown.
+   */
+  async span(name, { kind = SPAN_KIND.INTERNAL, attributes } = {}, fn) {
+    const { context, trace } = this._api
+    const parent = context.active()
+    const span = this._tracer.startSpan(name, { kind, attributes }, parent)
+    try {
+      return await context.with(trace.setSpan(parent, span), () => fn(span))
+    } catch (err) {
+      span.recordException(err)
+      span.setStatus({ code: STATUS_ERROR, message: err && err.message })
+      if (err && err.code) span.setAttribute('error.type', String(err.code))
+      throw err
+    } finally {
+      span.end()
+    }
+  }
+
+  /**
+   * Connection-level attributes (server.address, db.namespace, ...).
+   * @param {Object} target - Effective pg config (host/port/database)
+   */
+  static connectionAttributes(target) {
+    const attributes = { 'db.system': 'postgresql' }
+    if (target.database) attributes['db.namespace'] = String(target.database)
+    if (target.host) attributes['server.address'] = String(target.host)
+    if (target.port) attributes['server.port'] = Number(target.port)
+    return attributes
+  }
+
+  /**
+   * Statement attributes from pg query arguments. Text only: bound values are never recorded.
+   * @param {Array} args - (text, values) / (config)
+   */
+  queryAttributes(args) {
+    const text = typeof args[0] === 'string' ? args[0] : (args[0] && args[0].text) || ''
+    const attributes = {}
+    const operation = Instrumentation.operationName(text)
+    if (operation) attributes['db.operation.name'] = operation
+    if (this._captureQueryText && text) attributes['db.query.text'] = text
+    return attributes
+  }
+
+  // Semantic conventions: the operation name, or the system when the statement doesn't tell.
+  querySpanName(args) {
+    return this.queryAttributes(args)['db.operation.name'] || 'postgresql'
+  }
+
+  // First keyword of the statement (SELECT, INSERT, ...), skipping leading comments and parentheses.
+  static operationName(text) {
+    const m = /^(?:\s|\(|--[^\n]*\n|\/\*[\s\S]*?\*\/)*([A-Za-z]+)/.exec(String(text))
+    return m ? m[1].toUpperCase() : null
+  }
+}
+
+module.exports = Instrumentation
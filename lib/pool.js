@@ -0,0 +1,321 @@
+const AequorClient = require('./client')
+const CredentialProvider = require('./credentials')
+const Metrics = require('./metrics')
+
+/**
+ * Aequor Pool
+ * Lease-aware multi-connection pool for long-lived services (ECS/Fargate, plain Node servers).
+ * Every member is a full AequorClient: its own signed lease, heartbeat and crash-safe disposal.
+ * At most one member per service and container runs the reaper, however many pools there are,
+ * so a busy container never turns into a reaper storm.
+ */
+
+// Process-wide reaper ownership: service name -> the one member (of any pool) running the reaper.
+const reaperOwners = new Map()
+
+class AequorPool {
+  constructor(config = {}) {
+    const { min, max, idleTimeoutMs, acquireTimeoutMs, maintenanceIntervalMs, ...clientConfig } = config
+    this._min = min ?? 0
+    this._max = max ?? 10
+    if (!(this._max >= 1)) throw new Error('AequorPool requires max >= 1')
+    if (!(this._min >= 0) || this._min > this._max) throw new Error('AequorPool requires 0 <= min <= max')
+    this._idleTimeoutMs = idleTimeoutMs ?? 10000 // 0 => never evict idle members
+    this._acquireTimeoutMs = acquireTimeoutMs ?? 10000 // 0 => wait forever
+    // Idle members send nothing on their own: renew their leases and run the reaper owner's
+    // passes on a timer. 0 => idle leases expire and the reaper only runs on connect.
+    this._maintenanceIntervalMs = maintenanceIntervalMs ?? 10000
+    this._maintenanceTimer = null
+    this._maintaining = false
+
+    // Members share one cache per credential provider (one fetch per refresh, not one per member).
+    this._clientConfig = CredentialProvider.wrapConfig(clientConfig)
+    // ...and one metrics registry, so pool.metrics() covers every member.
+    this._metrics = Metrics.create(clientConfig.metrics, {
+      dimensions: { ServiceName: clientConfig.serviceName || process.env.AWS_LAMBDA_FUNCTION_NAME || 'sls_pg' },
+    })
+    if (this._metrics) this._clientConfig.metrics = this._metrics
+    this._reaperWanted = clientConfig.reaper !== false
+    this._service = clientConfig.serviceName || process.env.AWS_LAMBDA_FUNCTION_NAME || 'sls_pg'
+
+    this._members = new Map() // AequorClient -> { checkedOut, idleTimer }
+    this._idle = [] // LIFO: hottest member first
+    this._waiters = []
+    this._pending = 0 // members currently connecting
+    this._ended = false
+  }
+
+  get totalCount() {
+    return this._members.size + this._pending
+  }
+
+  get idleCount() {
+    return this._idle.length
+  }
+
+  get waitingCount() {
+    return this._waiters.length
+  }
+
+  /**
+   * Warms the pool up to `min` connected members.
+   */
+  async connect() {
+    this._assertOpen()
+    const missing = this._min - this.totalCount
+    const created = []
+    for (let i = 0; i < missing; i++) created.push(this._createMember())
+    const members = await Promise.all(created)
+    for (const member of members) this._makeIdle(member)
+  }
+
+  /**
+   * Checks out a connected member. Call `client.release()` when done.
+   * @returns {Promise<AequorClient>}
+   */
+  async acquire() {
+    this._assertOpen()
+    const idle = this._idle.pop()
+    if (idle) return this._checkout(idle)
+    if (this.totalCount < this._max) return this._checkout(await this._createMember())
+    return this._enqueueWaiter()
+  }
+
+  /**
+   * Runs a single query on a checked-out member and releases it.
+   */
+  async query(...args) {
+    const client = await this.acquire()
+    try {
+      return await client.query(...args)
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Runs client.transaction(fn, options) on a checked-out member and releases it.
+   */
+  async transaction(fn, options) {
+    const client = await this.acquire()
+    try {
+      return await client.transaction(fn, options)
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Prometheus text exposition of the metrics of all members (config.metrics; '' when off).
+   * @returns {string}
+   */
+  metrics() {
+    return this._metrics ? this._metrics.prometheus() : ''
+  }
+
+  /**
+   * Writes the members' metrics recorded since the last flush as CloudWatch EMF lines.
+   * @param {Object} [options] - { write: (line) => void }
+   * @returns {string[]} The lines written
+   */
+  flushMetrics(options) {
+    return this._metrics ? this._metrics.flush(options) : []
+  }
+
+  async end() {
+    if (this._ended) return
+    this._ended = true
+    if (this._maintenanceTimer) clearInterval(this._maintenanceTimer)
+    this._maintenanceTimer = null
+    const err = new Error('Pool was ended')
+    for (const waiter of this._waiters.splice(0)) {
+      if (waiter.timer) clearTimeout(waiter.timer)
+      waiter.reject(err)
+    }
+    // Checked-out members are destroyed on release.
+    await Promise.all(this._idle.splice(0).map(member => this._destroy(member)))
+  }
+
+  async _createMember() {
+    // Reserve reaper ownership synchronously so concurrent creations can't both claim it.
+    const ownsReaper = this._reaperWanted && !reaperOwners.has(this._service)
+    const member = new AequorClient({ ...this._clientConfig, reaper: ownsReaper })
+    if (ownsReaper) reaperOwners.set(this._service, member)
+    this._pending++
+    try {
+      await member.connect()
+    } catch (err) {
+      this._pending--
+      if (reaperOwners.get(this._service) === member) reaperOwners.delete(this._service)
+      await member.end().catch(() => {})
+      throw err
+    }
+    this._pending--
+    this._members.set(member, { checkedOut: false, idleTimer: null })
+    if (this._ended) {
+      await this._destroy(member)
+      throw new Error('Pool was ended')
+    }
+    return member
+  }
+
+  _checkout(member) {
+    const meta = this._members.get(member)
+    if (meta.idleTimer) {
+      clearTimeout(meta.idleTimer)
+      meta.idleTimer = null
+    }
+    meta.checkedOut = true
+    member.release = (err) => this._release(member, err)
+    return member
+  }
+
+  _release(member, err) {
+    const meta = this._members.get(member)
+    if (!meta || !meta.checkedOut) {
+      throw new Error('Release called on client which has already been released to the pool.')
+    }
+    meta.checkedOut = false
+    delete member.release
+
+    // Passing an error (pg.Pool semantics) means "do not reuse this connection".
+    if (err || this._ended) {
+      this._destroy(member).catch(() => {})
+      this._pump()
+      return
+    }
+    this._offer(member)
+  }
+
+  // Hand a free member to the oldest waiter, or park it as idle.
+  _offer(member) {
+    const waiter = this._waiters.shift()
+    if (waiter) {
+      if (waiter.timer) clearTimeout(waiter.timer)
+      waiter.resolve(this._checkout(member))
+      return
+    }
+    this._makeIdle(member)
+  }
+
+  _makeIdle(member) {
+    const meta = this._members.get(member)
+    this._idle.push(member)
+    this._startMaintenance()
+    if (this._idleTimeoutMs > 0 && this._members.size > this._min) {
+      meta.idleTimer = setTimeout(() => this._evict(member), this._idleTimeoutMs)
+      if (meta.idleTimer.unref) meta.idleTimer.unref()
+    }
+  }
+
+  _evict(member) {
+    const idx = this._idle.indexOf(member)
+    if (idx === -1) return
+    // Never shrink below min (another member may have been destroyed meanwhile).
+    if (this._members.size <= this._min) {
+      this._members.get(member).idleTimer = null
+      return
+    }
+    this._idle.splice(idx, 1)
+    this._destroy(member).catch(() => {})
+  }
+
+  async _destroy(member) {
+    const meta = this._members.get(member)
+    if (meta && meta.idleTimer) clearTimeout(meta.idleTimer)
+    this._members.delete(member)
+    if (reaperOwners.get(this._service) === member) this._handOffReaper()
+    await member.end()
+  }
+
+  _startMaintenance() {
+    if (this._maintenanceTimer || !(this._maintenanceIntervalMs > 0) || this._ended) return
+    this._maintenanceTimer = setInterval(() => {
+      this._maintain().catch(() => {})
+    }, this._maintenanceIntervalMs)
+    if (this._maintenanceTimer.unref) this._maintenanceTimer.unref()
+  }
+
+  /**
+   * Heartbeats idle members whose lease is due (otherwise other containers reap them as
+   * zombies) and gives the reaper owner its scheduled pass while it is idle. Checked-out
+   * members heartbeat on their own queries; the owner never reaps inside a caller's transaction.
+   */
+  async _maintain() {
+    if (this._maintaining || this._ended) return
+    this._maintaining = true
+    try {
+      // Ownership another pool gave up (it was ended) is picked up here.
+      this._claimReaper()
+      for (const member of this._idle.slice()) {
+        if (!this._idle.includes(member)) continue // checked out meanwhile
+        try {
+          await member.renewLease()
+        } catch (_) {
+          // heartbeatErrorMode 'throw': the member reconnects on its next checkout.
+        }
+      }
+      const owner = reaperOwners.get(this._service)
+      if (owner && this._idle.includes(owner)) await owner.reapIfDue()
+    } finally {
+      this._maintaining = false
+    }
+  }
+
+  // The owner is gone: hand ownership to another member of this pool, else free it for any pool
+  // of the service in this container.
+  _handOffReaper() {
+    reaperOwners.delete(this._service)
+    if (!this._ended) this._claimReaper()
+  }
+
+  _claimReaper() {
+    if (!this._reaperWanted || reaperOwners.has(this._service)) return
+    // Prefer an idle member; any member will do. Already connected: its passes come from
+    // _maintain() (preflight included) from now on.
+    const candidates = [...this._idle.slice().reverse(), ...this._members.keys()]
+    const next = candidates.find(member => member.setReaperEnabled(true))
+    if (next) reaperOwners.set(this._service, next)
+  }
+
+  _enqueueWaiter() {
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null, timedOut: false }
+      if (this._acquireTimeoutMs > 0) {
+        waiter.timer = setTimeout(() => {
+          waiter.timedOut = true
+          const idx = this._waiters.indexOf(waiter)
+          if (idx !== -1) this._waiters.splice(idx, 1)
+          const e = new Error(`Timed out acquiring a pooled connection after ${this._acquireTimeoutMs}ms`)
+          e.code = 'EACQUIRETIMEOUT'
+          reject(e)
+        }, this._acquireTimeoutMs)
+      }
+      this._waiters.push(waiter)
+    })
+  }
+
+  // A member went away while callers are waiting: open a replacement for the first waiter.
+  _pump() {
+    if (this._ended || this._waiters.length === 0 || this.totalCount >= this._max) return
+    const waiter = this._waiters.shift()
+    this._createMember().then(
+      (member) => {
+        if (waiter.timer) clearTimeout(waiter.timer)
+        // The caller gave up while we were connecting: keep the member for the next one.
+        if (waiter.timedOut) return this._offer(member)
+        waiter.resolve(this._checkout(member))
+      },
+      (err) => {
+        if (waiter.timer) clearTimeout(waiter.timer)
+        if (!waiter.timedOut) waiter.reject(err)
+      }
+    )
+  }
+
+  _assertOpen() {
+    if (this._ended) throw new Error('Cannot use a pool after calling end() on the pool')
+  }
+}
+
+module.exports = AequorPool
@@ -1,3 +1,6 @@
+const LeaseManager = require('./lease')
+const Logger = require('./logger')
+
 /**
  * Connection Reaper
  * Safely kills zombie connections using Advisory Locks and Signed Leases.
@@ -6,101 +9,108 @@ class Reaper {
   // Namespace advisory locks to avoid collisions with other apps in same DB.
   // 0x50474151 corresponds to "PGAQ" (pg-aequor) in ASCII.
   static LOCK_NS = 0x50474151
+  // Adaptive scheduling: configured values at or below RELAXED, fully aggressive at AGGRESSIVE.
+  static RELAXED_UTILIZATION = 0.2
+  static AGGRESSIVE_UTILIZATION = 0.8
   /**
    * Runs the reaping process.
    * @param {Object} client - The connected pg.Client
    * @param {Object} config - Config including database name
    * @param {LeaseManager} leaseManager - For verifying leases
-   * @param {Object} strategy - { minConnIdleTimeSec, connUtilization }
-   * @param {Function} logger
+   * @param {Object} strategy - { minConnIdleTimeSec, reapStates, maxIdleConnectionsToKill, reapServices }
+   * @param {Logger|Function} logger - Structured logger, or a legacy (message) => void callback
    */
   static async reap(client, config, leaseManager, strategy, logger) {
-    const serviceName = leaseManager.serviceName
-    let locked = false
+    const log = Logger.from(logger)
+    // Trust group: our own service plus declared siblings sharing the coordination secret.
+    const group = Reaper.groupServices(leaseManager, strategy.reapServices)
+    const lockedServices = []
     
-    // 1. Acquire Advisory Lock (Non-blocking)
+    // 1. Acquire Advisory Locks (Non-blocking), one per service of the group.
     // Use Postgres native hashtext() to get a consistent 64-bit lock ID from the service string.
-    // This avoids JS-side 32-bit hash collisions.
+    // This avoids JS-side 32-bit hash collisions. Per-service keys mean a group leader, a
+    // single-service reaper and a leader of an overlapping group never reap the same service at once.
     
     try {
-      const lockRes = await client.query(
-        `SELECT pg_try_advisory_lock($1::int, hashtext($2)) as locked`,
-        [Reaper.LOCK_NS, serviceName]
-      )
-      if (lockRes.rows[0].locked !== true) {
-        logger(`Reaper[pid=${process.pid}]: Lock busy, skipping`)
+      for (const serviceName of group) {
+        const lockRes = await client.query(
+          `SELECT pg_try_advisory_lock($1::int, hashtext($2)) as locked`,
+          [Reaper.LOCK_NS, serviceName]
+        )
+        if (lockRes.rows[0].locked === true) lockedServices.push(serviceName)
+      }
+      if (lockedServices.length === 0) {
+        log.debug('reaper_lock_busy', `Reaper[pid=${process.pid}]: Lock busy, skipping`, { services: group })
         return { locked: false, killed: 0 }
       }
-      locked = true
 
       // 2. Scan for zombies
-      const minIdle = strategy.minConnIdleTimeSec
-      
-      // Fetch idle connections that look like our service
-      // Exclude self (pg_backend_pid())
-      // Optimization: Filter by application_name prefix in SQL to reduce result set size.
-      const query = `
-        SELECT pid, application_name, extract(epoch from (now() - state_change)) as idle_time
-        FROM pg_stat_activity 
-        WHERE datname = current_database() 
-          AND state = 'idle' 
-          AND pid <> pg_backend_pid()
-          AND application_name LIKE $1 || '%'
-      `
-      
+      const states = Reaper.normalizeStates(strategy.reapStates, strategy.minConnIdleTimeSec)
       // Correctness > optimization: do not prefilter using untrusted application_name.
-      const res = await client.query(query, [`s=${leaseManager.serviceName};`])
-      const candidates = []
+      const prefixes = lockedServices.map(svc => `s=${svc};`)
+      const filter = prefixes.length === 1 ? { prefix: prefixes[0] } : { prefixes }
+      const rows = await Reaper.scan(client, { ...filter, states: Object.keys(states) })
+      const toTerminate = []
+      const toCancel = []
 
-      for (const row of res.rows) {
-        if (row.idle_time < minIdle) continue
+      for (const row of rows) {
+        const entry = Reaper.classify(row, leaseManager, states, lockedServices)
+        // Only valid signature + expired + past the state's threshold -> ZOMBIE.
+        // Invalid format or signature -> unsafe to touch (could be neighbor with different secret).
+        if (entry.action === 'terminate') toTerminate.push(entry)
+        else if (entry.action === 'cancel') toCancel.push(entry)
+      }
 
-        const lease = leaseManager.parseAndVerify(row.application_name)
-        
-        if (!lease) {
-          // Invalid format or signature -> Unsafe to touch (could be neighbor with different secret)
-          continue
-        }
+      // 3. Terminate zombies (cancel first where configured)
+      const limit = Math.max(1, Number(strategy.maxIdleConnectionsToKill) || 1)
+      if (strategy.dryRun) {
+        const wouldCancel = Reaper._selectStalest(toCancel, limit)
+        const wouldKill = Reaper._selectStalest(toTerminate, limit)
+        log.info('reaper_dry_run', `Reaper[pid=${process.pid}]: dry run, would cancel ${wouldCancel.length} and kill ${wouldKill.length}`, {
+          services: lockedServices, wouldCancel: wouldCancel.length, wouldKill: wouldKill.length,
+        })
+        return { locked: true, services: lockedServices, killed: 0, cancelled: 0, killedByState: {}, cancelledByState: {}, dryRun: true, wouldKill, wouldCancel }
+      }
+      const cancelled = await Reaper._signal(client, 'pg_cancel_backend', 'Cancelling', toCancel, limit, log)
+      const killed = await Reaper._signal(client, 'pg_terminate_backend', 'Killing', toTerminate, limit, log)
 
-        if (lease.isExpired) {
-          // Valid signature, but expired -> ZOMBIE
-          candidates.push({
-            pid: row.pid,
-            idle_time: Number(row.idle_time) || 0,
-            exp: lease.exp,
-          })
+      // Audit trail: one record per signalled session, optionally persisted in the same pass.
+      const audit = [
+        ...cancelled.map(e => Reaper.auditRecord(e, 'cancel')),
+        ...killed.map(e => Reaper.auditRecord(e, 'terminate')),
+      ]
+      let auditError = null
+      if (strategy.auditTable && audit.length > 0) {
+        try {
+          await Reaper.writeAudit(client, strategy.auditTable, leaseManager, audit)
+        } catch (err) {
+          // The sessions are already gone; a failed insert must not turn the pass into a failure.
+          auditError = err
+          log.warn('reaper_audit_failed', `Reaper[pid=${process.pid}]: audit insert failed: ${err.message}`, { err })
         }
-        // else: Lease valid -> ACTIVE neighbor -> Do not kill
       }
 
-      // 3. Terminate zombies
-      if (candidates.length > 0) {
-        // Deterministic: kill the "stale-est" first.
-        // Primary: oldest expiration (smallest exp) -> longest expired.
-        // Secondary: largest idle_time.
-        candidates.sort((a, b) => (a.exp - b.exp) || (b.idle_time - a.idle_time) || (a.pid - b.pid))
-
-        const limit = Math.max(1, Number(strategy.maxIdleConnectionsToKill) || 1)
-        const selected = candidates.slice(0, limit)
-        const pidsToKill = selected.map(x => x.pid)
-
-        // Log a compact reason line for debugging.
-        const meta = selected.map(x => `pid=${x.pid},idle=${Math.round(x.idle_time)}s,expDelta=${Math.round((Date.now() - x.exp) / 1000)}s`).join(' | ')
-        logger(`Reaper[pid=${process.pid}]: Killing ${pidsToKill.length} zombies: ${meta}`)
-        // Cast to int[] to be safe
-        await client.query(`SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE pid = ANY($1::int[])`, [pidsToKill])
-        return { locked: true, killed: pidsToKill.length }
+      return {
+        locked: true,
+        services: lockedServices,
+        killed: killed.length,
+        cancelled: cancelled.length,
+        killedByState: Reaper._countByState(killed),
+        cancelledByState: Reaper._countByState(cancelled),
+        // Classified entries of the signalled sessions (for reports).
+        killedSessions: killed,
+        cancelledSessions: cancelled,
+        audit,
+        auditError,
       }
-      
-      return { locked: true, killed: 0 }
 
     } catch (err) {
-      logger(`Reaper[pid=${process.pid}] failed:`, err && (err.stack || err.message || err))
+      log.error('reaper_failed', `Reaper[pid=${process.pid}] failed: ${err && (err.stack || err.message || err)}`, { err })
       if (strategy && strategy.reaperErrorMode === 'throw') throw err
       return { locked: false, killed: 0, error: err }
     } finally {
-      // 4. Release Lock
-      if (locked) {
+      // 4. Release Locks
+      for (const serviceName of lockedServices) {
         try {
           await client.query(
             `SELECT pg_advisory_unlock($1::int, hashtext($2))`,
@@ -110,6 +120,278 @@ class Reaper {
       }
     }
   }
+
+  /**
+   * Normalized service names of the trust group (own service + reapServices), sorted and unique.
+   * @param {LeaseManager} leaseManager
+   * @param {string[]} [reapServices] - Sibling service names as configured on their clients
+   * @returns {string[]}
+   */
+  static groupServices(leaseManager, reapServices) {
+    const names = new Set([leaseManager.serviceName])
+    for (const name of reapServices || []) names.add(leaseManager.normalizeServiceName(name))
+    return [...names].sort()
+  }
+
+  /**
+   * Normalizes the reapable-states config.
+   * Input: { [state]: terminateAfterSec | { cancelAfterSec?, terminateAfterSec } }.
+   * Default: only 'idle' sessions, after minConnIdleTimeSec.
+   * @returns {Object} { [state]: { cancelAfterSec: number|null, terminateAfterSec: number } }
+   */
+  static normalizeStates(reapStates, minConnIdleTimeSec) {
+    const input = reapStates || { idle: minConnIdleTimeSec }
+    const out = {}
+    for (const [state, rule] of Object.entries(input)) {
+      if (rule === false || rule == null) continue
+      const r = typeof rule === 'number' ? { terminateAfterSec: rule } : rule
+      const terminateAfterSec = Number(r.terminateAfterSec ?? minConnIdleTimeSec)
+      const cancelAfterSec = r.cancelAfterSec == null ? null : Number(r.cancelAfterSec)
+      out[state] = { cancelAfterSec, terminateAfterSec }
+    }
+    return out
+  }
+
+  /**
+   * Reads backends of the current database from pg_stat_activity.
+   * @param {Object} client
+   * @param {Object} [filter] - { prefix | prefixes, states }: only other backends in these states
+   *   whose application_name starts with prefix (or one of prefixes). Without a filter every
+   *   backend is returned (incl. self).
+   * @returns {Promise<Object[]>}
+   */
+  static async scan(client, { prefix, prefixes, states } = {}) {
+    const params = []
+    let where = 'datname = current_database()'
+    if (prefix) {
+      // Optimization: Filter by application_name prefix in SQL to reduce result set size.
+      // Exclude self (pg_backend_pid())
+      params.push(prefix)
+      where += ` AND pid <> pg_backend_pid() AND application_name LIKE $${params.length} || '%'`
+    } else if (prefixes) {
+      params.push(prefixes.map(p => `${p}%`))
+      where += ` AND pid <> pg_backend_pid() AND application_name LIKE ANY($${params.length}::text[])`
+    }
+    if (states) {
+      params.push(states)
+      where += ` AND state = ANY($${params.length}::text[])`
+    }
+    const query = `
+      SELECT pid, state, application_name, usename, client_addr, backend_start,
+             extract(epoch from (now() - state_change)) as idle_time,
+             pid = pg_backend_pid() as is_self,
+             (extract(epoch from clock_timestamp()) * 1000)::float8 as db_now_ms
+      FROM pg_stat_activity 
+      WHERE ${where}
+    `
+    const res = await client.query(query, params)
+    return res.rows
+  }
+
+  /**
+   * Classifies one pg_stat_activity row. Expiry is judged against the row's db_now_ms
+   * (database clock_timestamp()), not the local clock; Date.now() only without it.
+   * Categories: 'self' | 'own-active' | 'own-expired' (reapable) | 'own-expired-too-fresh'
+   *   (expired, but idle below the state's threshold or state not reapable)
+   *   | 'foreign-signed' (lease-shaped, but wrong secret or outside `services`) | 'unsigned'.
+   * `own` means one of `services` (default: the leaseManager's own service).
+   * @returns {Object} entry with `category` and `action` ('terminate' | 'cancel' | null)
+   */
+  static classify(row, leaseManager, states, services = [leaseManager.serviceName]) {
+    const now = Reaper.rowNow(row)
+    const idleSec = Number(row.idle_time) || 0
+    const lease = leaseManager.parseAndVerify(row.application_name, now)
+    const shape = lease || LeaseManager.parse(row.application_name)
+    const entry = {
+      pid: row.pid,
+      category: null,
+      action: null,
+      state: row.state,
+      service: shape ? shape.svc : null,
+      instanceId: shape ? shape.inst : null,
+      idleSec,
+      // now - exp: positive => expired that long ago, negative => time left. Untrusted unless own-*.
+      leaseExpDeltaMs: shape && Number.isFinite(shape.exp) ? now - shape.exp : null,
+      exp: shape ? shape.exp : null,
+      usename: row.usename,
+      clientAddr: row.client_addr,
+      backendStart: row.backend_start,
+      applicationName: row.application_name,
+    }
+
+    if (row.is_self) {
+      entry.category = 'self'
+    } else if (!shape) {
+      entry.category = 'unsigned'
+    } else if (!lease || !services.includes(lease.svc)) {
+      entry.category = 'foreign-signed'
+    } else if (!lease.isExpired) {
+      entry.category = 'own-active'
+    } else {
+      const rule = states[row.state]
+      if (rule && idleSec >= rule.terminateAfterSec) entry.action = 'terminate'
+      else if (rule && rule.cancelAfterSec !== null && idleSec >= rule.cancelAfterSec) entry.action = 'cancel'
+      entry.category = entry.action ? 'own-expired' : 'own-expired-too-fresh'
+    }
+    return entry
+  }
+
+  // Database time of a scanned row (ms), falling back to the local clock.
+  static rowNow(row) {
+    const dbNow = row.db_now_ms == null ? NaN : Number(row.db_now_ms)
+    return Number.isFinite(dbNow) ? dbNow : Date.now()
+  }
+
+  /**
+   * Read-only: classifies every backend of the current database. Never terminates anything.
+   * @returns {Promise<Object[]>}
+   */
+  static async inspect(client, leaseManager, strategy) {
+    const states = Reaper.normalizeStates(strategy.reapStates, strategy.minConnIdleTimeSec)
+    const services = Reaper.groupServices(leaseManager, strategy.reapServices)
+    const rows = await Reaper.scan(client)
+    return rows.map(row => Reaper.classify(row, leaseManager, states, services)).sort((a, b) => a.pid - b.pid)
+  }
+
+  /**
+   * Samples connection pressure on the server.
+   * Usable slots exclude superuser_reserved_connections: that's where regular roles get 53300.
+   * @returns {Promise<{ maxConnections: number, reserved: number, backends: number, utilization: number }|null>}
+   */
+  static async samplePressure(client) {
+    const res = await client.query(`
+      SELECT current_setting('max_connections')::int AS max_connections,
+             current_setting('superuser_reserved_connections')::int AS reserved,
+             (SELECT count(*) FROM pg_stat_activity WHERE backend_type = 'client backend')::int AS backends
+    `)
+    const row = res && res.rows && res.rows[0]
+    if (!row) return null
+    const maxConnections = Number(row.max_connections)
+    const reserved = Number(row.reserved) || 0
+    const backends = Number(row.backends)
+    if (!Number.isFinite(maxConnections) || !Number.isFinite(backends)) return null
+    const usable = Math.max(1, maxConnections - reserved)
+    return { maxConnections, reserved, backends, utilization: backends / usable }
+  }
+
+  /**
+   * Scales the configured schedule with utilization (linear between RELAXED and AGGRESSIVE):
+   * probability rises to 1, kill limit grows to 3x, cooldown shrinks to a quarter.
+   * @param {number} utilization - 0..1 (may exceed 1)
+   * @param {Object} base - { probability, maxKill }
+   * @returns {{ probability: number, maxKill: number, cooldownFactor: number }}
+   */
+  static scaleForPressure(utilization, { probability, maxKill }) {
+    const span = Reaper.AGGRESSIVE_UTILIZATION - Reaper.RELAXED_UTILIZATION
+    const t = Math.min(1, Math.max(0, (Number(utilization) - Reaper.RELAXED_UTILIZATION) / span)) || 0
+    return {
+      probability: probability + (1 - probability) * t,
+      maxKill: Math.round(maxKill * (1 + 2 * t)),
+      cooldownFactor: 1 - 0.75 * t,
+    }
+  }
+
+  static _selectStalest(candidates, limit) {
+    // Deterministic: signal the "stale-est" first.
+    // Primary: oldest expiration (smallest exp) -> longest expired.
+    // Secondary: largest idle time.
+    return candidates
+      .slice()
+      .sort((a, b) => (a.exp - b.exp) || (b.idleSec - a.idleSec) || (a.pid - b.pid))
+      .slice(0, limit)
+  }
+
+  /**
+   * Forensics record of a signalled session (see onReapDetail / auditTable).
+   * `result`: what pg_cancel_backend / pg_terminate_backend returned, null if the backend was gone.
+   */
+  static auditRecord(entry, action) {
+    return {
+      pid: entry.pid,
+      action,
+      service: entry.service,
+      instanceId: entry.instanceId,
+      state: entry.state,
+      leaseExpDeltaMs: entry.leaseExpDeltaMs === null ? null : Math.round(entry.leaseExpDeltaMs),
+      idleSec: entry.idleSec,
+      clientAddr: entry.clientAddr ?? null,
+      usename: entry.usename ?? null,
+      backendStart: entry.backendStart ?? null,
+      applicationName: entry.applicationName,
+      result: entry.result ?? null,
+    }
+  }
+
+  /**
+   * Inserts audit records into `table` (see ServerReaper.auditTableSql for the DDL).
+   * One statement, records passed as a single jsonb parameter.
+   */
+  static async writeAudit(client, table, leaseManager, records) {
+    const name = Reaper.qualifiedTableName(table)
+    await client.query(
+      `INSERT INTO ${name} (reaper_service, reaper_instance, pid, action, service, instance_id, state,
+         lease_exp_delta_ms, idle_sec, client_addr, usename, backend_start, application_name, result)
+       SELECT $1, $2, r.pid, r.action, r.service, r.instance_id, r.state,
+         r.lease_exp_delta_ms, r.idle_sec, r.client_addr, r.usename, r.backend_start, r.application_name, r.result
+       FROM jsonb_to_recordset($3::jsonb) AS r(pid int, action text, service text, instance_id text, state text,
+         lease_exp_delta_ms bigint, idle_sec float8, client_addr inet, usename text, backend_start timestamptz,
+         application_name text, result boolean)`,
+      [
+        leaseManager.serviceName,
+        leaseManager.instanceId,
+        JSON.stringify(records.map(r => ({
+          pid: r.pid,
+          action: r.action,
+          service: r.service,
+          instance_id: r.instanceId,
+          state: r.state,
+          lease_exp_delta_ms: r.leaseExpDeltaMs,
+          idle_sec: r.idleSec,
+          client_addr: r.clientAddr,
+          usename: r.usename,
+          backend_start: r.backendStart,
+          application_name: r.applicationName,
+          result: r.result,
+        }))),
+      ]
+    )
+  }
+
+  /**
+   * Validates a `table` or `schema.table` name (lowercase SQL identifiers) for interpolation.
+   * @throws {Error}
+   */
+  static qualifiedTableName(name) {
+    if (!/^([a-z_][a-z0-9_]{0,62}\.)?[a-z_][a-z0-9_]{0,62}$/.test(String(name))) {
+      throw new Error(`Reaper: audit table "${name}" must be "table" or "schema.table" (lowercase SQL identifiers)`)
+    }
+    return name
+  }
+
+  // Sends pg_cancel_backend / pg_terminate_backend to the stale-est `limit` candidates.
+  // Returns the selected entries with `result`: true/false from the signal function, null if gone.
+  static async _signal(client, fn, verb, candidates, limit, log) {
+    if (candidates.length === 0) return []
+    const selected = Reaper._selectStalest(candidates, limit)
+    const pids = selected.map(x => x.pid)
+
+    // Log a compact reason line for debugging.
+    const meta = selected.map(x => `pid=${x.pid},state=${x.state},idle=${Math.round(x.idleSec)}s,expDelta=${Math.round(x.leaseExpDeltaMs / 1000)}s`).join(' | ')
+    log.info(fn === 'pg_terminate_backend' ? 'reaper_kill' : 'reaper_cancel', `Reaper[pid=${process.pid}]: ${verb} ${pids.length} zombies: ${meta}`, {
+      pids,
+      services: [...new Set(selected.map(x => x.service))],
+    })
+    // Cast to int[] to be safe
+    const res = await client.query(`SELECT pid, ${fn}(pid) AS signalled FROM pg_stat_activity WHERE pid = ANY($1::int[])`, [pids])
+    const outcome = new Map(((res && res.rows) || []).map(r => [r.pid, r.signalled === true]))
+    return selected.map(e => ({ ...e, result: outcome.has(e.pid) ? outcome.get(e.pid) : null }))
+  }
+
+  static _countByState(list) {
+    const out = {}
+    for (const x of list) out[x.state] = (out[x.state] || 0) + 1
+    return out
+  }
   // Removed _hashString method as we use DB-side hashtext()
 }
 
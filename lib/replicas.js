@@ -0,0 +1,89 @@
+const RetryStrategy = require('./retry')
+
+/**
+ * Replica Set
+ * Routes read-only queries to read replicas. Every replica is a full AequorClient with its own
+ * lease, heartbeat and reaper schedule (pg_stat_activity is per server). A replica failing at the
+ * connection level is skipped for a cooldown; with every replica down, reads fall back to the primary.
+ */
+class ReplicaSet {
+  static POLICIES = ['round-robin', 'random', 'first']
+
+  /**
+   * @param {AequorClient} primary
+   * @param {Object[]} configs - Full client config per replica
+   * @param {Object} options - { policy, fallback, downCooldownMs, createClient }
+   */
+  constructor(primary, configs, { policy = 'round-robin', fallback = true, downCooldownMs = 30000, createClient }) {
+    if (typeof policy !== 'function' && !ReplicaSet.POLICIES.includes(policy)) {
+      throw new Error(`Invalid replicaPolicy: ${policy} (expected one of ${ReplicaSet.POLICIES.join(', ')} or a function)`)
+    }
+    this._primary = primary
+    this._policy = policy
+    this._fallback = fallback
+    this._downCooldownMs = downCooldownMs
+    this._next = 0
+    this.endpoints = configs.map((config, index) => ({
+      index,
+      host: config.host,
+      port: config.port,
+      client: createClient(config),
+      downUntil: 0,
+    }))
+  }
+
+  /**
+   * Runs a read-only query on a replica (in policy order), else on the primary.
+   * @param {Array} args - pg query arguments
+   * @param {Object} options - Query options (readOnly implied)
+   */
+  async query(args, options) {
+    // Reads can't be half-applied: retry them like idempotent statements unless told otherwise.
+    const replicaOptions = { ...options, readOnly: false, idempotent: options.idempotent ?? true }
+    let lastErr = null
+    for (const endpoint of this._order()) {
+      try {
+        return await endpoint.client.query(...ReplicaSet.withOptions(args, replicaOptions))
+      } catch (err) {
+        // Statement-level errors (syntax, constraint, ...) would fail on any server.
+        if (!RetryStrategy.isRetryable(err)) throw err
+        endpoint.downUntil = Date.now() + this._downCooldownMs
+        lastErr = err
+        this._primary._safeHook('onReplicaDown', { index: endpoint.index, host: endpoint.host, port: endpoint.port, err })
+      }
+    }
+    if (!this._fallback) {
+      throw lastErr || new Error('No healthy read replica (replicaFallback is disabled)')
+    }
+    this._primary._safeHook('onReplicaFallback', { err: lastErr })
+    return this._primary.query(...ReplicaSet.withOptions(args, replicaOptions))
+  }
+
+  // Healthy replicas, rotated so the policy's pick comes first and the rest serve as failover.
+  _order() {
+    const now = Date.now()
+    const healthy = this.endpoints.filter(e => e.downUntil <= now)
+    if (healthy.length === 0) return []
+    let first = 0
+    if (typeof this._policy === 'function') {
+      const picked = this._policy(healthy.map(({ index, host, port }) => ({ index, host, port })))
+      first = Math.max(0, healthy.findIndex(e => e.index === picked))
+    } else if (this._policy === 'random') {
+      first = Math.floor(Math.random() * healthy.length)
+    } else if (this._policy === 'round-robin') {
+      first = this._next++ % healthy.length
+    }
+    return [...healthy.slice(first), ...healthy.slice(0, first)]
+  }
+
+  async end() {
+    await Promise.all(this.endpoints.map(e => e.client.end().catch(() => {})))
+  }
+
+  // Appends query options where AequorClient#query expects them: (text, values, options) / (config, options).
+  static withOptions(args, options) {
+    return typeof args[0] === 'string' ? [args[0], args[1], options] : [args[0], options]
+  }
+}
+
+module.exports = ReplicaSet
@@ -25,6 +25,8 @@ class RetryStrategy {
 
     // Admin / crash / cannot continue
     if (sqlstate === '57P01' || sqlstate === '57P02' || sqlstate === '57P03') return true
+    // Server-side idle cut-offs (idle_session_timeout / idle_in_transaction_session_timeout): session is gone
+    if (sqlstate === '57P05' || sqlstate === '25P03') return true
 
     // Too many connections (can be transient under spiky concurrency)
     if (sqlstate === '53300') return true
@@ -40,6 +42,19 @@ class RetryStrategy {
     return false
   }
 
+  /**
+   * Determines if a failed transaction may be re-run from BEGIN.
+   * Unlike isRetryable, serialization failures and deadlocks are included: the whole
+   * transaction was rolled back, so re-running the full callback is safe.
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  static isTransactionRetryable(err) {
+    const sqlstate = (err && (err.code || err.sqlstate)) || null
+    if (sqlstate === '40001' || sqlstate === '40P01') return true
+    return RetryStrategy.isRetryable(err)
+  }
+
   /**
    * Calculates backoff delay using "Decorrelated Jitter".
    * sleep = min(cap, random(base, sleep * 3))
@@ -0,0 +1,263 @@
+const LeaseManager = require('./lease')
+const Reaper = require('./reaper')
+
+/**
+ * Server-side Reaper
+ * Generates SQL that reaps inside Postgres: `aequor_sign()` (the lease signature, via pgcrypto)
+ * and `aequor_reap()` (verify + terminate under the JS reaper's advisory lock), plus a pg_cron
+ * schedule. Secrets live in a locked-down table, referenced by name, never in the job text.
+ */
+class ServerReaper {
+  static DEFAULT_SCHEMA = 'public'
+  static DEFAULT_SECRETS_TABLE = 'aequor_secrets'
+  static DEFAULT_PGCRYPTO_SCHEMA = 'public'
+  // Client instance ids are always 8 chars (48 bits, base64url); service names normalize against that.
+  static INSTANCE_ID_LEN = 8
+
+  /**
+   * Migration installing pgcrypto, the secrets table, aequor_sign() and aequor_reap().
+   * Idempotent (CREATE ... IF NOT EXISTS / CREATE OR REPLACE). The functions pin search_path to
+   * pg_catalog (plus pgcrypto's schema for aequor_sign) and qualify everything else, so nobody
+   * who can create objects in a schema on the caller's path can hijack the SECURITY DEFINER code.
+   * @param {Object} [options] - { schema, secretsTable, pgcryptoSchema } (pgcryptoSchema: where
+   *   pgcrypto is, or gets, installed; default 'public')
+   * @returns {string}
+   */
+  static installSql({
+    schema = ServerReaper.DEFAULT_SCHEMA,
+    secretsTable = ServerReaper.DEFAULT_SECRETS_TABLE,
+    pgcryptoSchema = ServerReaper.DEFAULT_PGCRYPTO_SCHEMA,
+  } = {}) {
+    const s = ServerReaper._ident(schema, 'schema')
+    const t = `${s}.${ServerReaper._ident(secretsTable, 'secretsTable')}`
+    const c = ServerReaper._ident(pgcryptoSchema, 'pgcryptoSchema')
+    return `-- pg-aequor server-side reaper
+CREATE EXTENSION IF NOT EXISTS pgcrypto SCHEMA ${c};
+
+-- Coordination secrets by reference. key_id '' is a plain secret; other rows form a keyring.
+CREATE TABLE IF NOT EXISTS ${t} (
+  ref text NOT NULL,
+  key_id text NOT NULL DEFAULT '',
+  secret text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (ref, key_id)
+);
+REVOKE ALL ON ${t} FROM PUBLIC;
+
+-- Same as LeaseManager._sign: first 8 bytes of HMAC-SHA256, base64url without padding.
+CREATE OR REPLACE FUNCTION ${s}.aequor_sign(p_base text, p_secret text)
+RETURNS text
+LANGUAGE sql IMMUTABLE STRICT
+SET search_path = pg_catalog, ${c}, pg_temp
+AS $fn$
+  SELECT translate(
+    rtrim(encode(substring(${c}.hmac(convert_to(p_base, 'UTF8'), convert_to(p_secret, 'UTF8'), 'sha256') FROM 1 FOR 8), 'base64'), '='),
+    '+/', '-_')
+$fn$;
+
+-- Terminates expired, validly signed leases of p_service (normalized name), stale-est first.
+-- p_states: { state: idle seconds before terminating }. Returns the selected sessions.
+CREATE OR REPLACE FUNCTION ${s}.aequor_reap(
+  p_service text,
+  p_secret_ref text,
+  p_states jsonb DEFAULT '{"idle": 180}',
+  p_max_kill integer DEFAULT 10,
+  p_dry_run boolean DEFAULT false
+)
+RETURNS TABLE (pid integer, state text, idle_sec double precision, lease_exp_delta_ms bigint, terminated boolean)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = pg_catalog, pg_temp
+AS $fn$
+#variable_conflict use_column
+DECLARE
+  v_now_ms bigint := (extract(epoch FROM clock_timestamp()) * 1000)::bigint;
+BEGIN
+  -- Same key as the JS reaper; transaction-scoped, so it is released when the caller commits.
+  IF NOT pg_try_advisory_xact_lock(${Reaper.LOCK_NS}, hashtext(p_service)) THEN
+    RAISE NOTICE 'aequor_reap(%): lock busy, skipping', p_service;
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  WITH cand AS (
+    SELECT a.pid AS c_pid, a.state AS c_state,
+           extract(epoch FROM (now() - a.state_change))::float8 AS c_idle,
+           regexp_match(a.application_name, '^s=([^;]+);i=([^;]+);e=([0-9]{1,15})(?:;k=([^;]+))?;g=([^;]+)$') AS m
+    FROM pg_stat_activity a
+    WHERE a.datname = current_database()
+      AND a.pid <> pg_backend_pid()
+      AND a.application_name LIKE 's=' || p_service || ';%'
+      AND p_states ? a.state
+  ), zombies AS (
+    SELECT c.c_pid, c.c_state, c.c_idle, c.m[3]::bigint AS c_exp
+    FROM cand c
+    WHERE c.m IS NOT NULL
+      AND c.m[1] = p_service
+      AND c.m[3]::bigint < v_now_ms
+      AND c.c_idle >= (p_states ->> c.c_state)::float8
+      AND EXISTS (
+        SELECT 1 FROM ${t} k
+        WHERE k.ref = p_secret_ref
+          AND (c.m[4] IS NULL OR k.key_id = c.m[4])
+          AND ${s}.aequor_sign('s=' || c.m[1] || ';i=' || c.m[2] || ';e=' || c.m[3] || coalesce(';k=' || c.m[4], ''), k.secret) = c.m[5]
+      )
+    ORDER BY c_exp ASC, c.c_idle DESC, c.c_pid ASC
+    LIMIT greatest(p_max_kill, 1)
+  )
+  SELECT z.c_pid, z.c_state, z.c_idle, v_now_ms - z.c_exp,
+         CASE WHEN p_dry_run THEN false ELSE pg_terminate_backend(z.c_pid) END
+  FROM zombies z;
+END
+$fn$;
+REVOKE ALL ON FUNCTION ${s}.aequor_reap(text, text, jsonb, integer, boolean) FROM PUBLIC;
+`
+  }
+
+  /**
+   * DDL for the reaper audit table (config.reaperAuditTable). The reaper's role needs INSERT on it.
+   * @param {Object} [options] - { table } ('table' or 'schema.table', default 'public.aequor_reap_audit')
+   * @returns {string}
+   */
+  static auditTableSql({ table = 'public.aequor_reap_audit' } = {}) {
+    const t = Reaper.qualifiedTableName(table)
+    return `CREATE TABLE IF NOT EXISTS ${t} (
+  id bigserial PRIMARY KEY,
+  reaped_at timestamptz NOT NULL DEFAULT now(),
+  reaper_service text NOT NULL,
+  reaper_instance text NOT NULL,
+  pid integer NOT NULL,
+  action text NOT NULL, -- 'terminate' | 'cancel'
+  service text,
+  instance_id text,
+  state text,
+  lease_exp_delta_ms bigint,
+  idle_sec double precision,
+  client_addr inet,
+  usename text,
+  backend_start timestamptz,
+  application_name text,
+  result boolean -- signal function result; NULL: backend already gone
+);
+`
+  }
+
+  /**
+   * pg_cron job running aequor_reap() for one service.
+   * @param {Object} options
+   * @param {string} options.serviceName - As configured on the clients (normalized here)
+   * @param {string} [options.secretRef] - Row ref in the secrets table (default: serviceName)
+   * @param {string} [options.schedule='* * * * *']
+   * @param {string} [options.jobName] - Default: 'aequor-reap-<service>'
+   * @param {Object} [options.states] - Same shape as config.reaperStates: { state: idleSec | { cancelAfterSec,
+   *   terminateAfterSec } } (default: { idle: minConnectionIdleTimeSec }). The server side only terminates,
+   *   so cancelAfterSec is not used.
+   * @param {number} [options.minConnectionIdleTimeSec=180]
+   * @param {number} [options.maxIdleConnectionsToKill=10]
+   * @param {boolean} [options.dryRun=false]
+   * @param {string} [options.schema]
+   * @returns {string}
+   */
+  static cronScheduleSql(options = {}) {
+    if (!options.serviceName) throw new Error('cronScheduleSql requires serviceName')
+    const s = ServerReaper._ident(options.schema || ServerReaper.DEFAULT_SCHEMA, 'schema')
+    const service = ServerReaper.normalizeServiceName(options.serviceName)
+    const states = ServerReaper._terminateThresholds(options.states, options.minConnectionIdleTimeSec || 180)
+    const maxKill = Math.max(1, Number(options.maxIdleConnectionsToKill) || 10)
+    const call = `SELECT * FROM ${s}.aequor_reap(` + [
+      ServerReaper._literal(service),
+      ServerReaper._literal(options.secretRef || options.serviceName),
+      `${ServerReaper._literal(JSON.stringify(states))}::jsonb`,
+      String(maxKill),
+      options.dryRun === true ? 'true' : 'false',
+    ].join(', ') + ')'
+    if (call.includes('$aequor$')) throw new Error('cronScheduleSql: arguments must not contain $aequor$')
+    const jobName = options.jobName || `aequor-reap-${service}`
+    return `SELECT cron.schedule(${ServerReaper._literal(jobName)}, ${ServerReaper._literal(options.schedule || '* * * * *')}, $aequor$${call}$aequor$);`
+  }
+
+  /**
+   * Mirrors a secret or keyring into the secrets table (parameterized; keys not in the ring are removed).
+   * @param {Object} client - Connected pg.Client
+   * @param {string} secretRef
+   * @param {string|Object} secret - Secret or keyring { current, keys }
+   * @param {Object} [options] - { schema, secretsTable }
+   */
+  static async storeSecrets(client, secretRef, secret, { schema = ServerReaper.DEFAULT_SCHEMA, secretsTable = ServerReaper.DEFAULT_SECRETS_TABLE } = {}) {
+    const t = `${ServerReaper._ident(schema, 'schema')}.${ServerReaper._ident(secretsTable, 'secretsTable')}`
+    const rows = LeaseManager.keyEntries(secret).map(({ keyId, secret: value }) => [keyId === null ? '' : keyId, value])
+    await client.query('BEGIN')
+    try {
+      for (const [kid, value] of rows) {
+        await client.query(
+          `INSERT INTO ${t} (ref, key_id, secret) VALUES ($1, $2, $3)
+           ON CONFLICT (ref, key_id) DO UPDATE SET secret = EXCLUDED.secret`,
+          [secretRef, kid, value]
+        )
+      }
+      await client.query(`DELETE FROM ${t} WHERE ref = $1 AND NOT (key_id = ANY($2::text[]))`, [secretRef, rows.map(r => r[0])])
+      await client.query('COMMIT')
+    } catch (err) {
+      try { await client.query('ROLLBACK') } catch (_) {}
+      throw err
+    }
+  }
+
+  /**
+   * Checks that the installed aequor_sign() produces the exact signatures LeaseManager does,
+   * for a plain secret, a keyring lease and a non-ASCII secret.
+   * @param {Object} client - Connected pg.Client
+   * @param {Object} [options] - { schema }
+   * @returns {Promise<{ ok: boolean, samples: Array<{ base: string, js: string, sql: string }> }>}
+   */
+  static async verifySignatureCompatibility(client, { schema = ServerReaper.DEFAULT_SCHEMA } = {}) {
+    const s = ServerReaper._ident(schema, 'schema')
+    const exp = 1700000000000
+    const managers = [
+      new LeaseManager('compat', 'AbCd-_12', 'aequor-compat-secret-0123456789'),
+      new LeaseManager('compat', 'AbCd-_12', { current: 'k2', keys: { k2: 'aequor-compat-secret-keyed-42' } }),
+      new LeaseManager('compat', 'AbCd-_12', 'sécret-ключ-秘密-0123456789'),
+    ]
+    const samples = []
+    for (const lm of managers) {
+      const parsed = LeaseManager.parse(lm.generateAppName(exp))
+      const res = await client.query(`SELECT ${s}.aequor_sign($1, $2) AS sig`, [parsed.base, lm.secret])
+      samples.push({ base: parsed.base, js: parsed.sig, sql: res.rows[0].sig })
+    }
+    return { ok: samples.every(x => x.js === x.sql), samples }
+  }
+
+  /**
+   * The service name as it appears in leases (sanitized, length-budgeted).
+   * @param {string} serviceName
+   * @returns {string}
+   */
+  static normalizeServiceName(serviceName) {
+    return LeaseManager.normalizeServiceNameFor(serviceName, 'x'.repeat(ServerReaper.INSTANCE_ID_LEN))
+  }
+
+  // reaperStates (numbers or { cancelAfterSec, terminateAfterSec }) -> the { state: seconds } aequor_reap() casts to float8.
+  static _terminateThresholds(states, minConnectionIdleTimeSec) {
+    const out = {}
+    for (const [state, rule] of Object.entries(Reaper.normalizeStates(states, minConnectionIdleTimeSec))) {
+      if (!Number.isFinite(rule.terminateAfterSec) || rule.terminateAfterSec < 0) {
+        throw new Error(`cronScheduleSql: states["${state}"] needs a non-negative terminateAfterSec`)
+      }
+      out[state] = rule.terminateAfterSec
+    }
+    return out
+  }
+
+  static _ident(name, label) {
+    if (!/^[a-z_][a-z0-9_]{0,62}$/.test(String(name))) {
+      throw new Error(`ServerReaper: ${label} "${name}" must be a lowercase SQL identifier`)
+    }
+    return name
+  }
+
+  static _literal(value) {
+    return `'${String(value).replace(/'/g, "''")}'`
+  }
+}
+
+module.exports = ServerReaper
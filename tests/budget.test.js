@@ -0,0 +1,165 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const ConnectionBudget = require('../lib/budget')
+const AequorClient = require('../lib/client')
+const LeaseManager = require('../lib/lease')
+const Reaper = require('../lib/reaper')
+const { ConnectionBudgetExceededError } = require('../lib/errors')
+
+const secret = 'coord-secret-123456'
+const logger = () => {}
+
+// Backends of "other" instances of the same service, as seen in pg_stat_activity.
+function leaseRows(svc, live, expired) {
+  const rows = []
+  for (let i = 0; i < live; i++) {
+    rows.push({ pid: 100 + i, state: 'idle', application_name: new LeaseManager(svc, `live${i}`, secret).generateAppName(Date.now() + 60000), idle_time: 500 })
+  }
+  for (let i = 0; i < expired; i++) {
+    rows.push({ pid: 200 + i, state: 'idle', application_name: new LeaseManager(svc, `dead${i}`, secret).generateAppName(Date.now() - 60000), idle_time: 500 })
+  }
+  // Wrong secret: never counted.
+  rows.push({ pid: 300, state: 'idle', application_name: new LeaseManager(svc, 'alien', 'other-secret-1234567').generateAppName(Date.now() + 60000), idle_time: 1 })
+  return rows
+}
+
+function mockClient(rows) {
+  const queries = []
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params })
+      if (text.includes('pg_try_advisory_lock')) return { rows: [{ locked: true }] }
+      if (text.includes('FROM pg_stat_activity') && !text.includes('pg_terminate_backend')) return { rows }
+      return { rows: [] }
+    },
+  }
+}
+
+describe('ConnectionBudget', () => {
+  const leaseManager = new LeaseManager('svc', 'self', secret)
+  const strategy = { minConnIdleTimeSec: 180, maxIdleConnectionsToKill: 10 }
+
+  test('admits when live leases (incl. self) fit the budget', async () => {
+    const client = mockClient(leaseRows('svc', 2, 5))
+    const res = await ConnectionBudget.admit(client, leaseManager, { max: 3, reap: null })
+    assert.strictEqual(res.live, 3)
+
+    // Counted under a transaction-level advisory lock in the library's namespace.
+    const lock = client.queries.find(q => q.text.includes('pg_advisory_xact_lock'))
+    assert.deepStrictEqual(lock.params, [Reaper.LOCK_NS, 'svc;budget'])
+    assert.strictEqual(client.queries[0].text, 'BEGIN')
+    assert.ok(client.queries.some(q => q.text === 'COMMIT'))
+    assert.strictEqual(client.queries.some(q => q.text.includes('pg_terminate_backend')), false)
+  })
+
+  test('reaps expired leases first, then refuses when still over budget', async () => {
+    const client = mockClient(leaseRows('svc', 3, 2))
+    const reap = () => Reaper.reap(client, {}, leaseManager, strategy, logger)
+    await assert.rejects(
+      () => ConnectionBudget.admit(client, leaseManager, { max: 3, reap }),
+      (err) => err instanceof ConnectionBudgetExceededError && err.code === 'EBUDGET' && err.live === 4 && err.max === 3
+    )
+    const kill = client.queries.find(q => q.text.includes('pg_terminate_backend'))
+    assert.deepStrictEqual(kill.params[0].slice().sort(), [200, 201])
+  })
+
+  test('without a reaper, refuses without reaping', async () => {
+    const client = mockClient(leaseRows('svc', 3, 2))
+    await assert.rejects(() => ConnectionBudget.admit(client, leaseManager, { max: 3, reap: null }), ConnectionBudgetExceededError)
+    assert.strictEqual(client.queries.some(q => q.text.includes('pg_terminate_backend')), false)
+  })
+})
+
+describe('AequorClient maxServiceConnections', () => {
+  function makeFakePgLibrary(rows) {
+    const instances = []
+    class Client {
+      constructor() {
+        const c = mockClient(rows)
+        c.handlers = {}
+        c.on = (ev, fn) => { (c.handlers[ev] = c.handlers[ev] || []).push(fn) }
+        c.connect = async () => {}
+        c.end = async () => { c.ended = true; for (const fn of c.handlers.end || []) fn() }
+        instances.push(c)
+        return c
+      }
+    }
+    return { Client, instances }
+  }
+
+  const base = {
+    host: 'x',
+    user: 'u',
+    database: 'd',
+    serviceName: 'svc',
+    coordinationSecret: secret,
+    reaper: false,
+    minBackoff: 1,
+    maxBackoff: 1,
+  }
+
+  test("'fail' mode fails fast with a typed error", async () => {
+    const lib = makeFakePgLibrary(leaseRows('svc', 3, 0))
+    const calls = []
+    const c = new AequorClient({
+      ...base,
+      library: lib,
+      maxServiceConnections: 3,
+      connectionBudgetMode: 'fail',
+      hooks: { onAdmission: (p) => calls.push(p) },
+    })
+    await assert.rejects(() => c.connect(), ConnectionBudgetExceededError)
+    assert.strictEqual(lib.instances.length, 1)
+    assert.strictEqual(lib.instances[0].ended, true)
+    assert.strictEqual(c._client, null)
+    assert.strictEqual(calls[0].admitted, false)
+  })
+
+  test("'wait' mode backs off and retries", async () => {
+    const lib = makeFakePgLibrary(leaseRows('svc', 3, 0))
+    const calls = []
+    const c = new AequorClient({
+      ...base,
+      library: lib,
+      retries: 2,
+      maxServiceConnections: 3,
+      hooks: { onReconnect: (p) => calls.push(p) },
+    })
+    await assert.rejects(() => c.connect(), ConnectionBudgetExceededError)
+    assert.strictEqual(lib.instances.length, 3)
+    assert.strictEqual(calls.length, 2)
+  })
+
+  test('over budget, reaps only through the client reaper', async () => {
+    const off = makeFakePgLibrary(leaseRows('svc', 2, 2))
+    const c1 = new AequorClient({ ...base, library: off, maxServiceConnections: 2, connectionBudgetMode: 'fail' })
+    await assert.rejects(() => c1.connect(), ConnectionBudgetExceededError)
+    assert.strictEqual(off.instances[0].queries.some(q => q.text.includes('pg_terminate_backend')), false)
+
+    // Enabled: an urgent pass, whatever reaperRunProbability says.
+    const on = makeFakePgLibrary(leaseRows('svc', 2, 2))
+    const reaps = []
+    const c2 = new AequorClient({
+      ...base,
+      library: on,
+      reaper: true,
+      reaperRunProbability: 0,
+      maxServiceConnections: 2,
+      connectionBudgetMode: 'fail',
+      hooks: { onReap: (p) => reaps.push(p) },
+    })
+    await assert.rejects(() => c2.connect(), ConnectionBudgetExceededError)
+    assert.strictEqual(reaps.length, 1)
+    assert.strictEqual(reaps[0].urgent, true)
+    assert.ok(on.instances[0].queries.some(q => q.text.includes('pg_terminate_backend')))
+  })
+
+  test('admitted connection is handed out', async () => {
+    const lib = makeFakePgLibrary(leaseRows('svc', 1, 0))
+    const c = new AequorClient({ ...base, library: lib, maxServiceConnections: 3 })
+    await c.connect()
+    assert.strictEqual(c._client, lib.instances[0])
+  })
+})
@@ -0,0 +1,151 @@
+const { test, describe, mock, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+const Capabilities = require('../lib/capabilities')
+
+const privileged = {
+  server_version_num: 160002,
+  track_activities: 'on',
+  role: 'app',
+  superuser: false,
+  signal_backend: false,
+  read_all_stats: false,
+  member_of_app_role: true,
+  hidden_sessions: 3,
+}
+
+class FakePgClient {
+  constructor(shared) {
+    this.shared = shared
+    this.handlers = {}
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  async connect() {}
+  async end() {}
+  async query(sql) {
+    const s = String(sql)
+    this.shared.log.push(s)
+    if (s.includes('server_version_num')) return { rows: [this.shared.capsRow] }
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary(capsRow) {
+  const shared = { log: [], capsRow }
+  class Client {
+    constructor() {
+      return new FakePgClient(shared)
+    }
+  }
+  return { Client, shared }
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'x',
+    user: 'app',
+    database: 'd',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaperRunProbability: 1,
+    reaperAdaptive: false,
+    ...extra,
+  })
+}
+
+const settle = () => new Promise(res => setImmediate(res))
+
+describe('Capabilities', () => {
+  beforeEach(() => Capabilities.clearCache())
+  afterEach(() => mock.restoreAll())
+
+  test('probe maps the preflight row and accepts same-role reaping', async () => {
+    const lib = makeFakePgLibrary(privileged)
+    const caps = await Capabilities.probe(new lib.Client())
+    assert.strictEqual(caps.serverVersionNum, 160002)
+    assert.strictEqual(caps.trackActivities, true)
+    assert.strictEqual(caps.hiddenSessions, 3)
+    assert.strictEqual(caps.canSeeSessions, true)
+    assert.strictEqual(caps.canSignal, true)
+    assert.strictEqual(caps.reaperSupported, true)
+    assert.deepStrictEqual(caps.reaperProblems, [])
+  })
+
+  test('reports every reason the reaper cannot work', () => {
+    const problems = Capabilities.reaperProblems({
+      serverVersionNum: 90624,
+      trackActivities: false,
+      role: 'reaper',
+      canSeeSessions: false,
+      canSignal: false,
+    })
+    assert.strictEqual(problems.length, 4)
+    assert.match(problems[0], /Postgres 10 required/)
+    assert.match(problems[1], /track_activities/)
+    assert.match(problems[2], /pg_read_all_stats/)
+    assert.match(problems[3], /pg_signal_backend/)
+  })
+
+  test('cached probes once per key and does not cache failures', async () => {
+    let calls = 0
+    const probe = async () => { calls++; return { ok: true } }
+    const [a, b] = await Promise.all([Capabilities.cached('k', probe), Capabilities.cached('k', probe)])
+    assert.strictEqual(calls, 1)
+    assert.strictEqual(a.fresh, true)
+    assert.strictEqual(b.fresh, false)
+
+    await assert.rejects(() => Capabilities.cached('bad', async () => { throw new Error('boom') }), /boom/)
+    const again = await Capabilities.cached('bad', probe)
+    assert.strictEqual(again.fresh, true)
+  })
+
+  test('client turns the reaper off with a single warning', async () => {
+    const consoleWarn = mock.method(console, 'warn', () => {})
+    const warnings = []
+    const logger = { warn: (fields, msg) => warnings.push(msg), debug() {}, info() {}, error() {} }
+    const lib = makeFakePgLibrary({ ...privileged, track_activities: 'off' })
+    const seen = []
+    const hooks = { onCapabilities: (p) => seen.push(p), onReap: () => assert.fail('reaper must not run') }
+
+    const a = makeClient(lib, { hooks, logger })
+    const b = makeClient(lib, { hooks, logger })
+    await a.connect()
+    await settle()
+    await b.connect()
+    await settle()
+
+    assert.strictEqual(a._reaperEnabled, false)
+    assert.strictEqual(b._reaperEnabled, false)
+    assert.strictEqual(warnings.length, 1)
+    assert.match(warnings[0], /Reaper disabled: track_activities is off/)
+    assert.strictEqual(consoleWarn.mock.calls.length, 0)
+    assert.strictEqual(seen.length, 2)
+    assert.strictEqual(seen[0].capabilities.reaperSupported, false)
+    // Probed once per container.
+    assert.strictEqual(lib.shared.log.filter(s => s.includes('server_version_num')).length, 1)
+  })
+
+  test('getCapabilities works without the reaper', async () => {
+    const lib = makeFakePgLibrary(privileged)
+    const c = makeClient(lib, { reaper: false })
+    const caps = await c.getCapabilities()
+    assert.strictEqual(caps.reaperSupported, true)
+    assert.strictEqual(caps.role, 'app')
+  })
+
+  test('a permission error during a pass turns the reaper off', async () => {
+    mock.method(console, 'warn', () => {})
+    const lib = makeFakePgLibrary(privileged)
+    const denied = Object.assign(new Error('permission denied to terminate process'), { code: '42501' })
+    mock.method(require('../lib/reaper'), 'reap', async () => ({ locked: false, killed: 0, error: denied }))
+    const c = makeClient(lib)
+
+    await c.connect()
+    await settle()
+    assert.strictEqual(c._reaperEnabled, false)
+  })
+})
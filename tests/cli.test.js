@@ -0,0 +1,152 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const { runReaper, parseArgs, main, EXIT } = require('../lib/cli')
+const LeaseManager = require('../lib/lease')
+
+const secret = 'coord-secret-123456'
+
+class FakePgClient {
+  constructor(shared, config) {
+    this.shared = shared
+    this.config = config
+    this.ended = false
+    shared.clients.push(this)
+  }
+  on() {}
+  async connect() {
+    if (this.shared.connectError) throw this.shared.connectError
+  }
+  async end() {
+    this.ended = true
+  }
+  async query(text, params) {
+    this.shared.log.push({ text, params })
+    if (text.includes('pg_try_advisory_lock')) return { rows: [{ locked: this.shared.lockFree }] }
+    if (text.includes('pg_stat_activity') && !text.includes('pg_terminate_backend')) {
+      return { rows: this.shared.rows }
+    }
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary({ rows = [], lockFree = true } = {}) {
+  const shared = { log: [], clients: [], rows, lockFree, connectError: null }
+  class Client {
+    constructor(config) {
+      return new FakePgClient(shared, config)
+    }
+  }
+  return { Client, shared }
+}
+
+function expiredRow(pid) {
+  const lm = new LeaseManager('orders', 'zombie1', secret)
+  return { pid, state: 'idle', application_name: lm.generateAppName(Date.now() - 60000), idle_time: 600 }
+}
+
+function capture() {
+  const out = { text: '', write(s) { this.text += s } }
+  return out
+}
+
+describe('aequor-reaper', () => {
+  test('runReaper reports inspected and killed sessions', async () => {
+    const lib = makeFakePgLibrary({ rows: [expiredRow(101)] })
+    const report = await runReaper({ serviceName: 'orders', coordinationSecret: secret, library: lib, connection: { host: 'db' } })
+
+    assert.strictEqual(report.exitCode, EXIT.KILLED)
+    assert.strictEqual(report.runs.length, 1)
+    const [run] = report.runs
+    assert.strictEqual(run.locked, true)
+    assert.deepStrictEqual(run.killed.map(e => e.pid), [101])
+    assert.strictEqual(run.inspected[0].category, 'own-expired')
+    // Own session is signed with the service's lease and closed afterwards.
+    const [client] = lib.shared.clients
+    assert.strictEqual(client.config.host, 'db')
+    assert.ok(client.config.application_name.startsWith('s=orders;'))
+    assert.strictEqual(client.ended, true)
+  })
+
+  test('exit codes distinguish nothing killed, lock busy and error', async () => {
+    const base = { serviceName: 'orders', coordinationSecret: secret }
+    assert.strictEqual((await runReaper({ ...base, library: makeFakePgLibrary() })).exitCode, EXIT.OK)
+    assert.strictEqual((await runReaper({ ...base, library: makeFakePgLibrary({ lockFree: false }) })).exitCode, EXIT.LOCK_BUSY)
+
+    const lib = makeFakePgLibrary()
+    lib.shared.connectError = new Error('connect ECONNREFUSED')
+    const report = await runReaper({ ...base, library: lib })
+    assert.strictEqual(report.exitCode, EXIT.ERROR)
+    assert.strictEqual(report.runs[0].error.message, 'connect ECONNREFUSED')
+  })
+
+  test('dry run terminates nothing', async () => {
+    const lib = makeFakePgLibrary({ rows: [expiredRow(101)] })
+    const report = await runReaper({ serviceName: 'orders', coordinationSecret: secret, library: lib, dryRun: true })
+    assert.strictEqual(report.exitCode, EXIT.OK)
+    assert.deepStrictEqual(report.runs[0].wouldKill.map(e => e.pid), [101])
+    assert.strictEqual(lib.shared.log.some(q => q.text.includes('pg_terminate_backend')), false)
+  })
+
+  test('loops for the requested number of iterations', async () => {
+    const lib = makeFakePgLibrary()
+    const seen = []
+    const report = await runReaper({
+      serviceName: 'orders', coordinationSecret: secret, library: lib, iterations: 3, intervalMs: 1, onRun: (r) => seen.push(r),
+    })
+    assert.strictEqual(report.runs.length, 3)
+    assert.strictEqual(seen.length, 3)
+    assert.strictEqual(lib.shared.clients.length, 3)
+  })
+
+  test('parseArgs reads flags and the secret from the environment', () => {
+    const opts = parseArgs(
+      ['--service', 'orders', '--secret-env', 'MY_SECRET', '--dry-run', '--json', '--max-kill', '5', '--states', '{"idle":60}'],
+      { MY_SECRET: secret, DATABASE_URL: 'postgres://u@h/d' }
+    )
+    assert.strictEqual(opts.serviceName, 'orders')
+    assert.strictEqual(opts.coordinationSecret, secret)
+    assert.deepStrictEqual(opts.connection, { connectionString: 'postgres://u@h/d' })
+    assert.strictEqual(opts.dryRun, true)
+    assert.strictEqual(opts.json, true)
+    assert.strictEqual(opts.maxIdleConnectionsToKill, 5)
+    assert.deepStrictEqual(opts.reaperStates, { idle: 60 })
+
+    assert.throws(() => parseArgs(['--service', 'orders'], {}), /COORD_SECRET/)
+    assert.throws(() => parseArgs(['--secret-env', 'S'], { S: secret }), /--service is required/)
+    assert.throws(() => parseArgs(['--service', 'x', '--max-kill', '0'], { COORD_SECRET: secret }), /positive integer/)
+  })
+
+  test('main prints NDJSON and returns the exit code', async () => {
+    const lib = makeFakePgLibrary({ rows: [expiredRow(101)] })
+    const stdout = capture()
+    const code = await main(['--service', 'orders', '--json'], { env: { COORD_SECRET: secret }, stdout, stderr: capture(), library: lib })
+
+    assert.strictEqual(code, EXIT.KILLED)
+    const lines = stdout.text.trim().split('\n').map(l => JSON.parse(l))
+    assert.strictEqual(lines.length, 1)
+    assert.strictEqual(lines[0].service, 'orders')
+    assert.deepStrictEqual(lines[0].killed.map(e => e.pid), [101])
+  })
+
+  test('main returns the usage exit code on bad arguments', async () => {
+    const stderr = capture()
+    const code = await main(['--bogus'], { env: {}, stdout: capture(), stderr })
+    assert.strictEqual(code, EXIT.USAGE)
+    assert.match(stderr.text, /Usage: aequor-reaper/)
+  })
+
+  test('main exits with the usage code when util.parseArgs is missing (Node < 18.3)', async () => {
+    const util = require('util')
+    const original = util.parseArgs
+    util.parseArgs = undefined
+    try {
+      const stderr = capture()
+      const code = await main(['--service', 'orders'], { env: { COORD_SECRET: secret }, stdout: capture(), stderr })
+      assert.strictEqual(code, EXIT.USAGE)
+      assert.match(stderr.text, /requires Node\.js 18\.3 or later/)
+    } finally {
+      util.parseArgs = original
+    }
+  })
+})
@@ -0,0 +1,322 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+const { AbortError } = require('../lib/errors')
+
+// A pg-like driver: statements queue per connection and run one at a time. pg_sleep statements
+// run until a cancel lands, which settles them per shared.outcome.
+// driver 'pg': pg 8.17+ (_queryQueue, _getActiveQuery(); activeQuery / queryQueue are deprecated getters).
+// driver 'pg-legacy': pg 8.11-8.16 (plain queryQueue / activeQuery fields).
+// driver 'other': no Query class, only promise-returning query().
+function makeFakePgLibrary({ driver = 'pg', asyncEnd = false } = {}) {
+  const shared = { instances: [], protocolCancels: [], sqlCancels: [], outcome: '57014' }
+  const byPid = new Map()
+  const QUEUE = driver === 'pg-legacy' ? 'queryQueue' : '_queryQueue'
+  const ACTIVE = driver === 'pg-legacy' ? 'activeQuery' : '_activeQuery'
+
+  function land(pid) {
+    const target = byPid.get(pid)
+    const running = target && target[ACTIVE]
+    if (!running || !running.sleeping) return
+    setImmediate(() => {
+      if (shared.outcome === 'finished') return target._finish(running, null, { rows: [{ done: true }] })
+      const err = shared.outcome === '57014'
+        ? Object.assign(new Error('canceling statement due to user request'), { code: '57014' })
+        : Object.assign(new Error('Connection terminated unexpectedly'), { code: 'ECONNRESET' })
+      target._finish(running, err)
+    })
+  }
+  shared.land = land
+
+  class Query {
+    constructor(config, values, callback) {
+      const cfg = typeof config === 'string' ? { text: config, values } : config
+      this.text = cfg.text
+      this.values = cfg.values
+      this.callback = callback
+    }
+    submit() {}
+  }
+
+  class Client {
+    constructor(config) {
+      this.config = config
+      this.host = config.host
+      this.port = config.port
+      this.handlers = {}
+      this.processID = 1000 + shared.instances.length
+      this.secretKey = 77
+      // pg 8.11-8.16 only assign activeQuery once a statement runs.
+      if (driver !== 'pg-legacy') this[ACTIVE] = null
+      this[QUEUE] = []
+      this.queries = []
+      // Only used as a canceller: CancelRequest for (pid, secret key).
+      this.connection = {
+        on() {},
+        once: (ev, fn) => { this._onCancelConnect = fn },
+        connect: () => setImmediate(() => this._onCancelConnect()),
+        cancel: (pid, key) => {
+          assert.strictEqual(key, 77)
+          shared.protocolCancels.push(pid)
+          land(pid)
+        },
+      }
+      byPid.set(this.processID, this)
+      shared.instances.push(this)
+    }
+    get pending() {
+      return this[QUEUE]
+    }
+    on(ev, fn) {
+      this.handlers[ev] = this.handlers[ev] || []
+      this.handlers[ev].push(fn)
+    }
+    async connect() {
+      if (asyncEnd) await new Promise(res => setImmediate(res))
+    }
+    async end() {
+      this.ended = true
+      if (asyncEnd) setImmediate(() => { for (const fn of this.handlers.end || []) fn() })
+    }
+    query(config, values) {
+      if (config && typeof config.submit === 'function') {
+        this[QUEUE].push(config)
+        this._pulse()
+        return config
+      }
+      return new Promise((resolve, reject) => {
+        this.query(new Query(config, values, (err, res) => (err ? reject(err) : resolve(res))))
+      })
+    }
+    _pulse() {
+      if (this[ACTIVE] || this[QUEUE].length === 0) return
+      const q = this[ACTIVE] = this[QUEUE].shift()
+      this.queries.push(q.text)
+      if (q.text.includes('pg_cancel_backend')) {
+        shared.sqlCancels.push(q.values[0])
+        land(q.values[0])
+      }
+      if (q.text.includes('pg_sleep')) {
+        q.sleeping = true
+        return
+      }
+      setImmediate(() => this._finish(q, null, { rows: [{}] }))
+    }
+    _finish(q, err, res) {
+      if (this[ACTIVE] !== q) return
+      this[ACTIVE] = null
+      q.callback(err, res)
+      this._pulse()
+    }
+  }
+  if (driver === 'pg') {
+    Object.defineProperties(Client.prototype, {
+      activeQuery: { get() { throw new Error('deprecated activeQuery getter used') } },
+      queryQueue: { get() { throw new Error('deprecated queryQueue getter used') } },
+    })
+    Client.prototype._getActiveQuery = function () { return this._activeQuery }
+  }
+  return driver === 'other' ? { Client, shared } : { Client, Query, shared }
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'x',
+    user: 'u',
+    database: 'd',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaper: false,
+    clockSync: false,
+    minBackoff: 1,
+    maxBackoff: 2,
+    ...extra,
+  })
+}
+
+describe('AequorClient query cancellation', () => {
+  test('protocol-level cancel: AbortError, connection kept, not retried', async () => {
+    const lib = makeFakePgLibrary()
+    const retries = []
+    const errors = []
+    const c = makeClient(lib, { hooks: { onQueryRetry: (p) => retries.push(p), onQueryError: (p) => errors.push(p) } })
+    await c.connect()
+    const conn = c._client
+    const gen = c._generation
+
+    const ac = new AbortController()
+    const pending = c.query('SELECT pg_sleep(60)', [], { signal: ac.signal, idempotent: true })
+    setImmediate(() => ac.abort(new Error('user went away')))
+    const err = await pending.catch(e => e)
+
+    assert.ok(err instanceof AbortError)
+    assert.strictEqual(err.code, 'ABORT_ERR')
+    assert.strictEqual(err.cause.code, '57014')
+    assert.strictEqual(err.reason.message, 'user went away')
+    assert.deepStrictEqual(lib.shared.protocolCancels, [conn.processID])
+    assert.strictEqual(retries.length, 0)
+    assert.strictEqual(errors[0].err, err)
+
+    // The cancel landed cleanly: same connection, same generation.
+    assert.strictEqual(c._client, conn)
+    assert.strictEqual(c._generation, gen)
+    await c.query('SELECT 1')
+    assert.strictEqual(c._client, conn)
+    await c.end()
+  })
+
+  test('pg 8.11-8.16 (plain activeQuery / queryQueue fields): the same protocol-level cancel', async () => {
+    const lib = makeFakePgLibrary({ driver: 'pg-legacy' })
+    const c = makeClient(lib)
+    await c.connect()
+    const conn = c._client
+
+    const ac = new AbortController()
+    const pending = c.query('SELECT pg_sleep(60)', [], { signal: ac.signal })
+    setImmediate(() => ac.abort())
+    const err = await pending.catch(e => e)
+    assert.ok(err instanceof AbortError)
+    assert.strictEqual(err.cause.code, '57014')
+    assert.deepStrictEqual(lib.shared.protocolCancels, [conn.processID])
+    assert.strictEqual(c._client, conn)
+    await c.end()
+  })
+
+  test("a driver whose statements can't be singled out is never cancelled by pid", async () => {
+    const lib = makeFakePgLibrary({ driver: 'other' })
+    const c = makeClient(lib)
+    await c.connect()
+    const conn = c._client
+
+    // Another caller's statement runs; ours waits behind it.
+    const other = c.query('SELECT pg_sleep(5)')
+    const ac = new AbortController()
+    const mine = c.query('SELECT pg_sleep(60)', [], { signal: ac.signal })
+    await new Promise(res => setImmediate(res))
+
+    ac.abort()
+    const err = await mine.catch(e => e)
+    assert.ok(err instanceof AbortError)
+    assert.strictEqual(err.cause, undefined)
+    await new Promise(res => setImmediate(res))
+    assert.deepStrictEqual(lib.shared.protocolCancels, [])
+    assert.deepStrictEqual(lib.shared.sqlCancels, [])
+    assert.strictEqual(lib.shared.instances.length, 1) // no side connection
+
+    lib.shared.outcome = 'finished'
+    lib.shared.land(conn.processID)
+    assert.deepStrictEqual((await other).rows, [{ done: true }])
+    assert.strictEqual(c._client, conn)
+    assert.ok(!conn.ended)
+    await c.end()
+  })
+
+  test('an already aborted signal rejects before anything is sent', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    const err = await c.query('SELECT 1', [], { signal: AbortSignal.abort('stop') }).catch(e => e)
+    assert.ok(err instanceof AbortError)
+    assert.strictEqual(err.reason, 'stop')
+    assert.strictEqual(err.cause, undefined)
+    assert.strictEqual(lib.shared.instances.length, 0)
+  })
+
+  test('a statement that finished first returns its result; the connection is recycled', async () => {
+    const lib = makeFakePgLibrary()
+    lib.shared.outcome = 'finished'
+    const c = makeClient(lib)
+    await c.connect()
+    const conn = c._client
+
+    const ac = new AbortController()
+    const pending = c.query('UPDATE jobs SET done = true, t = pg_sleep(1)', [], { signal: ac.signal })
+    setImmediate(() => ac.abort())
+    const res = await pending
+    assert.deepStrictEqual(res.rows, [{ done: true }])
+    assert.ok(conn.ended)
+
+    await c.query('SELECT 1')
+    assert.notStrictEqual(c._client, conn)
+    await c.end()
+  })
+
+  test('a connection lost during the cancel is replaced; the query is still not retried', async () => {
+    const lib = makeFakePgLibrary()
+    lib.shared.outcome = 'ECONNRESET'
+    const retries = []
+    const c = makeClient(lib, { hooks: { onQueryRetry: (p) => retries.push(p) } })
+    await c.connect()
+    const conn = c._client
+
+    const ac = new AbortController()
+    const pending = c.query('SELECT pg_sleep(60)', [], { signal: ac.signal, idempotent: true })
+    setImmediate(() => ac.abort())
+    const err = await pending.catch(e => e)
+    assert.ok(err instanceof AbortError)
+    assert.strictEqual(err.cause.code, 'ECONNRESET')
+    assert.strictEqual(retries.length, 0)
+    assert.strictEqual(c._client, null)
+    assert.ok(conn.ended)
+    await c.end()
+  })
+
+  for (const driver of ['pg', 'pg-legacy']) {
+    test(`${driver}: only this call's statement is cancelled; a queued one is dropped from the driver's queue`, async () => {
+      const lib = makeFakePgLibrary({ driver })
+      const c = makeClient(lib)
+      await c.connect()
+      const conn = c._client
+
+      // Another caller's statement occupies the connection.
+      const other = c.query('SELECT pg_sleep(5)')
+      await new Promise(res => setImmediate(res))
+      const ac = new AbortController()
+      const mine = c.query('SELECT pg_sleep(60)', [], { signal: ac.signal })
+      await new Promise(res => setImmediate(res))
+      assert.strictEqual(conn.pending.length, 1)
+
+      ac.abort()
+      const err = await mine.catch(e => e)
+      assert.ok(err instanceof AbortError)
+      assert.strictEqual(err.cause, undefined)
+      assert.strictEqual(conn.pending.length, 0)
+      assert.deepStrictEqual(lib.shared.protocolCancels, [])
+      assert.deepStrictEqual(lib.shared.sqlCancels, [])
+
+      // The other caller's statement was not touched, nor was the connection.
+      lib.shared.outcome = 'finished'
+      lib.shared.land(conn.processID)
+      assert.deepStrictEqual((await other).rows, [{ done: true }])
+      assert.strictEqual(c._client, conn)
+      assert.ok(!conn.ended)
+      await c.end()
+    })
+  }
+
+  test("the recycled socket's late 'end' doesn't discard the new connection", async () => {
+    const lib = makeFakePgLibrary({ asyncEnd: true })
+    lib.shared.outcome = 'ECONNRESET'
+    const dead = []
+    const c = makeClient(lib, { hooks: { onClientDead: (p) => dead.push(p) } })
+    await c.connect()
+    const conn = c._client
+
+    const ac = new AbortController()
+    const pending = c.query('SELECT pg_sleep(60)', [], { signal: ac.signal })
+    setImmediate(() => ac.abort())
+    await assert.rejects(pending, AbortError)
+
+    // Reconnects while the old socket's 'end' is still on its way.
+    const res = await c.query('SELECT 1')
+    assert.deepStrictEqual(res.rows, [{}])
+    const fresh = c._client
+    assert.notStrictEqual(fresh, conn)
+    await new Promise(res => setImmediate(res))
+    await new Promise(res => setImmediate(res))
+    assert.strictEqual(c._client, fresh)
+    assert.ok(!fresh.ended)
+    assert.strictEqual(dead.filter(d => d.source === 'end').length, 0)
+    await c.end()
+  })
+})
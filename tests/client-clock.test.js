@@ -0,0 +1,136 @@
+const { test, describe, mock, afterEach } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+const LeaseManager = require('../lib/lease')
+
+class FakePgClient {
+  constructor(shared, config) {
+    this.shared = shared
+    this.config = config
+    this.handlers = {}
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  async connect() {}
+  async end() { this.ended = true }
+  emit(ev, arg) {
+    for (const fn of this.handlers[ev] || []) fn(arg)
+  }
+  async query(sql, params) {
+    const s = String(sql)
+    this.shared.log.push({ sql: s, params })
+    if (s.includes('clock_timestamp()')) {
+      if (this.shared.onClockQuery) await this.shared.onClockQuery(this)
+      return { rows: [{ now_ms: Date.now() + this.shared.serverOffsetMs }] }
+    }
+    return { rows: [{}] }
+  }
+}
+
+function makeFakePgLibrary(serverOffsetMs) {
+  const shared = { log: [], serverOffsetMs }
+  const instances = []
+  class Client {
+    constructor(config) {
+      const c = new FakePgClient(shared, config)
+      instances.push(c)
+      return c
+    }
+  }
+  return { Client, instances, shared }
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'x',
+    user: 'u',
+    database: 'd',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaper: false,
+    leaseTtlMs: 90000,
+    ...extra,
+  })
+}
+
+const expOf = (appName) => LeaseManager.parse(appName).exp
+
+describe('AequorClient clock sync', () => {
+  afterEach(() => mock.restoreAll())
+
+  test('measures the offset and stamps leases in database time', async () => {
+    const lib = makeFakePgLibrary(-120000) // DB clock 2 minutes behind
+    const skews = []
+    const c = makeClient(lib, { hooks: { onClockSkew: (p) => skews.push(p) } })
+
+    await c.connect()
+    assert.ok(Math.abs(c._clockOffsetMs + 120000) < 50)
+    assert.strictEqual(skews.length, 1)
+    assert.ok(Math.abs(skews[0].offsetMs + 120000) < 50)
+    assert.strictEqual(skews[0].toleranceMs, 1000)
+
+    // The startup lease was local-clock based; it gets restamped in DB time right away.
+    const restamp = lib.shared.log.find(q => q.sql.includes('set_config'))
+    assert.ok(restamp)
+    const dbExp = Date.now() - 120000 + 90000
+    assert.ok(Math.abs(expOf(restamp.params[0]) - dbExp) < 50)
+    assert.ok(Math.abs(c._leaseExp - dbExp) < 50)
+
+    // Reconnects stamp the startup lease with the known offset: no restamp needed.
+    lib.shared.log.length = 0
+    c._isDead = true
+    await c.connect()
+    assert.ok(Math.abs(expOf(lib.instances[1].config.application_name) - dbExp) < 50)
+    assert.strictEqual(lib.shared.log.some(q => q.sql.includes('set_config')), false)
+  })
+
+  test('stays quiet within the tolerance', async () => {
+    const lib = makeFakePgLibrary(300)
+    const skews = []
+    const c = makeClient(lib, { hooks: { onClockSkew: (p) => skews.push(p) } })
+
+    await c.connect()
+    assert.ok(Math.abs(c._clockOffsetMs - 300) < 50)
+    assert.strictEqual(skews.length, 0)
+    assert.strictEqual(lib.shared.log.some(q => q.sql.includes('set_config')), false)
+  })
+
+  test('end() while the clock is being measured closes the new connection', async () => {
+    const lib = makeFakePgLibrary(0)
+    const c = makeClient(lib)
+    lib.shared.onClockQuery = () => c.end()
+
+    await c.connect()
+    assert.strictEqual(c.getClient(), null)
+    assert.strictEqual(lib.instances.length, 1)
+    assert.strictEqual(lib.instances[0].ended, true)
+  })
+
+  test('a socket error during the clock query never installs the dead client', async () => {
+    const lib = makeFakePgLibrary(0)
+    const c = makeClient(lib)
+    lib.shared.onClockQuery = (pg) => {
+      lib.shared.onClockQuery = null
+      pg.emit('error', Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }))
+    }
+
+    await c.connect()
+    assert.strictEqual(c.getClient(), null)
+    assert.strictEqual(lib.instances[0].ended, true)
+
+    // The next connect starts over on a fresh socket.
+    await c.connect()
+    assert.strictEqual(c.getClient(), lib.instances[1])
+  })
+
+  test('clockSync: false skips the measurement', async () => {
+    const lib = makeFakePgLibrary(-120000)
+    const c = makeClient(lib, { clockSync: false })
+    await c.connect()
+    assert.strictEqual(c._clockOffsetMs, 0)
+    assert.strictEqual(lib.shared.log.length, 0)
+  })
+})
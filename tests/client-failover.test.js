@@ -0,0 +1,203 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+const { TargetSessionAttrsError } = require('../lib/errors')
+
+class FakePgClient {
+  constructor(shared, config) {
+    this.shared = shared
+    this.config = config
+    this.handlers = {}
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  node() {
+    return this.shared.nodes[this.config.host]
+  }
+  async connect() {
+    this.shared.connects.push(`${this.config.host}:${this.config.port}`)
+    if (this.node().down) {
+      const code = this.node().downCode || 'ECONNREFUSED'
+      const err = new Error(`connect ${code} ${this.config.host}`)
+      err.code = code
+      throw err
+    }
+  }
+  async end() {}
+  async query(sql) {
+    const s = typeof sql === 'string' ? sql : sql.text
+    const node = this.node()
+    if (s.includes('pg_is_in_recovery()')) {
+      return { rows: [{ in_recovery: node.standby, read_only: node.standby || node.readOnly ? 'on' : 'off' }] }
+    }
+    if (s.startsWith('q:')) {
+      this.shared.log.push({ host: this.config.host, sql: s })
+      if ((node.standby || node.readOnly) && s.startsWith('q:write')) {
+        const err = new Error('cannot execute UPDATE in a read-only transaction')
+        err.code = '25006'
+        throw err
+      }
+    }
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary(nodes) {
+  const shared = { nodes, connects: [], log: [] }
+  class Client {
+    constructor(config) {
+      return new FakePgClient(shared, config)
+    }
+  }
+  return { Client, shared }
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    port: 5432,
+    user: 'u',
+    database: 'd',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaper: false,
+    clockSync: false,
+    minBackoff: 1,
+    maxBackoff: 2,
+    hosts: ['a', 'b:6432', { host: 'c' }],
+    targetSessionAttrs: 'read-write',
+    ...extra,
+  })
+}
+
+describe('AequorClient multi-host failover', () => {
+  test('parses hosts entries', () => {
+    assert.strictEqual(AequorClient._parseHosts(undefined), null)
+    assert.strictEqual(AequorClient._parseHosts([]), null)
+    assert.deepStrictEqual(AequorClient._parseHosts(['a', 'b:6432', { host: 'c', port: 5433 }, { host: '::1' }]), [
+      { host: 'a' },
+      { host: 'b', port: 6432 },
+      { host: 'c', port: 5433 },
+      { host: '::1' },
+    ])
+    assert.throws(() => makeClient(makeFakePgLibrary({}), { targetSessionAttrs: 'primary' }), /Invalid targetSessionAttrs/)
+  })
+
+  test('read-write skips standbys and down hosts without backing off', async () => {
+    const lib = makeFakePgLibrary({ a: { down: true }, b: { standby: true }, c: {} })
+    const reconnects = []
+    const c = makeClient(lib, { hooks: { onReconnect: (p) => reconnects.push(p) } })
+
+    await c.query('q:write')
+    assert.deepStrictEqual(lib.shared.connects, ['a:5432', 'b:6432', 'c:5432'])
+    assert.deepStrictEqual(lib.shared.log, [{ host: 'c', sql: 'q:write' }])
+    assert.deepStrictEqual(reconnects.map(r => [r.host, r.delay, r.retries]), [['b:6432', 0, 0], ['c', 0, 0]])
+    assert.ok(reconnects[1].err instanceof TargetSessionAttrsError)
+    assert.strictEqual(reconnects[1].err.code, 'ETARGETSESSION')
+    assert.strictEqual(reconnects[1].err.inRecovery, true)
+    await c.end()
+  })
+
+  test('non-retryable connect errors still fail over to the remaining hosts', async () => {
+    const lib = makeFakePgLibrary({ 'old.db': { down: true, downCode: 'ENOTFOUND' }, 'new.db': {} })
+    const c = makeClient(lib, { hosts: ['old.db', 'new.db'] })
+
+    await c.query('q:write')
+    assert.deepStrictEqual(lib.shared.connects, ['old.db:5432', 'new.db:5432'])
+    assert.deepStrictEqual(lib.shared.log, [{ host: 'new.db', sql: 'q:write' }])
+    await c.end()
+
+    // Once every host was tried, a non-retryable error is thrown without backing off.
+    const none = makeFakePgLibrary({ 'old.db': { down: true, downCode: 'ENOTFOUND' }, 'new.db': { down: true, downCode: 'ENOTFOUND' } })
+    await assert.rejects(makeClient(none, { hosts: ['old.db', 'new.db'] }).connect(), { code: 'ENOTFOUND' })
+    assert.deepStrictEqual(none.shared.connects, ['old.db:5432', 'new.db:5432'])
+  })
+
+  test('a full pass without a writer backs off and counts a retry', async () => {
+    const lib = makeFakePgLibrary({ a: { standby: true }, b: { readOnly: true }, c: { standby: true } })
+    const reconnects = []
+    const c = makeClient(lib, { retries: 1, hooks: { onReconnect: (p) => reconnects.push(p) } })
+
+    await assert.rejects(c.connect(), { code: 'ETARGETSESSION' })
+    assert.deepStrictEqual(lib.shared.connects, ['a:5432', 'b:6432', 'c:5432', 'a:5432', 'b:6432', 'c:5432'])
+    assert.deepStrictEqual(reconnects.map(r => r.retries), [0, 0, 1, 1, 1])
+    assert.ok(reconnects[2].delay > 0)
+  })
+
+  test('25006 fails over to the next host and re-runs the rejected statement', async () => {
+    const nodes = { a: {}, b: { standby: true }, c: {} }
+    const lib = makeFakePgLibrary(nodes)
+    const dead = []
+    const c = makeClient(lib, { hooks: { onClientDead: (p) => dead.push(p) } })
+    await c.query('q:write 1')
+
+    // a gets demoted underneath us.
+    nodes.a.readOnly = true
+    await c.query('q:write 2') // not idempotent, but the server refused it: safe to re-run
+
+    assert.deepStrictEqual(lib.shared.log.map(q => [q.host, q.sql]), [
+      ['a', 'q:write 1'],
+      ['a', 'q:write 2'],
+      ['c', 'q:write 2'],
+    ])
+    assert.strictEqual(dead.length, 1)
+    assert.strictEqual(dead[0].source, 'read_only')
+    assert.strictEqual(dead[0].err.code, '25006')
+    await c.end()
+  })
+
+  test('25006 is a plain error without read-write targeting', async () => {
+    const lib = makeFakePgLibrary({ a: { readOnly: true }, b: {}, c: {} })
+    const c = makeClient(lib, { targetSessionAttrs: 'any' })
+    await assert.rejects(c.query('q:write'), { code: '25006' })
+    assert.deepStrictEqual(lib.shared.log.map(q => q.host), ['a'])
+    await c.end()
+  })
+
+  test('transactions rejected by a demoted node are re-run on the next host', async () => {
+    const nodes = { a: {}, b: {}, c: {} }
+    const lib = makeFakePgLibrary(nodes)
+    const c = makeClient(lib)
+    await c.connect()
+    nodes.a.readOnly = true
+
+    let runs = 0
+    await c.transaction(async (tx) => {
+      runs++
+      await tx.query('q:write in tx')
+    })
+    assert.strictEqual(runs, 2)
+    assert.deepStrictEqual(lib.shared.log.map(q => q.host), ['a', 'b'])
+    await c.end()
+  })
+
+  test('prefer-standby takes a standby, else the last host tried', async () => {
+    const lib = makeFakePgLibrary({ a: {}, b: { standby: true }, c: {} })
+    const c = makeClient(lib, { targetSessionAttrs: 'prefer-standby' })
+    await c.query('q:read')
+    assert.deepStrictEqual(lib.shared.log.map(q => q.host), ['b'])
+    await c.end()
+
+    const lib2 = makeFakePgLibrary({ a: {}, b: {}, c: {} })
+    const c2 = makeClient(lib2, { targetSessionAttrs: 'prefer-standby' })
+    await c2.query('q:read')
+    assert.deepStrictEqual(lib2.shared.connects, ['a:5432', 'b:6432', 'c:5432'])
+    assert.deepStrictEqual(lib2.shared.log.map(q => q.host), ['c'])
+    await c2.end()
+  })
+
+  test('read-write also guards a single endpoint (DNS-based failover)', async () => {
+    const nodes = { db: { standby: true } }
+    const lib = makeFakePgLibrary(nodes)
+    const c = makeClient(lib, { hosts: undefined, host: 'db', retries: 2 })
+    const pending = c.query('q:write')
+    // DNS flips to the new writer while we back off.
+    setTimeout(() => { nodes.db.standby = false }, 1)
+    await pending
+    assert.ok(lib.shared.connects.length >= 2)
+    assert.deepStrictEqual(lib.shared.log.map(q => q.host), ['db'])
+    await c.end()
+  })
+})
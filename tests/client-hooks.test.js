@@ -1,4 +1,4 @@
-const { test, describe } = require('node:test')
+const { test, describe, mock } = require('node:test')
 const assert = require('node:assert')
 
 const AequorClient = require('../lib/client')
@@ -159,11 +159,38 @@ describe('AequorClient hooks', () => {
     // Force first user query to fail with a retryable socket error
     lib.instances[0].failUserQueryOnce = true
 
-    await c.query('SELECT 1')
+    await c.query('SELECT 1', [], { idempotent: true })
     assert.ok(calls.length >= 1)
     assert.strictEqual(calls[0][0], 'onQueryRetry')
     assert.strictEqual(calls[0][1].retries, 1)
   })
-})
 
+  test('onReapDetail fires once per signalled session', async () => {
+    const Reaper = require('../lib/reaper')
+    const records = [
+      { pid: 11, action: 'cancel', service: 'svc', instanceId: 'a', result: true },
+      { pid: 12, action: 'terminate', service: 'svc', instanceId: 'b', result: null },
+    ]
+    mock.method(Reaper, 'reap', async () => ({ locked: true, killed: 1, cancelled: 1, audit: records }))
+    const details = []
+    const c = new AequorClient({
+      host: 'x',
+      user: 'u',
+      database: 'd',
+      coordinationSecret: 'coord-secret-123456',
+      library: makeFakePgLibrary(),
+      reaperRunProbability: 1,
+      reaperAdaptive: false,
+      hooks: { onReapDetail: (p) => details.push(p) },
+    })
 
+    try {
+      await c.connect()
+      await new Promise(res => setImmediate(res))
+    } finally {
+      mock.restoreAll()
+    }
+    assert.deepStrictEqual(details.map(d => [d.pid, d.action, d.result]), [[11, 'cancel', true], [12, 'terminate', null]])
+    assert.strictEqual(details[0].gen, 1)
+  })
+})
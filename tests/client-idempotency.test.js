@@ -0,0 +1,125 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+const { AmbiguousWriteError } = require('../lib/errors')
+
+class FakePgClient {
+  constructor(shared) {
+    this.shared = shared
+    this.handlers = {}
+    this.connected = false
+    this.ended = false
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  emit(ev, arg) {
+    for (const fn of this.handlers[ev] || []) fn(arg)
+  }
+  async connect() {
+    if (this.shared.connectFailures > 0) {
+      this.shared.connectFailures--
+      throw Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })
+    }
+    this.connected = true
+  }
+  async end() {
+    this.ended = true
+    this.connected = false
+  }
+  async query(...args) {
+    this.shared.queries.push(args)
+    if (this.shared.queryFailures > 0) {
+      this.shared.queryFailures--
+      throw Object.assign(new Error('reset'), { code: 'ECONNRESET' })
+    }
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary() {
+  const shared = { queries: [], queryFailures: 0, connectFailures: 0 }
+  class Client {
+    constructor() {
+      return new FakePgClient(shared)
+    }
+  }
+  return { Client, shared }
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'x',
+    user: 'u',
+    database: 'd',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaper: false,
+    clockSync: false,
+    minBackoff: 1,
+    maxBackoff: 1,
+    ...extra,
+  })
+}
+
+describe('AequorClient query idempotency', () => {
+  test('undeclared statements are not retried once sent', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    await c.connect()
+    lib.shared.queryFailures = 1
+
+    await assert.rejects(
+      () => c.query('INSERT INTO t VALUES (1)'),
+      (err) => err instanceof AmbiguousWriteError && err.code === 'EAMBIGUOUS' && err.cause.code === 'ECONNRESET'
+    )
+    assert.strictEqual(lib.shared.queries.length, 1)
+    assert.strictEqual(c._isDead, true)
+  })
+
+  test('idempotent statements are retried after an ambiguous failure', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    await c.connect()
+    lib.shared.queryFailures = 1
+
+    await c.query('SELECT 1', [], { idempotent: true })
+    assert.strictEqual(lib.shared.queries.length, 2)
+    // Options never reach pg.
+    assert.deepStrictEqual(lib.shared.queries[1], ['SELECT 1', []])
+  })
+
+  test('client-wide default applies and per-call options override it', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib, { defaultIdempotent: true })
+    await c.connect()
+
+    lib.shared.queryFailures = 1
+    await c.query({ text: 'SELECT 1' })
+    assert.strictEqual(lib.shared.queries.length, 2)
+
+    lib.shared.queryFailures = 1
+    await assert.rejects(() => c.query({ text: 'INSERT' }, { idempotent: false }), AmbiguousWriteError)
+  })
+
+  test('failures before sending are retried even for non-idempotent statements', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    lib.shared.connectFailures = 1
+
+    await c.query('INSERT INTO t VALUES (1)')
+    assert.strictEqual(lib.shared.queries.length, 1)
+  })
+
+  test('per-call retries limits idempotent retries', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    await c.connect()
+    lib.shared.queryFailures = 5
+
+    await assert.rejects(() => c.query('SELECT 1', undefined, { idempotent: true, retries: 1 }), (err) => err.code === 'ECONNRESET')
+    assert.strictEqual(lib.shared.queries.length, 2)
+  })
+})
@@ -0,0 +1,154 @@
+const { test, describe, mock, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+const Reaper = require('../lib/reaper')
+const Capabilities = require('../lib/capabilities')
+
+class FakePgClient {
+  constructor(shared, config) {
+    this.shared = shared
+    this.config = config
+    this.handlers = {}
+    this.ended = false
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  async connect() {
+    // The app role is locked out while slots are exhausted; the reaper role is not.
+    if (this.config.user === 'app' && this.shared.appFailures.length) throw this.shared.appFailures.shift()
+  }
+  async end() {
+    this.ended = true
+  }
+  async query(sql) {
+    this.shared.log.push({ user: this.config.user, sql: String(sql) })
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary() {
+  const shared = { log: [], appFailures: [] }
+  const instances = []
+  class Client {
+    constructor(config) {
+      const c = new FakePgClient(shared, config)
+      instances.push(c)
+      return c
+    }
+  }
+  return { Client, instances, shared }
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'db.internal',
+    port: 5432,
+    user: 'app',
+    password: 'app-pw',
+    database: 'd',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaperRunProbability: 1,
+    reaperAdaptive: false,
+    reaperConnection: { user: 'reaper', password: 'reaper-pw' },
+    minBackoff: 1,
+    maxBackoff: 1,
+    ...extra,
+  })
+}
+
+const settle = () => new Promise(res => setImmediate(res))
+
+describe('AequorClient reaperConnection', () => {
+  beforeEach(() => {
+    Capabilities.clearCache()
+    mock.method(Capabilities, 'probe', async () => ({ reaperSupported: true, reaperProblems: [] }))
+  })
+  afterEach(() => mock.restoreAll())
+
+  test('reaps on a short-lived side connection with its own credentials', async () => {
+    const lib = makeFakePgLibrary()
+    const reap = mock.method(Reaper, 'reap', async () => ({ locked: true, killed: 2 }))
+    const reaps = []
+    const c = makeClient(lib, { hooks: { onReap: (p) => reaps.push(p) } })
+
+    await c.connect()
+    await settle()
+
+    // App connection, preflight side connection, reap side connection.
+    assert.strictEqual(lib.instances.length, 3)
+    const [app, , side] = lib.instances
+    assert.strictEqual(app.config.user, 'app')
+    assert.strictEqual(side.config.user, 'reaper')
+    assert.strictEqual(side.config.password, 'reaper-pw')
+    // Location is inherited, credentials are not.
+    assert.strictEqual(side.config.host, 'db.internal')
+    assert.strictEqual(side.config.port, 5432)
+    assert.ok(side.config.application_name.startsWith('s='))
+    assert.strictEqual(reap.mock.calls[0].arguments[0], side)
+    assert.strictEqual(side.ended, true)
+    assert.strictEqual(app.ended, false)
+    assert.strictEqual(reaps[0].killed, 2)
+  })
+
+  test('runs an emergency reap while the app role gets 53300', async () => {
+    const lib = makeFakePgLibrary()
+    lib.shared.appFailures.push(Object.assign(new Error('sorry, too many clients already'), { code: '53300' }))
+    const order = []
+    mock.method(Reaper, 'reap', async (client) => {
+      order.push(`reap:${client.config.user}`)
+      return { locked: true, killed: 1 }
+    })
+    const reaps = []
+    const c = makeClient(lib, {
+      reaperRunProbability: 0,
+      hooks: {
+        onReap: (p) => reaps.push(p),
+        onReconnect: () => order.push('backoff'),
+      },
+    })
+
+    await c.connect()
+    await settle()
+
+    // Reaped between the failed attempt and the retry; not again after connecting.
+    assert.deepStrictEqual(order, ['reap:reaper', 'backoff'])
+    assert.strictEqual(reaps.length, 1)
+    assert.strictEqual(reaps[0].urgent, true)
+    assert.strictEqual(c._reapUrgent, false)
+  })
+
+  test('emergency reaps are rate-limited: once per retry loop and per cooldown', async () => {
+    const lib = makeFakePgLibrary()
+    const tooMany = () => Object.assign(new Error('sorry, too many clients already'), { code: '53300' })
+    lib.shared.appFailures.push(tooMany(), tooMany(), tooMany())
+    const order = []
+    mock.method(Reaper, 'reap', async () => {
+      order.push('reap')
+      return { locked: true, killed: 0 }
+    })
+    const c = makeClient(lib, {
+      reaperRunProbability: 0,
+      retries: 5,
+      hooks: { onReconnect: () => order.push('backoff'), onConnect: () => order.push('connected') },
+    })
+
+    await c.connect()
+    await settle()
+    // One emergency pass, then the usual urgent pass once connected.
+    assert.deepStrictEqual(order.slice(0, 4), ['reap', 'backoff', 'backoff', 'backoff'])
+    assert.strictEqual(order.filter(x => x === 'reap').length, 2)
+
+    // A query retry reconnects: a new loop, but still inside the cooldown.
+    order.length = 0
+    c._isDead = true
+    lib.shared.appFailures.push(tooMany())
+    await c.connect()
+    await settle()
+    assert.strictEqual(order[0], 'backoff')
+    assert.strictEqual(order.filter(x => x === 'reap').length, 1)
+  })
+})
@@ -0,0 +1,114 @@
+const { test, describe, mock, afterEach } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+
+class FakePgClient {
+  constructor(shared) {
+    this.shared = shared
+    this.handlers = {}
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  async connect() {
+    const fail = this.shared.connectFailures.shift()
+    if (fail) throw fail
+  }
+  async end() {}
+  async query(sql) {
+    const s = String(sql)
+    this.shared.log.push(s)
+    if (s.includes('max_connections')) {
+      return { rows: [{ max_connections: 100, reserved: 0, backends: this.shared.backends }] }
+    }
+    if (s.includes('pg_try_advisory_lock')) return { rows: [{ locked: true }] }
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary() {
+  const shared = { log: [], connectFailures: [], backends: 10 }
+  class Client {
+    constructor() {
+      return new FakePgClient(shared)
+    }
+  }
+  return { Client, shared }
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'x',
+    user: 'u',
+    database: 'd',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    minBackoff: 1,
+    maxBackoff: 1,
+    ...extra,
+  })
+}
+
+// _reap() runs detached from connect(); let it settle.
+const settle = () => new Promise(res => setImmediate(res))
+
+describe('AequorClient adaptive reaper schedule', () => {
+  afterEach(() => mock.restoreAll())
+
+  test('honors reaperRunProbability when the server is relaxed', async () => {
+    mock.method(Math, 'random', () => 0.5)
+    const lib = makeFakePgLibrary()
+    const reaps = []
+    const c = makeClient(lib, { reaperRunProbability: 0.3, hooks: { onReap: (p) => reaps.push(p) } })
+
+    await c.connect()
+    await settle()
+    assert.strictEqual(reaps.length, 0)
+    assert.strictEqual(lib.shared.log.some(s => s.includes('pg_try_advisory_lock')), false)
+  })
+
+  test('runs and kills more under high utilization', async () => {
+    mock.method(Math, 'random', () => 0.5)
+    const lib = makeFakePgLibrary()
+    lib.shared.backends = 90
+    const reaps = []
+    const c = makeClient(lib, { reaperRunProbability: 0.3, hooks: { onReap: (p) => reaps.push(p) } })
+    const reap = mock.method(require('../lib/reaper'), 'reap', async () => ({ locked: true, killed: 0 }))
+
+    await c.connect()
+    await settle()
+    assert.strictEqual(reaps.length, 1)
+    assert.strictEqual(reaps[0].utilization, 0.9)
+    assert.strictEqual(reap.mock.calls[0].arguments[3].maxIdleConnectionsToKill, 30)
+  })
+
+  test('reaperAdaptive: false skips the pressure sample', async () => {
+    mock.method(Math, 'random', () => 0.5)
+    const lib = makeFakePgLibrary()
+    lib.shared.backends = 90
+    const reaps = []
+    const c = makeClient(lib, { reaperRunProbability: 0.3, reaperAdaptive: false, hooks: { onReap: (p) => reaps.push(p) } })
+
+    await c.connect()
+    await settle()
+    assert.strictEqual(reaps.length, 0)
+    assert.strictEqual(lib.shared.log.some(s => s.includes('max_connections')), false)
+  })
+
+  test('a 53300 connect failure forces a reap on the next successful connect', async () => {
+    mock.method(Math, 'random', () => 0.99)
+    const lib = makeFakePgLibrary()
+    lib.shared.connectFailures.push(Object.assign(new Error('sorry, too many clients already'), { code: '53300' }))
+    const reaps = []
+    const c = makeClient(lib, { reaperRunProbability: 0, hooks: { onReap: (p) => reaps.push(p) } })
+    c._reaperNextRunAt = Date.now() + 60000 // cooldown active
+
+    await c.connect()
+    await settle()
+    assert.strictEqual(reaps.length, 1)
+    assert.strictEqual(reaps[0].urgent, true)
+    assert.strictEqual(c._reapUrgent, false)
+  })
+})
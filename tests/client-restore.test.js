@@ -0,0 +1,148 @@
+const { test, describe, mock, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { performance } = require('perf_hooks')
+
+const AequorClient = require('../lib/client')
+
+class FakePgClient {
+  constructor(cfg, { asyncEnd = false } = {}) {
+    this.cfg = cfg
+    this.asyncEnd = asyncEnd
+    this.handlers = {}
+    this.connected = false
+    this.ended = false
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  emit(ev, arg) {
+    for (const fn of this.handlers[ev] || []) fn(arg)
+  }
+  async connect() {
+    if (this.asyncEnd) await new Promise(resolve => setImmediate(resolve))
+    this.connected = true
+  }
+  end() {
+    this.ended = true
+    this.connected = false
+    // pg emits 'end' asynchronously once the socket closes...
+    if (this.asyncEnd) {
+      setImmediate(() => this.emit('end'))
+      return Promise.resolve()
+    }
+    // ...and a pre-snapshot socket may never finish closing.
+    return new Promise(() => {})
+  }
+  async query() {
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary(options) {
+  const instances = []
+  class Client {
+    constructor(cfg) {
+      const c = new FakePgClient(cfg, options)
+      instances.push(c)
+      return c
+    }
+  }
+  return { Client, instances }
+}
+
+// Fake clocks: wall and monotonic time only move when the test says so.
+function fakeClocks() {
+  const clocks = { wall: 1_700_000_000_000, mono: 1000 }
+  mock.method(Date, 'now', () => clocks.wall)
+  mock.method(performance, 'now', () => clocks.mono)
+  return clocks
+}
+
+describe('AequorClient snapshot restore', () => {
+  afterEach(() => mock.restoreAll())
+
+  test('clock discontinuity regenerates instance id and re-leases on next query', async () => {
+    const clocks = fakeClocks()
+    const lib = makeFakePgLibrary()
+    const calls = []
+    const c = new AequorClient({
+      host: 'x',
+      user: 'u',
+      database: 'd',
+      coordinationSecret: 'coord-secret-123456',
+      library: lib,
+      reaper: false,
+      restoreDetectionThresholdMs: 1000,
+      hooks: { onRestore: (p) => calls.push(p) },
+    })
+
+    await c.connect()
+    const before = c._leaseManager.instanceId
+    const preSnapshot = lib.instances[0]
+
+    // Normal passage of time (both clocks move): no restore.
+    clocks.wall += 60_000
+    clocks.mono += 60_000
+    await c.query('SELECT 1')
+    assert.strictEqual(calls.length, 0)
+    assert.strictEqual(lib.instances.length, 1)
+
+    // Restore: wall clock jumps, monotonic clock continues from snapshot time.
+    clocks.wall += 3_600_000
+    clocks.mono += 5
+    await c.query('SELECT 1')
+
+    assert.strictEqual(calls.length, 1)
+    assert.strictEqual(calls[0].source, 'clock')
+    assert.ok(calls[0].gapMs > 1000)
+    assert.strictEqual(preSnapshot.ended, true)
+    assert.strictEqual(lib.instances.length, 2)
+    assert.notStrictEqual(c._leaseManager.instanceId, before)
+
+    const lease = c._leaseManager.parseAndVerify(lib.instances[1].cfg.application_name)
+    assert.strictEqual(lease.inst, c._leaseManager.instanceId)
+    assert.strictEqual(lease.exp, clocks.wall + c._leaseTtlMs)
+  })
+
+  test('handleRestore() from a runtime hook drops the connection without waiting', async () => {
+    const lib = makeFakePgLibrary()
+    const c = new AequorClient({
+      host: 'x',
+      user: 'u',
+      database: 'd',
+      coordinationSecret: 'coord-secret-123456',
+      library: lib,
+      reaper: false,
+    })
+
+    await c.connect()
+    const before = c._leaseManager.instanceId
+    c.handleRestore()
+    assert.strictEqual(c._client, null)
+    assert.notStrictEqual(c._leaseManager.instanceId, before)
+
+    await c.query('SELECT 1')
+    assert.strictEqual(lib.instances.length, 2)
+  })
+
+  test("handleRestore(): the old socket's late 'end' doesn't discard the new connection", async () => {
+    const lib = makeFakePgLibrary({ asyncEnd: true })
+    const c = new AequorClient({
+      host: 'x',
+      user: 'u',
+      database: 'd',
+      coordinationSecret: 'coord-secret-123456',
+      library: lib,
+      reaper: false,
+    })
+
+    await c.connect()
+    c.handleRestore()
+    await c.query('SELECT 1')
+    await new Promise(resolve => setImmediate(resolve))
+    assert.strictEqual(lib.instances.length, 2)
+    assert.strictEqual(c._client, lib.instances[1])
+    assert.strictEqual(c._isDead, false)
+  })
+})
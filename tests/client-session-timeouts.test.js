@@ -0,0 +1,106 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+
+class FakePgClient {
+  constructor(shared) {
+    this.shared = shared
+    this.handlers = {}
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  emit(ev, arg) {
+    for (const fn of this.handlers[ev] || []) fn(arg)
+  }
+  async connect() {}
+  async end() {}
+  async query(sql, params) {
+    const s = String(sql)
+    this.shared.log.push({ sql: s, params })
+    if (s.includes('idle_in_transaction_session_timeout')) {
+      const pg14 = this.shared.serverVersionNum >= 140000
+      return { rows: [{ idle_session_timeout: pg14 ? params[0] : null, server_version_num: this.shared.serverVersionNum }] }
+    }
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary(serverVersionNum = 160002) {
+  const shared = { log: [], serverVersionNum }
+  const instances = []
+  class Client {
+    constructor() {
+      const c = new FakePgClient(shared)
+      instances.push(c)
+      return c
+    }
+  }
+  return { Client, instances, shared }
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'x',
+    user: 'u',
+    database: 'd',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaper: false,
+    clockSync: false,
+    sessionTimeouts: true,
+    leaseTtlMs: 90000,
+    ...extra,
+  })
+}
+
+describe('AequorClient server-side session timeouts', () => {
+  test('sets both timeouts to leaseTtlMs + margin on each new connection', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib, { sessionTimeoutMarginMs: 15000 })
+    await c.connect()
+
+    const set = lib.shared.log.find(q => q.sql.includes('idle_in_transaction_session_timeout'))
+    assert.ok(set.sql.includes(`set_config('idle_session_timeout', $1, false)`))
+    assert.deepStrictEqual(set.params, ['105000ms'])
+    assert.strictEqual(c._serverVersionNum, 160002)
+  })
+
+  test('older servers only get idle_in_transaction_session_timeout', async () => {
+    const logs = []
+    const lib = makeFakePgLibrary(130011)
+    const c = makeClient(lib, { logger: { warn: (fields, msg) => logs.push({ ...fields, msg }) } })
+    await c.connect()
+    assert.strictEqual(c._serverVersionNum, 130011)
+    const warning = logs.find(l => l.event === 'session_timeouts_unsupported')
+    assert.ok(warning.msg.includes('needs Postgres 14+'))
+    assert.strictEqual(warning.serverVersionNum, 130011)
+  })
+
+  test('is off by default', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib, { sessionTimeouts: undefined })
+    await c.connect()
+    assert.strictEqual(lib.shared.log.length, 0)
+  })
+
+  test('server cut-offs are reported as onClientDead source idle_timeout', async () => {
+    const lib = makeFakePgLibrary()
+    const dead = []
+    const c = makeClient(lib, { hooks: { onClientDead: (p) => dead.push(p) } })
+    await c.connect()
+
+    const fatal = Object.assign(new Error('terminating connection due to idle-session timeout'), { code: '57P05', severity: 'FATAL' })
+    lib.instances[0].emit('error', fatal)
+    assert.strictEqual(dead.length, 1)
+    assert.strictEqual(dead[0].source, 'idle_timeout')
+    assert.strictEqual(dead[0].meta.code, '57P05')
+    assert.strictEqual(c._isDead, true)
+
+    // Next query reconnects transparently.
+    await c.query('SELECT 1')
+    assert.strictEqual(lib.instances.length, 2)
+  })
+})
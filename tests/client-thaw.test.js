@@ -0,0 +1,144 @@
+const { test, describe, mock, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { performance } = require('perf_hooks')
+
+const AequorClient = require('../lib/client')
+
+class FakePgClient {
+  constructor({ asyncEnd = false } = {}) {
+    this.asyncEnd = asyncEnd
+    this.handlers = {}
+    this.connected = false
+    this.ended = false
+    this.hangPing = false
+    this.queries = []
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  emit(ev, arg) {
+    for (const fn of this.handlers[ev] || []) fn(arg)
+  }
+  async connect() {
+    // Like pg: a round trip, during which a previous socket's 'end' can arrive.
+    if (this.asyncEnd) await new Promise(resolve => setImmediate(resolve))
+    this.connected = true
+  }
+  async end() {
+    this.ended = true
+    this.connected = false
+    // pg emits 'end' asynchronously, once the socket has closed.
+    if (this.asyncEnd) setImmediate(() => this.emit('end'))
+  }
+  async query(sql) {
+    this.queries.push(String(sql))
+    if (sql === 'SELECT 1' && this.hangPing) return new Promise(() => {})
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary(options) {
+  const instances = []
+  class Client {
+    constructor() {
+      const c = new FakePgClient(options)
+      instances.push(c)
+      return c
+    }
+  }
+  return { Client, instances }
+}
+
+// A freeze moves wall and monotonic clocks together (unlike a snapshot restore).
+function fakeClocks() {
+  const clocks = { now: 1_700_000_000_000 }
+  mock.method(Date, 'now', () => clocks.now)
+  mock.method(performance, 'now', () => clocks.now - 1_700_000_000_000)
+  return clocks
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'x',
+    user: 'u',
+    database: 'd',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaper: false,
+    clockSync: false,
+    leaseTtlMs: 600_000,
+    thawThresholdMs: 30_000,
+    thawValidationTimeoutMs: 10,
+    ...extra,
+  })
+}
+
+describe('AequorClient freeze/thaw', () => {
+  afterEach(() => mock.restoreAll())
+
+  test('validates the socket after a freeze and reports frozen duration', async () => {
+    const clocks = fakeClocks()
+    const lib = makeFakePgLibrary()
+    const calls = []
+    const c = makeClient(lib, { hooks: { onThaw: (p) => calls.push(p) } })
+
+    await c.query('SELECT now()')
+    clocks.now += 5_000
+    await c.query('SELECT now()')
+    assert.strictEqual(calls.length, 0)
+
+    clocks.now += 120_000
+    await c.query('SELECT now()')
+    assert.strictEqual(calls.length, 1)
+    assert.strictEqual(calls[0].frozenMs, 120_000)
+    assert.deepStrictEqual(lib.instances[0].queries, ['SELECT now()', 'SELECT now()', 'SELECT 1', 'SELECT now()'])
+    assert.strictEqual(lib.instances.length, 1)
+  })
+
+  test('reconnects before the user query when validation times out', async () => {
+    const clocks = fakeClocks()
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+
+    await c.query('INSERT 1')
+    lib.instances[0].hangPing = true
+    clocks.now += 120_000
+    await c.query('INSERT 2')
+
+    assert.strictEqual(lib.instances.length, 2)
+    assert.strictEqual(lib.instances[0].ended, true)
+    // The user's statement never touched the half-dead socket.
+    assert.deepStrictEqual(lib.instances[0].queries, ['INSERT 1', 'SELECT 1'])
+    assert.deepStrictEqual(lib.instances[1].queries, ['INSERT 2'])
+  })
+
+  test("thawAction 'reconnect' skips validation", async () => {
+    const clocks = fakeClocks()
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib, { thawAction: 'reconnect' })
+
+    await c.query('SELECT now()')
+    clocks.now += 120_000
+    await c.query('SELECT now()')
+
+    assert.strictEqual(lib.instances.length, 2)
+    assert.deepStrictEqual(lib.instances[0].queries, ['SELECT now()'])
+  })
+
+  test("thawAction 'reconnect': the old socket's late 'end' doesn't discard the new connection", async () => {
+    const clocks = fakeClocks()
+    const lib = makeFakePgLibrary({ asyncEnd: true })
+    const c = makeClient(lib, { thawAction: 'reconnect' })
+
+    await c.query('SELECT now()')
+    clocks.now += 120_000
+    await c.query('SELECT now()')
+
+    assert.strictEqual(lib.instances.length, 2)
+    assert.deepStrictEqual(lib.instances[1].queries, ['SELECT now()'])
+    await new Promise(resolve => setImmediate(resolve))
+    assert.strictEqual(c._client, lib.instances[1])
+    assert.strictEqual(c._isDead, false)
+  })
+})
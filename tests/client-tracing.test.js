@@ -101,5 +101,29 @@ describe('AequorClient tracing hooks', () => {
     assert.strictEqual(calls[1][1].err.message, 'query-failed')
     assert.ok(calls[1][1].duration >= 0)
   })
-})
 
+  test('start/end hooks of one query share a queryId', async () => {
+    const lib = makeFakePgLibrary()
+    const calls = []
+    const c = new AequorClient({
+      host: 'x',
+      user: 'u',
+      database: 'd',
+      coordinationSecret: 'coord-secret-123456',
+      library: lib,
+      reaper: false,
+      hooks: {
+        onQueryStart: (p) => calls.push(['start', p.queryId]),
+        onQueryEnd: (p) => calls.push(['end', p.queryId]),
+      },
+    })
+
+    await Promise.all([c.query('SELECT 1'), c.query('SELECT 2')])
+
+    const ids = new Set(calls.map(([, id]) => id))
+    assert.strictEqual(ids.size, 2)
+    for (const id of ids) {
+      assert.deepStrictEqual(calls.filter(([, x]) => x === id).map(([kind]) => kind), ['start', 'end'])
+    }
+  })
+})
@@ -0,0 +1,208 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+const { TransactionAbortedError, AmbiguousWriteError } = require('../lib/errors')
+
+class FakePgClient {
+  constructor(shared) {
+    this.shared = shared
+    this.handlers = {}
+    this.connected = false
+    this.ended = false
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  emit(ev, arg) {
+    for (const fn of this.handlers[ev] || []) fn(arg)
+  }
+  async connect() {
+    this.connected = true
+  }
+  async end() {
+    this.ended = true
+    this.connected = false
+  }
+  async query(sql) {
+    const s = String(sql)
+    this.shared.log.push(s)
+    const fail = this.shared.failures[s]
+    if (fail && fail.length) throw fail.shift()
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary() {
+  const shared = { log: [], failures: {} }
+  const instances = []
+  class Client {
+    constructor() {
+      const c = new FakePgClient(shared)
+      instances.push(c)
+      return c
+    }
+  }
+  return { Client, instances, shared }
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'x',
+    user: 'u',
+    database: 'd',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaper: false,
+    clockSync: false,
+    minBackoff: 1,
+    maxBackoff: 1,
+    ...extra,
+  })
+}
+
+const sqlError = (code) => Object.assign(new Error(code), { code })
+
+describe('AequorClient transaction', () => {
+  test('issues BEGIN with options and COMMIT', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    const res = await c.transaction(async (tx) => {
+      await tx.query('UPDATE t SET x = 1')
+      return 42
+    }, { isolationLevel: 'serializable', readOnly: false, deferrable: false })
+
+    assert.strictEqual(res, 42)
+    assert.deepStrictEqual(lib.shared.log, [
+      'BEGIN ISOLATION LEVEL SERIALIZABLE READ WRITE NOT DEFERRABLE',
+      'UPDATE t SET x = 1',
+      'COMMIT',
+    ])
+  })
+
+  test('re-runs the whole callback on serialization failure', async () => {
+    const lib = makeFakePgLibrary()
+    lib.shared.failures['UPDATE t SET x = 1'] = [sqlError('40001')]
+    const calls = []
+    const c = makeClient(lib, { hooks: { onTransactionRetry: (p) => calls.push(p) } })
+
+    let runs = 0
+    await c.transaction(async (tx) => {
+      runs++
+      await tx.query('UPDATE t SET x = 1')
+    })
+
+    assert.strictEqual(runs, 2)
+    assert.strictEqual(calls.length, 1)
+    assert.strictEqual(calls[0].err.code, '40001')
+    assert.deepStrictEqual(lib.shared.log, ['BEGIN', 'UPDATE t SET x = 1', 'ROLLBACK', 'BEGIN', 'UPDATE t SET x = 1', 'COMMIT'])
+  })
+
+  test('rolls back and rethrows non-retryable errors', async () => {
+    const lib = makeFakePgLibrary()
+    lib.shared.failures['INSERT'] = [sqlError('23505')]
+    const c = makeClient(lib)
+
+    await assert.rejects(() => c.transaction(async (tx) => { await tx.query('INSERT') }), (err) => err.code === '23505')
+    assert.deepStrictEqual(lib.shared.log, ['BEGIN', 'INSERT', 'ROLLBACK'])
+  })
+
+  test('never retries connection loss while COMMIT is in flight', async () => {
+    const lib = makeFakePgLibrary()
+    lib.shared.failures['COMMIT'] = [sqlError('ECONNRESET')]
+    const c = makeClient(lib)
+
+    let runs = 0
+    await assert.rejects(
+      () => c.transaction(async () => { runs++ }),
+      (err) => err instanceof AmbiguousWriteError && err.cause.code === 'ECONNRESET'
+    )
+    assert.strictEqual(runs, 1)
+    assert.strictEqual(c._isDead, true)
+  })
+
+  test('a replaced connection before COMMIT was sent is not ambiguous: the transaction re-runs', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+
+    let runs = 0
+    const res = await c.transaction(async (tx) => {
+      runs++
+      await tx.query('SELECT 1')
+      // The socket dies after the last statement; the scope refuses to send COMMIT.
+      if (runs === 1) lib.instances[0].emit('error', sqlError('ECONNRESET'))
+      return 'ok'
+    })
+
+    assert.strictEqual(res, 'ok')
+    assert.strictEqual(runs, 2)
+    assert.deepStrictEqual(lib.shared.log, ['BEGIN', 'SELECT 1', 'BEGIN', 'SELECT 1', 'COMMIT'])
+  })
+
+  test('a COMMIT rejected with 25P02 is reported as rolled back, not ambiguous', async () => {
+    const lib = makeFakePgLibrary()
+    lib.shared.failures['COMMIT'] = [sqlError('25P02')]
+    const c = makeClient(lib)
+
+    await assert.rejects(
+      () => c.transaction(async (tx) => { await tx.query('SELECT 1') }),
+      (err) => !(err instanceof AmbiguousWriteError) && err.code === '25P02'
+    )
+    assert.deepStrictEqual(lib.shared.log, ['BEGIN', 'SELECT 1', 'COMMIT', 'ROLLBACK'])
+    assert.strictEqual(c._isDead, false)
+  })
+
+  test('a lease heartbeat undone by ROLLBACK is written again', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    await c.connect()
+
+    await assert.rejects(() => c.transaction(async (tx) => {
+      await tx.query('SELECT 1')
+      // A concurrent caller on the same client renews the lease inside our transaction.
+      c._heartbeatSoftRemainingMs = Infinity
+      await c.query('SELECT concurrent')
+      await c._heartbeatPromise
+      c._heartbeatSoftRemainingMs = 0
+      throw sqlError('23505')
+    }), (err) => err.code === '23505')
+
+    const log = lib.shared.log.map(q => (q.includes('set_config') ? 'set_config' : q))
+    assert.deepStrictEqual(log, ['BEGIN', 'SELECT 1', 'set_config', 'SELECT concurrent', 'ROLLBACK', 'set_config'])
+  })
+
+  test('a reconnect mid-transaction aborts it and re-runs on the new connection', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    const seen = []
+
+    let runs = 0
+    await c.transaction(async (tx) => {
+      runs++
+      await tx.query('SELECT 1')
+      if (runs === 1) {
+        // Simulate the socket dying between statements.
+        lib.instances[0].emit('error', sqlError('ECONNRESET'))
+        try {
+          await tx.query('SELECT 2')
+        } catch (err) {
+          seen.push(err)
+          throw err
+        }
+      }
+    })
+
+    assert.strictEqual(runs, 2)
+    assert.ok(seen[0] instanceof TransactionAbortedError)
+    assert.strictEqual(lib.instances.length, 2)
+    // 'SELECT 2' was never sent on the fresh socket.
+    assert.deepStrictEqual(lib.shared.log, ['BEGIN', 'SELECT 1', 'BEGIN', 'SELECT 1', 'COMMIT'])
+  })
+
+  test('rejects unknown isolation levels', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    await assert.rejects(() => c.transaction(async () => {}, { isolationLevel: 'chaos' }), /Invalid isolationLevel/)
+  })
+})
@@ -0,0 +1,187 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+const CredentialProvider = require('../lib/credentials')
+const LeaseManager = require('../lib/lease')
+
+class FakePgClient {
+  constructor(shared, config) {
+    this.shared = shared
+    this.config = config
+    this.handlers = {}
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  async connect() {
+    this.shared.connects.push({ password: this.config.password, appName: this.config.application_name })
+    if (this.shared.validPassword && this.config.password !== this.shared.validPassword) {
+      const err = new Error('password authentication failed for user "u"')
+      err.code = '28P01'
+      throw err
+    }
+  }
+  async end() {}
+  async query(sql, params) {
+    if (String(sql).includes('set_config')) this.shared.appNames.push(params[0])
+    return { rows: [{}] }
+  }
+}
+
+function makeFakePgLibrary() {
+  const shared = { connects: [], appNames: [], validPassword: null }
+  class Client {
+    constructor(config) {
+      return new FakePgClient(shared, config)
+    }
+  }
+  return { Client, shared }
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'x',
+    user: 'u',
+    database: 'd',
+    serviceName: 'svc',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaper: false,
+    clockSync: false,
+    minBackoff: 1,
+    maxBackoff: 2,
+    ...extra,
+  })
+}
+
+function counter(values) {
+  let i = 0
+  const fn = async () => {
+    fn.calls++
+    return values[Math.min(i++, values.length - 1)]
+  }
+  fn.calls = 0
+  return fn
+}
+
+describe('CredentialProvider', () => {
+  test('caches for ttlMs and shares concurrent fetches', async () => {
+    const fetch = counter(['a', 'b'])
+    const p = new CredentialProvider(fetch, { ttlMs: 60000, refreshAheadMs: 0 })
+    const [x, y] = await Promise.all([p.get(), p.get()])
+    assert.deepStrictEqual([x, y, await p.get()], ['a', 'a', 'a'])
+    assert.strictEqual(fetch.calls, 1)
+  })
+
+  test('honors expiresAt / ttlMs from the provider and refreshes ahead in the background', async () => {
+    const fetch = counter([{ value: 'tok-1', ttlMs: 30000 }, { value: 'tok-2', expiresAt: new Date(Date.now() + 900000) }])
+    const p = new CredentialProvider(fetch, { ttlMs: 900000, refreshAheadMs: 60000 })
+    assert.strictEqual(await p.get(), 'tok-1')
+    // tok-1 expires within refreshAheadMs: served as is, replacement fetched in the background.
+    assert.strictEqual(await p.get(), 'tok-1')
+    assert.strictEqual(fetch.calls, 2)
+    await p._refreshPromise
+    assert.strictEqual(p.current(), 'tok-2')
+    assert.strictEqual(fetch.calls, 2)
+  })
+
+  test('current() never waits; failures keep the cached value and surface as lastError', async () => {
+    let fail = false
+    const p = new CredentialProvider(async () => {
+      if (fail) throw new Error('store down')
+      return 'v1'
+    }, { ttlMs: 0 })
+    assert.strictEqual(p.current(), null)
+    await p._refreshPromise
+    assert.strictEqual(p.current(), 'v1')
+    fail = true
+    await p._refreshPromise.catch(() => {})
+    assert.strictEqual(p.current(), 'v1')
+    await p._refreshPromise.catch(() => {})
+    assert.strictEqual(p.lastError.message, 'store down')
+    await assert.rejects(p.get(), /store down/)
+  })
+
+  test('rejects empty values; invalidate() forces a fetch', async () => {
+    await assert.rejects(new CredentialProvider(async () => '').get(), /empty value/)
+    const fetch = counter(['a', 'b'])
+    const p = new CredentialProvider(fetch)
+    await p.get()
+    p.invalidate()
+    assert.strictEqual(await p.get(), 'b')
+  })
+
+  test('wrapConfig wraps functions only', () => {
+    const fn = async () => 'x'
+    const wrapped = CredentialProvider.wrapConfig({ password: fn, coordinationSecret: 'static-secret-1234', credentialTtlMs: 5 })
+    assert.ok(wrapped.password instanceof CredentialProvider)
+    assert.strictEqual(wrapped.password._ttlMs, 5)
+    assert.strictEqual(wrapped.coordinationSecret, 'static-secret-1234')
+    assert.strictEqual(CredentialProvider.wrapConfig(wrapped).password, wrapped.password)
+  })
+})
+
+describe('AequorClient credential providers', () => {
+  test('resolves an async password per connect (cached)', async () => {
+    const lib = makeFakePgLibrary()
+    const password = counter(['iam-token-1'])
+    const c = makeClient(lib, { password })
+    await c.connect()
+    c._isDead = true
+    await c.connect()
+    assert.deepStrictEqual(lib.shared.connects.map(x => x.password), ['iam-token-1', 'iam-token-1'])
+    assert.strictEqual(password.calls, 1)
+    await c.end()
+  })
+
+  test('re-fetches the password once on 28P01', async () => {
+    const lib = makeFakePgLibrary()
+    lib.shared.validPassword = 'token-2'
+    const reconnects = []
+    const c = makeClient(lib, { password: counter(['token-1', 'token-2']), hooks: { onReconnect: (p) => reconnects.push(p) } })
+    await c.connect()
+    assert.deepStrictEqual(lib.shared.connects.map(x => x.password), ['token-1', 'token-2'])
+    assert.strictEqual(reconnects[0].err.code, '28P01')
+    assert.strictEqual(reconnects[0].delay, 0)
+    await c.end()
+
+    // Still rejected after the re-fetch: not retried again.
+    const lib2 = makeFakePgLibrary()
+    lib2.shared.validPassword = 'never'
+    const c2 = makeClient(lib2, { password: counter(['token-1', 'token-2', 'token-3']) })
+    await assert.rejects(c2.connect(), { code: '28P01' })
+    assert.strictEqual(lib2.shared.connects.length, 2)
+  })
+
+  test('fetches the coordination secret on first connect and signs with it', async () => {
+    const lib = makeFakePgLibrary()
+    const secret = counter(['provided-secret-0001'])
+    const c = makeClient(lib, { coordinationSecret: secret })
+    assert.strictEqual(c._leaseManager, null)
+    await c.connect()
+    const verifier = new LeaseManager('svc', 'x', 'provided-secret-0001')
+    assert.ok(verifier.parseAndVerify(lib.shared.connects[0].appName))
+    assert.strictEqual(secret.calls, 1)
+    await c.end()
+  })
+
+  test('a rotated secret is applied at the next heartbeat; old leases still verify', async () => {
+    const lib = makeFakePgLibrary()
+    const rotated = []
+    const secret = counter([{ value: 'provided-secret-0001', ttlMs: 0 }, { value: 'provided-secret-0002', ttlMs: 600000 }])
+    const c = makeClient(lib, { coordinationSecret: secret, hooks: { onSecretRotated: (p) => rotated.push(p) } })
+    await c.connect()
+    const startupLease = lib.shared.connects[0].appName
+    await c._secretProvider._refreshPromise // background refresh started by the expired ttl
+
+    c._leaseExp = 0 // force a heartbeat
+    await c._heartbeatIfNeeded()
+    assert.strictEqual(rotated.length, 1)
+    const verifier = new LeaseManager('svc', 'x', 'provided-secret-0002')
+    assert.ok(verifier.parseAndVerify(lib.shared.appNames.at(-1)))
+    assert.ok(c._leaseManager.parseAndVerify(startupLease))
+    await c.end()
+  })
+})
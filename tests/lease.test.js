@@ -48,6 +48,13 @@ describe('LeaseManager', () => {
     assert.strictEqual(result.isExpired, true) // ...but it is expired
   })
 
+  test('judges expiry against the given reference time', () => {
+    const exp = Date.now() - 1000
+    const appName = lease.generateAppName(exp)
+    assert.strictEqual(lease.parseAndVerify(appName, exp - 1).isExpired, false)
+    assert.strictEqual(lease.parseAndVerify(appName, exp + 1).isExpired, true)
+  })
+
   test('should normalize too long service names (never exceed 63 bytes)', () => {
     const longSvc = 'a'.repeat(200)
     const leaseLong = new LeaseManager(longSvc, 'inst-1', secret)
@@ -63,4 +70,98 @@ describe('LeaseManager', () => {
     assert.throws(() => new LeaseManager('svc', 'inst', null), /requires a non-empty secret/)
     assert.throws(() => new LeaseManager('svc', 'inst', 'short'), /too short/)
   })
+
+  describe('keyring', () => {
+    const k1 = 'key-one-secret-123456'
+    const k2 = 'key-two-secret-123456'
+
+    test('signs with the current key and reports it on verification', () => {
+      const ring = new LeaseManager('test-svc', 'inst-1', { current: 'k2', keys: { k1, k2 } })
+      const appName = ring.generateAppName(Date.now() + 1000)
+      assert.match(appName, /;e=\d+;k=k2;g=/)
+      assert.ok(appName.length <= 63)
+      assert.strictEqual(ring.parseAndVerify(appName).kid, 'k2')
+      assert.strictEqual(new LeaseManager('test-svc', 'inst-2', k1).parseAndVerify(appName), null)
+    })
+
+    test('verifies leases signed with any key in the ring', () => {
+      const oldRing = new LeaseManager('test-svc', 'inst-1', { current: 'k1', keys: { k1 } })
+      const newRing = new LeaseManager('test-svc', 'inst-2', { current: 'k2', keys: { k1, k2 } })
+      const legacy = new LeaseManager('test-svc', 'inst-3', k1)
+
+      assert.ok(newRing.parseAndVerify(oldRing.generateAppName(Date.now() + 1000)))
+      // Plain secret leases verify against the ring key holding the same secret.
+      assert.strictEqual(newRing.parseAndVerify(legacy.generateAppName(Date.now() + 1000)).kid, 'k1')
+      // A ring without k2 can't verify k2 leases -> never touches them.
+      assert.strictEqual(oldRing.parseAndVerify(newRing.generateAppName(Date.now() + 1000)), null)
+    })
+
+    test('verifies a lease only with the key it names, and the key id is signed', () => {
+      const ring = new LeaseManager('test-svc', 'inst-1', { current: 'k2', keys: { k1, k2 } })
+      const appName = new LeaseManager('test-svc', 'inst-9', { current: 'k1', keys: { k1 } }).generateAppName(Date.now() + 1000)
+      assert.strictEqual(ring.parseAndVerify(appName).kid, 'k1')
+      assert.strictEqual(ring.parseAndVerify(appName.replace(';k=k1;', ';k=k2;')), null)
+      assert.strictEqual(ring.parseAndVerify(appName.replace(';k=k1;', ';k=k3;')), null)
+      assert.strictEqual(ring.parseAndVerify(appName.replace(';k=k1;', ';')), null)
+    })
+
+    test('normalized service name is the same for plain secrets and keyrings', () => {
+      const longSvc = 'b'.repeat(200)
+      const plain = new LeaseManager(longSvc, 'inst-1', k1)
+      const a = new LeaseManager(longSvc, 'inst-1', { current: 'k', keys: { k: k1 } })
+      const b = new LeaseManager(longSvc, 'inst-1', { current: 'k999', keys: { k999: k2 } })
+      assert.strictEqual(a.serviceName, plain.serviceName)
+      assert.strictEqual(b.serviceName, plain.serviceName)
+      assert.ok(b.generateAppName(Date.now() + 1000).length <= 63)
+    })
+
+    test('validates the keyring', () => {
+      assert.throws(() => new LeaseManager('svc', 'inst', { current: 'k3', keys: { k1 } }), /current key "k3"/)
+      assert.throws(() => new LeaseManager('svc', 'inst', { current: 'toolong', keys: { toolong: k1 } }), /key id/)
+      assert.throws(() => new LeaseManager('svc', 'inst', { current: 'k1', keys: { k1: 'short' } }), /too short/)
+      assert.throws(() => new LeaseManager('svc', 'inst', { current: 'k1', keys: {} }), /non-empty keys/)
+    })
+  })
+
+  describe('rotate', () => {
+    const s1 = 'plain-secret-0000000001'
+    const s2 = 'plain-secret-0000000002'
+
+    test('signs with the new secret and keeps verifying the old one for retainMs', () => {
+      const lm = new LeaseManager('test-svc', 'inst-1', s1)
+      const before = lm.generateAppName(Date.now() + 1000)
+      const sibling = new LeaseManager('test-svc', 'inst-2', s1).generateAppName(Date.now() + 1000)
+
+      assert.strictEqual(lm.rotate(s2, { retainMs: 60000 }), true)
+      assert.strictEqual(lm.secret, s2)
+      assert.ok(new LeaseManager('test-svc', 'inst-3', s2).parseAndVerify(lm.generateAppName(Date.now() + 1000)))
+      assert.ok(lm.parseAndVerify(before))
+      assert.ok(lm.parseAndVerify(sibling))
+
+      const noRetention = new LeaseManager('test-svc', 'inst-4', s1)
+      noRetention.rotate(s2, { retainMs: 0 })
+      assert.strictEqual(noRetention.parseAndVerify(sibling), null)
+    })
+
+    test('is a no-op for the same secret; plain -> keyring keeps the service name', () => {
+      const lm = new LeaseManager('v'.repeat(80), 'inst-1', s1)
+      const before = lm.generateAppName(Date.now() + 1000)
+      const name = lm.serviceName
+      assert.strictEqual(lm.rotate(s1), false)
+      assert.strictEqual(lm.rotate({ current: 'k2', keys: { k1: s1, k2: s2 } }), true)
+      assert.strictEqual(lm.serviceName, name)
+      assert.strictEqual(lm.parseAndVerify(before).kid, 'k1')
+      assert.strictEqual(lm.parseAndVerify(lm.generateAppName(Date.now() + 1000)).kid, 'k2')
+    })
+
+    test('keyring rotation retains dropped keys by key id', () => {
+      const lm = new LeaseManager('test-svc', 'inst-1', { current: 'k1', keys: { k1: s1 } })
+      const old = lm.generateAppName(Date.now() + 1000)
+      const name = lm.serviceName
+      assert.strictEqual(lm.rotate({ current: 'k2', keys: { k2: s2 } }), true)
+      assert.strictEqual(lm.serviceName, name)
+      assert.strictEqual(lm.parseAndVerify(lm.generateAppName(Date.now() + 1000)).kid, 'k2')
+      assert.strictEqual(lm.parseAndVerify(old).kid, 'k1')
+    })
+  })
 })
@@ -0,0 +1,190 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+const Logger = require('../lib/logger')
+
+class FakePgClient {
+  constructor(shared) {
+    this.shared = shared
+    this.handlers = {}
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  async connect() {
+    if (this.shared.connectFailures.length) {
+      const err = new Error('connect ECONNREFUSED')
+      err.code = this.shared.connectFailures.shift()
+      throw err
+    }
+  }
+  async end() {}
+  async query(sql) {
+    if (this.shared.queryFailures.length) {
+      const err = new Error('terminating connection due to administrator command')
+      err.code = this.shared.queryFailures.shift()
+      throw err
+    }
+    return { rows: [{}] }
+  }
+}
+
+function makeFakePgLibrary() {
+  const shared = { connectFailures: [], queryFailures: [] }
+  class Client {
+    constructor() {
+      return new FakePgClient(shared)
+    }
+  }
+  return { Client, shared }
+}
+
+// pino-style: level(fields, message)
+function makeSink() {
+  const lines = []
+  const sink = { lines }
+  for (const level of Logger.LEVELS) sink[level] = (fields, msg) => lines.push({ level, msg, ...fields })
+  return sink
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'db.internal',
+    user: 'u',
+    database: 'd',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaper: false,
+    clockSync: false,
+    minBackoff: 1,
+    maxBackoff: 2,
+    ...extra,
+  })
+}
+
+const LEASE = 's=orders;i=abc123;e=1767225600000;g=AbCdEfGhIjK'
+
+describe('Logger', () => {
+  test('pino-style targets get (fields, message) with a stable event name', () => {
+    const sink = makeSink()
+    Logger.from(sink).warn('heartbeat_failed', 'Heartbeat failed: boom', { gen: 3, err: Object.assign(new Error('boom'), { code: '57P01' }) })
+    assert.deepStrictEqual(sink.lines, [{
+      level: 'warn',
+      msg: 'Heartbeat failed: boom',
+      event: 'heartbeat_failed',
+      gen: 3,
+      err: { type: 'Error', message: 'boom', code: '57P01' },
+    }])
+  })
+
+  test('winston-style targets get (message, meta); functions get the message', () => {
+    const calls = []
+    const winstonLike = { add() {}, log() {}, info: (msg, meta) => calls.push([msg, meta]) }
+    Logger.from(winstonLike).info('reaper_kill', 'Killing 2 zombies', { pids: [1, 2] })
+    assert.deepStrictEqual(calls, [['Killing 2 zombies', { event: 'reaper_kill', pids: [1, 2] }]])
+
+    const messages = []
+    Logger.from(msg => messages.push(msg)).debug('connected', 'Connected (gen 1)', { gen: 1 })
+    assert.deepStrictEqual(messages, ['Connected (gen 1)'])
+  })
+
+  test('redacts values, passwords and lease signatures by default', () => {
+    const log = new Logger(null)
+    assert.deepStrictEqual(log.redact({
+      text: 'SELECT $1',
+      values: ['secret-email@example.com'],
+      password: 'hunter2',
+      applicationName: LEASE,
+      host: 'db.internal',
+    }), {
+      text: 'SELECT $1',
+      values: '[REDACTED]',
+      password: '[REDACTED]',
+      applicationName: 's=orders;i=abc123;e=1767225600000;g=[REDACTED]',
+      host: 'db.internal',
+    })
+    assert.strictEqual(
+      log.redactString(`postgres://app:hunter2@db:5432/x as ${LEASE}`),
+      'postgres://app:[REDACTED]@db:5432/x as s=orders;i=abc123;e=1767225600000;g=[REDACTED]'
+    )
+  })
+
+  test('redaction is configurable', () => {
+    const strict = new Logger(null, { redact: { queryText: true, host: true } })
+    assert.deepStrictEqual(strict.redact({ text: 'SELECT 1', host: 'h', address: '10.0.0.1' }), { text: '[REDACTED]', host: '[REDACTED]', address: '[REDACTED]' })
+
+    const hosts = new Logger(null, { redact: { host: true }, hosts: ['db', 'db.internal'] })
+    assert.strictEqual(
+      hosts.redactString('getaddrinfo ENOTFOUND db.internal; db2.internal, db and 10.0.0.7:5432 / ::1'),
+      'getaddrinfo ENOTFOUND [REDACTED]; db2.internal, [REDACTED] and [REDACTED]:5432 / [REDACTED]'
+    )
+    assert.strictEqual(
+      hosts.redactString('connect ECONNREFUSED 2001:db8::7:5432 via fe80::1 and ::ffff:10.0.0.7'),
+      'connect ECONNREFUSED [REDACTED] via [REDACTED] and [REDACTED]'
+    )
+    // Timestamps look like colon-separated hex groups but are not addresses.
+    const stamped = 'retry at 12:30:45, 2026-10-19T08:15:00.123Z, took 00:00:01.5'
+    assert.strictEqual(hosts.redactString(stamped), stamped)
+
+    const off = new Logger(null, { redact: false })
+    assert.deepStrictEqual(off.redact({ values: [1], applicationName: LEASE }), { values: [1], applicationName: LEASE })
+  })
+
+  test('a throwing logger is swallowed', () => {
+    const log = Logger.from({ info() { throw new Error('disk full') } })
+    assert.doesNotThrow(() => log.warn('heartbeat_failed', 'x'))
+  })
+})
+
+describe('AequorClient logging', () => {
+  test('connect_retry and query_retry events, redacted', async () => {
+    const lib = makeFakePgLibrary()
+    const sink = makeSink()
+    const c = makeClient(lib, { logger: sink })
+    lib.shared.connectFailures.push('ECONNREFUSED')
+    await c.connect()
+    lib.shared.queryFailures.push('57P01')
+    await c.query('SELECT * FROM users WHERE email = $1', ['a@example.com'], { idempotent: true })
+
+    const connectRetry = sink.lines.find(l => l.event === 'connect_retry')
+    assert.strictEqual(connectRetry.level, 'warn')
+    assert.strictEqual(connectRetry.err.code, 'ECONNREFUSED')
+
+    const queryRetry = sink.lines.find(l => l.event === 'query_retry')
+    assert.strictEqual(queryRetry.text, 'SELECT * FROM users WHERE email = $1')
+    assert.strictEqual(queryRetry.values, '[REDACTED]')
+    assert.strictEqual(queryRetry.err.code, '57P01')
+    assert.strictEqual(typeof queryRetry.queryId, 'number')
+
+    const connected = sink.lines.find(l => l.event === 'connected')
+    assert.strictEqual(connected.level, 'debug')
+    assert.match(connected.applicationName, /;g=\[REDACTED\]$/)
+    assert.ok(!JSON.stringify(sink.lines).includes('a@example.com'))
+    await c.end()
+  })
+
+  test('heartbeat_failed and client_dead_swallowed', async () => {
+    const lib = makeFakePgLibrary()
+    const sink = makeSink()
+    const c = makeClient(lib, { logger: sink, redact: { host: true } })
+    await c.connect()
+
+    lib.shared.queryFailures.push('57P01')
+    c._leaseExp = 0 // force a heartbeat
+    await c._heartbeatIfNeeded()
+    assert.ok(sink.lines.some(l => l.event === 'heartbeat_failed' && l.level === 'warn'))
+
+    await c.connect()
+    const err = Object.assign(new Error('connect ECONNREFUSED 10.0.0.7:5432 (db.internal)'), { code: 'ECONNRESET', address: '10.0.0.7' })
+    for (const fn of c._client.handlers.error) fn(err)
+    const dead = sink.lines.find(l => l.event === 'client_dead_swallowed')
+    assert.strictEqual(dead.source, 'error')
+    assert.strictEqual(dead.address, '[REDACTED]')
+    assert.strictEqual(dead.err.message, 'connect ECONNREFUSED [REDACTED]:5432 ([REDACTED])')
+    assert.ok(!JSON.stringify(sink.lines).includes('db.internal'))
+    assert.ok(!JSON.stringify(sink.lines).includes('10.0.0.7'))
+    await c.end()
+  })
+})
@@ -0,0 +1,155 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+const AequorPool = require('../lib/pool')
+const Metrics = require('../lib/metrics')
+
+class FakePgClient {
+  constructor(shared) {
+    this.shared = shared
+    this.handlers = {}
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  async connect() {}
+  async end() {}
+  async query(sql) {
+    if (this.shared.failures.length) {
+      const err = new Error('transient')
+      err.code = this.shared.failures.shift()
+      throw err
+    }
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary() {
+  const shared = { failures: [] }
+  class Client {
+    constructor() {
+      return new FakePgClient(shared)
+    }
+  }
+  return { Client, shared }
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'x',
+    user: 'u',
+    database: 'd',
+    serviceName: 'orders',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaper: false,
+    clockSync: false,
+    minBackoff: 1,
+    maxBackoff: 2,
+    metrics: true,
+    ...extra,
+  })
+}
+
+function sample(text, line) {
+  const found = text.split('\n').find(l => l.startsWith(`${line} `))
+  return found === undefined ? undefined : Number(found.slice(line.length + 1))
+}
+
+describe('Metrics', () => {
+  test('client.metrics(): connects, latency histogram and retries by SQLSTATE', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    await c.query('SELECT 1')
+    lib.shared.failures.push('57P01')
+    await c.query('SELECT 2', [], { idempotent: true })
+
+    const text = c.metrics()
+    // 57P01 (admin shutdown) kills the connection: the retry runs on a new one.
+    assert.strictEqual(sample(text, 'aequor_connects_total'), 2)
+    assert.strictEqual(sample(text, 'aequor_query_retries_total{code="57P01"}'), 1)
+    assert.strictEqual(sample(text, 'aequor_query_duration_seconds_count'), 2)
+    assert.strictEqual(sample(text, 'aequor_query_duration_seconds_bucket{le="+Inf"}'), 2)
+    assert.match(text, /# TYPE aequor_query_duration_seconds histogram/)
+    await c.end()
+  })
+
+  test('flushMetrics(): EMF deltas per invocation, dimensions from serviceName', async () => {
+    const c = makeClient(makeFakePgLibrary())
+    await c.query('SELECT 1')
+    const lines = []
+    const written = c.flushMetrics({ write: (line) => lines.push(line) })
+    assert.deepStrictEqual(written, lines)
+
+    const [doc] = lines.map(l => JSON.parse(l))
+    assert.strictEqual(doc.ServiceName, 'orders')
+    assert.strictEqual(doc.Connects, 1)
+    assert.strictEqual(doc.QueryLatency.length, 1)
+    const [directive] = doc._aws.CloudWatchMetrics
+    assert.strictEqual(directive.Namespace, 'PgAequor')
+    assert.deepStrictEqual(directive.Dimensions, [['ServiceName']])
+    assert.deepStrictEqual(directive.Metrics.find(m => m.Name === 'QueryLatency'), { Name: 'QueryLatency', Unit: 'Milliseconds' })
+
+    // Nothing new since the last flush; Prometheus stays cumulative.
+    assert.deepStrictEqual(c.flushMetrics({ write: () => assert.fail('nothing to write') }), [])
+    assert.strictEqual(sample(c.metrics(), 'aequor_connects_total'), 1)
+    await c.end()
+  })
+
+  test('labeled counters get EMF documents of their own', () => {
+    const m = new Metrics({ namespace: 'Orders', dimensions: { ServiceName: 'orders' } })
+    m.record('onClientDead', { source: 'error' })
+    m.record('onReap', { locked: false, killed: 0, cancelled: 0 })
+    m.record('onReap', { locked: true, killed: 3, cancelled: 1 })
+
+    const docs = m.emf({ timestamp: 1 }).map(l => JSON.parse(l))
+    const dead = docs.find(d => d.source === 'error')
+    assert.strictEqual(dead.ClientDeaths, 1)
+    assert.deepStrictEqual(dead._aws.CloudWatchMetrics[0].Dimensions, [['ServiceName', 'source']])
+    assert.strictEqual(docs.find(d => d.locked === 'false').ReaperRuns, 1)
+    const unlabeled = docs.find(d => d.ReaperKilled)
+    assert.strictEqual(unlabeled.ReaperKilled, 3)
+    assert.strictEqual(unlabeled.ReaperCancelled, 1)
+    assert.ok(docs.every(d => d._aws.Timestamp === 1 && d._aws.CloudWatchMetrics[0].Namespace === 'Orders'))
+
+    assert.strictEqual(sample(m.prometheus(), 'aequor_reaper_runs_total{locked="false"}'), 1)
+  })
+
+  test('latency samples are chunked to the EMF limit', () => {
+    const m = new Metrics()
+    for (let i = 0; i < 250; i++) m.observeLatency(i)
+    const docs = m.emf().map(l => JSON.parse(l))
+    assert.deepStrictEqual(docs.map(d => d.QueryLatency.length), [100, 100, 50])
+  })
+
+  test('a pool shares one registry between its members', async () => {
+    const pool = new AequorPool({
+      host: 'x',
+      user: 'u',
+      database: 'd',
+      coordinationSecret: 'coord-secret-123456',
+      library: makeFakePgLibrary(),
+      reaper: false,
+      clockSync: false,
+      metrics: true,
+      max: 2,
+    })
+    const a = await pool.acquire()
+    const b = await pool.acquire()
+    assert.strictEqual(a._metrics, b._metrics)
+    a.release()
+    b.release()
+    assert.strictEqual(sample(pool.metrics(), 'aequor_connects_total'), 2)
+    await pool.end()
+  })
+
+  test('off by default', async () => {
+    const c = makeClient(makeFakePgLibrary(), { metrics: undefined })
+    await c.query('SELECT 1')
+    assert.strictEqual(c.metrics(), '')
+    assert.deepStrictEqual(c.flushMetrics(), [])
+    await c.end()
+  })
+})
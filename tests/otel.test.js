@@ -0,0 +1,186 @@
+const { test, describe, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert')
+
+const { context, SpanKind, SpanStatusCode } = require('@opentelemetry/api')
+const { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } = require('@opentelemetry/sdk-trace-base')
+const { AsyncLocalStorageContextManager } = require('@opentelemetry/context-async-hooks')
+
+const AequorClient = require('../lib/client')
+const Instrumentation = require('../lib/otel')
+
+class FakePgClient {
+  constructor(shared) {
+    this.shared = shared
+    this.handlers = {}
+    this.processID = 4242
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  async connect() {}
+  async end() {}
+  async query(sql) {
+    if (this.shared.failNext) {
+      this.shared.failNext = false
+      const err = new Error('Connection terminated unexpectedly')
+      err.code = 'ECONNRESET'
+      throw err
+    }
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary() {
+  const shared = { failNext: false }
+  class Client {
+    constructor() {
+      return new FakePgClient(shared)
+    }
+  }
+  return { Client, shared }
+}
+
+const exporter = new InMemorySpanExporter()
+const provider = new BasicTracerProvider()
+provider.addSpanProcessor(new SimpleSpanProcessor(exporter))
+const contextManager = new AsyncLocalStorageContextManager()
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'db.internal',
+    port: 5432,
+    user: 'u',
+    database: 'orders',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaper: false,
+    clockSync: false,
+    minBackoff: 1,
+    maxBackoff: 2,
+    openTelemetry: { tracerProvider: provider },
+    ...extra,
+  })
+}
+
+function parentId(span) {
+  return span.parentSpanId ?? (span.parentSpanContext && span.parentSpanContext.spanId)
+}
+
+function byName(name) {
+  return exporter.getFinishedSpans().filter(s => s.name === name)
+}
+
+describe('OpenTelemetry instrumentation', () => {
+  before(() => context.setGlobalContextManager(contextManager.enable()))
+  after(() => {
+    contextManager.disable()
+    context.disable()
+  })
+  beforeEach(() => exporter.reset())
+
+  test('query: logical span, connect + attempt spans and a CLIENT span per query attempt', async () => {
+    const c = makeClient(makeFakePgLibrary())
+    await c.query('SELECT * FROM orders WHERE id = $1', [7])
+
+    const [query] = byName('aequor.query')
+    const [connect] = byName('aequor.connect')
+    const [attempt] = byName('aequor.connect.attempt')
+    const [select] = byName('SELECT')
+
+    assert.strictEqual(parentId(connect), query.spanContext().spanId)
+    assert.strictEqual(parentId(attempt), connect.spanContext().spanId)
+    assert.strictEqual(parentId(select), query.spanContext().spanId)
+    assert.strictEqual(select.kind, SpanKind.CLIENT)
+
+    assert.strictEqual(select.attributes['db.system'], 'postgresql')
+    assert.strictEqual(select.attributes['db.namespace'], 'orders')
+    assert.strictEqual(select.attributes['server.address'], 'db.internal')
+    assert.strictEqual(select.attributes['server.port'], 5432)
+    assert.strictEqual(select.attributes['db.operation.name'], 'SELECT')
+    assert.strictEqual(select.attributes['db.query.text'], 'SELECT * FROM orders WHERE id = $1')
+    assert.strictEqual(select.attributes['aequor.retry_count'], 0)
+    assert.strictEqual(select.attributes['aequor.backend_pid'], 4242)
+    assert.strictEqual(select.attributes['aequor.generation'], 1)
+    assert.ok(select.attributes['aequor.lease_remaining_ms'] > 0)
+    assert.strictEqual(select.attributes['aequor.query_id'], query.attributes['aequor.query_id'])
+    assert.strictEqual(attempt.attributes['aequor.backend_pid'], 4242)
+    await c.end()
+  })
+
+  test('spans are parented to the caller\'s active context', async () => {
+    const c = makeClient(makeFakePgLibrary())
+    const tracer = provider.getTracer('test')
+    await tracer.startActiveSpan('handler', async (span) => {
+      await c.query('UPDATE orders SET seen = true', [], { idempotent: true })
+      span.end()
+    })
+    const [handler] = byName('handler')
+    const [query] = byName('aequor.query')
+    assert.strictEqual(parentId(query), handler.spanContext().spanId)
+    assert.strictEqual(query.spanContext().traceId, handler.spanContext().traceId)
+    await c.end()
+  })
+
+  test('a retried query gets one span per attempt; the failed one is marked as error', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    await c.connect()
+    exporter.reset()
+    lib.shared.failNext = true
+    await c.query('SELECT 1', [], { idempotent: true })
+
+    const attempts = byName('SELECT')
+    assert.deepStrictEqual(attempts.map(s => s.attributes['aequor.retry_count']), [0, 1])
+    assert.strictEqual(attempts[0].status.code, SpanStatusCode.ERROR)
+    assert.strictEqual(attempts[0].attributes['error.type'], 'ECONNRESET')
+    assert.strictEqual(attempts[0].events[0].name, 'exception')
+    assert.strictEqual(attempts[1].status.code, SpanStatusCode.UNSET)
+    // The retry ran on a fresh connection.
+    assert.ok(attempts[1].attributes['aequor.generation'] > attempts[0].attributes['aequor.generation'])
+    assert.strictEqual(byName('aequor.connect').length, 1)
+    await c.end()
+  })
+
+  test('heartbeat and reaper passes get their own spans', async () => {
+    const c = makeClient(makeFakePgLibrary(), { reaperRunProbability: 1, reaperAdaptive: false })
+    await c.connect()
+    exporter.reset()
+
+    c._leaseExp = c._now() + 1000 // inside the hard-wait window
+    await c._heartbeatIfNeeded()
+    const [heartbeat] = byName('aequor.heartbeat')
+    assert.ok(heartbeat)
+    assert.strictEqual(heartbeat.attributes['aequor.backend_pid'], 4242)
+
+    await c._reap()
+    const [reap] = byName('aequor.reap')
+    assert.ok(reap)
+    assert.strictEqual(reap.attributes['aequor.reaper.urgent'], false)
+    assert.strictEqual(typeof reap.attributes['aequor.reaper.locked'], 'boolean')
+    await c.end()
+  })
+
+  test('captureQueryText: false leaves the statement out', async () => {
+    const c = makeClient(makeFakePgLibrary(), { openTelemetry: { tracerProvider: provider, captureQueryText: false } })
+    await c.query({ text: 'DELETE FROM sessions WHERE id = $1', values: [1] }, { idempotent: true })
+    const [del] = byName('DELETE')
+    assert.strictEqual(del.attributes['db.operation.name'], 'DELETE')
+    assert.strictEqual(del.attributes['db.query.text'], undefined)
+    await c.end()
+  })
+
+  test('off by default', async () => {
+    const c = makeClient(makeFakePgLibrary(), { openTelemetry: undefined })
+    assert.strictEqual(c._otel, null)
+    await c.query('SELECT 1')
+    assert.strictEqual(exporter.getFinishedSpans().length, 0)
+    await c.end()
+  })
+
+  test('operation names', () => {
+    assert.strictEqual(Instrumentation.operationName('  select 1'), 'SELECT')
+    assert.strictEqual(Instrumentation.operationName('/* app */ -- note\n(WITH x AS (SELECT 1) SELECT * FROM x)'), 'WITH')
+    assert.strictEqual(Instrumentation.operationName(''), null)
+  })
+})
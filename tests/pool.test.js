@@ -0,0 +1,209 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const AequorPool = require('../lib/pool')
+
+class FakePgClient {
+  constructor(cfg) {
+    this.cfg = cfg
+    this.handlers = {}
+    this.connected = false
+    this.ended = false
+    this.queries = []
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  emit(ev, arg) {
+    for (const fn of this.handlers[ev] || []) fn(arg)
+  }
+  async connect() {
+    this.connected = true
+  }
+  async end() {
+    this.ended = true
+    this.connected = false
+  }
+  async query(sql, params) {
+    this.queries.push({ sql: String(sql), params })
+    // Capability preflight: a role the reaper can work with.
+    if (String(sql).includes('server_version_num')) {
+      return { rows: [{ server_version_num: 160002, track_activities: 'on', role: 'u', superuser: true, hidden_sessions: 0 }] }
+    }
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary() {
+  const instances = []
+  class Client {
+    constructor(cfg) {
+      const c = new FakePgClient(cfg)
+      instances.push(c)
+      return c
+    }
+  }
+  return { Client, instances }
+}
+
+function makePool(lib, extra = {}) {
+  return new AequorPool({
+    host: 'x',
+    user: 'u',
+    database: 'd',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    ...extra,
+  })
+}
+
+describe('AequorPool', () => {
+  test('members carry their own signed lease', async () => {
+    const lib = makeFakePgLibrary()
+    const pool = makePool(lib, { reaper: false, max: 2 })
+
+    const a = await pool.acquire()
+    const b = await pool.acquire()
+    assert.notStrictEqual(a, b)
+    assert.strictEqual(lib.instances.length, 2)
+
+    const [appA, appB] = lib.instances.map(x => x.cfg.application_name)
+    assert.notStrictEqual(appA, appB)
+    assert.ok(a._leaseManager.parseAndVerify(appA))
+    assert.ok(b._leaseManager.parseAndVerify(appB))
+
+    a.release()
+    b.release()
+    await pool.end()
+  })
+
+  test('release returns member for reuse; release(err) destroys it', async () => {
+    const lib = makeFakePgLibrary()
+    const pool = makePool(lib, { reaper: false, max: 1 })
+
+    const a = await pool.acquire()
+    const release = a.release
+    release()
+    assert.throws(() => release(), /already been released/)
+    const again = await pool.acquire()
+    assert.strictEqual(again, a)
+
+    again.release(new Error('broken'))
+    await new Promise(res => setImmediate(res))
+    assert.strictEqual(lib.instances[0].ended, true)
+    assert.strictEqual(pool.totalCount, 0)
+    await pool.end()
+  })
+
+  test('acquire waits for a release and times out when pool is exhausted', async () => {
+    const lib = makeFakePgLibrary()
+    const pool = makePool(lib, { reaper: false, max: 1, acquireTimeoutMs: 20 })
+
+    const a = await pool.acquire()
+    await assert.rejects(() => pool.acquire(), (err) => err.code === 'EACQUIRETIMEOUT')
+
+    const waiting = pool.acquire()
+    assert.strictEqual(pool.waitingCount, 1)
+    a.release()
+    assert.strictEqual(await waiting, a)
+    a.release()
+    await pool.end()
+  })
+
+  test('idle members above min are evicted', async () => {
+    const lib = makeFakePgLibrary()
+    const pool = makePool(lib, { reaper: false, min: 1, max: 3, idleTimeoutMs: 10 })
+
+    const a = await pool.acquire()
+    const b = await pool.acquire()
+    a.release()
+    b.release()
+    assert.strictEqual(pool.idleCount, 2)
+
+    await new Promise(res => setTimeout(res, 40))
+    assert.strictEqual(pool.totalCount, 1)
+    assert.strictEqual(pool.idleCount, 1)
+    await pool.end()
+  })
+
+  test('only one member runs the reaper and ownership is handed off', async () => {
+    const lib = makeFakePgLibrary()
+    const pool = makePool(lib, { max: 3 })
+
+    const members = [await pool.acquire(), await pool.acquire(), await pool.acquire()]
+    assert.strictEqual(members.filter(m => m._reaperEnabled).length, 1)
+
+    const owner = members.find(m => m._reaperEnabled)
+    owner.release(new Error('destroy owner'))
+    await new Promise(res => setImmediate(res))
+
+    const rest = members.filter(m => m !== owner)
+    assert.strictEqual(rest.filter(m => m._reaperEnabled).length, 1)
+    for (const m of rest) m.release()
+    await pool.end()
+  })
+
+  test('pools of one service in one container share a single reaper owner', async () => {
+    const lib = makeFakePgLibrary()
+    const first = makePool(lib, { min: 1, maintenanceIntervalMs: 20 })
+    const second = makePool(lib, { min: 1, maintenanceIntervalMs: 20 })
+    const other = makePool(lib, { min: 1, serviceName: 'other_svc' })
+    await first.connect()
+    await second.connect()
+    await other.connect()
+    assert.strictEqual(first._idle[0]._reaperEnabled, true)
+    assert.strictEqual(second._idle[0]._reaperEnabled, false)
+    assert.strictEqual(other._idle[0]._reaperEnabled, true)
+
+    // The owning pool goes away: the next maintenance tick of the other pool takes over.
+    await first.end()
+    await new Promise(res => setTimeout(res, 60))
+    assert.strictEqual(second._idle[0]._reaperEnabled, true)
+    await second.end()
+    await other.end()
+  })
+
+  test('idle members renew their leases', async () => {
+    const lib = makeFakePgLibrary()
+    const pool = makePool(lib, { reaper: false, min: 1, leaseTtlMs: 300, heartbeatSoftRemainingMs: 250, maintenanceIntervalMs: 20 })
+    await pool.connect()
+    const [member] = pool._idle
+    const firstExp = member._leaseExp
+
+    await new Promise(res => setTimeout(res, 120))
+    const renewals = lib.instances[0].queries.filter(q => q.sql.includes("set_config('application_name'"))
+    assert.ok(renewals.length >= 1)
+    assert.ok(member._leaseExp > firstExp)
+    assert.ok(member._leaseManager.parseAndVerify(renewals[0].params[0]))
+    await pool.end()
+  })
+
+  test('a handed-off reaper owner reaps while idle', async () => {
+    const lib = makeFakePgLibrary()
+    const reaps = []
+    const pool = makePool(lib, {
+      host: 'reaper-host',
+      max: 2,
+      maintenanceIntervalMs: 20,
+      reaperRunProbability: 1,
+      reaperAdaptive: false,
+      hooks: { onReap: (p) => reaps.push(p) },
+    })
+    const a = await pool.acquire()
+    const b = await pool.acquire()
+    const owner = a._reaperEnabled ? a : b
+    const next = owner === a ? b : a
+    const conn = next._client
+    next.release()
+    owner.release(new Error('destroy owner'))
+    await new Promise(res => setImmediate(res))
+    assert.strictEqual(next._reaperEnabled, true)
+
+    const before = reaps.length
+    await new Promise(res => setTimeout(res, 80))
+    assert.ok(reaps.length > before)
+    assert.ok(conn.queries.some(q => q.sql.includes('pg_try_advisory_lock')))
+    await pool.end()
+  })
+})
@@ -26,9 +26,9 @@ describe('Reaper', () => {
           const active = leaseManager.generateAppName(Date.now() + 5000)
           return {
             rows: [
-              { pid: 100, application_name: expired1, idle_time: 20 },
-              { pid: 150, application_name: expired2, idle_time: 25 },
-              { pid: 200, application_name: active, idle_time: 20 }
+              { pid: 100, state: 'idle', application_name: expired1, idle_time: 20 },
+              { pid: 150, state: 'idle', application_name: expired2, idle_time: 25 },
+              { pid: 200, state: 'idle', application_name: active, idle_time: 20 }
             ]
           }
         }
@@ -86,5 +86,248 @@ describe('Reaper', () => {
     const unlockCall = calls.find(c => c.text.includes('pg_advisory_unlock'))
     assert.strictEqual(Boolean(unlockCall), false)
   })
-})
 
+  test('reaps configured states with per-state thresholds and cancel-first', async () => {
+    const queries = []
+    const expired = () => leaseManager.generateAppName(Date.now() - 5000)
+    const mockClient = {
+      query: async (text, params) => {
+        queries.push({ text, params })
+        if (text.includes('pg_try_advisory_lock')) return { rows: [{ locked: true }] }
+        if (text.includes('pg_cancel_backend') || text.includes('pg_terminate_backend')) return { rows: [] }
+        if (text.includes('pg_stat_activity')) {
+          return {
+            rows: [
+              { pid: 1, state: 'idle', application_name: expired(), idle_time: 200 },
+              { pid: 2, state: 'idle in transaction', application_name: expired(), idle_time: 90 },
+              { pid: 3, state: 'idle in transaction', application_name: expired(), idle_time: 400 },
+              { pid: 4, state: 'idle in transaction (aborted)', application_name: expired(), idle_time: 30 },
+              { pid: 5, state: 'idle in transaction', application_name: expired(), idle_time: 10 },
+            ]
+          }
+        }
+        return { rows: [] }
+      }
+    }
+
+    const result = await Reaper.reap(mockClient, config, leaseManager, {
+      minConnIdleTimeSec: 180,
+      maxIdleConnectionsToKill: 10,
+      reapStates: {
+        idle: 180,
+        'idle in transaction': { cancelAfterSec: 60, terminateAfterSec: 300 },
+        'idle in transaction (aborted)': 20,
+      },
+    }, logger)
+
+    const scan = queries.find(q => q.text.includes('state = ANY'))
+    assert.deepStrictEqual(scan.params[1], ['idle', 'idle in transaction', 'idle in transaction (aborted)'])
+
+    const cancel = queries.find(q => q.text.includes('pg_cancel_backend'))
+    const kill = queries.find(q => q.text.includes('pg_terminate_backend'))
+    assert.deepStrictEqual(cancel.params[0], [2])
+    assert.deepStrictEqual(kill.params[0].slice().sort(), [1, 3, 4])
+
+    assert.strictEqual(result.killed, 3)
+    assert.strictEqual(result.cancelled, 1)
+    assert.deepStrictEqual(result.killedByState, { idle: 1, 'idle in transaction': 1, 'idle in transaction (aborted)': 1 })
+    assert.deepStrictEqual(result.cancelledByState, { 'idle in transaction': 1 })
+  })
+
+  test('defaults to idle sessions only', () => {
+    assert.deepStrictEqual(Reaper.normalizeStates(undefined, 180), { idle: { cancelAfterSec: null, terminateAfterSec: 180 } })
+  })
+
+  test('inspect classifies every backend', async () => {
+    const foreignLease = new LeaseManager('mysvc', 'inst-9', 'another-secret-123456')
+    const siblingLease = new LeaseManager('othersvc', 'inst-8', secret)
+    const rows = [
+      { pid: 1, state: 'active', application_name: leaseManager.generateAppName(Date.now() + 60000), idle_time: 0, is_self: true },
+      { pid: 2, state: 'idle', application_name: leaseManager.generateAppName(Date.now() + 60000), idle_time: 50, is_self: false },
+      { pid: 3, state: 'idle', application_name: leaseManager.generateAppName(Date.now() - 60000), idle_time: 50, is_self: false, client_addr: '10.0.0.1' },
+      { pid: 4, state: 'idle', application_name: leaseManager.generateAppName(Date.now() - 60000), idle_time: 5, is_self: false },
+      { pid: 5, state: 'active', application_name: leaseManager.generateAppName(Date.now() - 60000), idle_time: 50, is_self: false },
+      { pid: 6, state: 'idle', application_name: foreignLease.generateAppName(Date.now() - 60000), idle_time: 50, is_self: false },
+      { pid: 7, state: 'idle', application_name: siblingLease.generateAppName(Date.now() - 60000), idle_time: 50, is_self: false },
+      { pid: 8, state: 'idle', application_name: 'psql', idle_time: 50, is_self: false },
+    ]
+    const queries = []
+    const mockClient = {
+      query: async (text, params) => {
+        queries.push({ text, params })
+        return { rows }
+      }
+    }
+
+    const entries = await Reaper.inspect(mockClient, leaseManager, strategy)
+    assert.deepStrictEqual(entries.map(e => e.category), [
+      'self', 'own-active', 'own-expired', 'own-expired-too-fresh', 'own-expired-too-fresh',
+      'foreign-signed', 'foreign-signed', 'unsigned',
+    ])
+    const expired = entries[2]
+    assert.strictEqual(expired.clientAddr, '10.0.0.1')
+    assert.strictEqual(expired.instanceId, 'inst-1')
+    assert.ok(expired.leaseExpDeltaMs >= 60000)
+    assert.ok(entries[1].leaseExpDeltaMs < 0)
+
+    // Read-only: one scan, no filters, no locks, no signals.
+    assert.strictEqual(queries.length, 1)
+    assert.deepStrictEqual(queries[0].params, [])
+  })
+
+  test('dry run reports what it would kill without terminating', async () => {
+    const queries = []
+    const mockClient = {
+      query: async (text, params) => {
+        queries.push({ text, params })
+        if (text.includes('pg_try_advisory_lock')) return { rows: [{ locked: true }] }
+        if (text.includes('pg_stat_activity')) {
+          return { rows: [{ pid: 100, state: 'idle', application_name: leaseManager.generateAppName(Date.now() - 5000), idle_time: 20 }] }
+        }
+        return { rows: [] }
+      }
+    }
+
+    const result = await Reaper.reap(mockClient, config, leaseManager, { ...strategy, dryRun: true }, logger)
+    assert.strictEqual(result.dryRun, true)
+    assert.strictEqual(result.killed, 0)
+    assert.deepStrictEqual(result.wouldKill.map(e => e.pid), [100])
+    assert.strictEqual(queries.some(q => q.text.includes('pg_terminate_backend')), false)
+    assert.ok(queries.some(q => q.text.includes('pg_advisory_unlock')))
+  })
+
+  test('samplePressure computes utilization over non-reserved slots', async () => {
+    const mockClient = {
+      query: async () => ({ rows: [{ max_connections: 103, reserved: 3, backends: 80 }] })
+    }
+    const p = await Reaper.samplePressure(mockClient)
+    assert.deepStrictEqual(p, { maxConnections: 103, reserved: 3, backends: 80, utilization: 0.8 })
+    assert.strictEqual(await Reaper.samplePressure({ query: async () => ({ rows: [] }) }), null)
+  })
+
+  test('scaleForPressure is relaxed at 20% and aggressive from 80%', () => {
+    const base = { probability: 0.1, maxKill: 10 }
+    assert.deepStrictEqual(Reaper.scaleForPressure(0.05, base), { probability: 0.1, maxKill: 10, cooldownFactor: 1 })
+    assert.deepStrictEqual(Reaper.scaleForPressure(0.2, base), { probability: 0.1, maxKill: 10, cooldownFactor: 1 })
+    assert.deepStrictEqual(Reaper.scaleForPressure(0.8, base), { probability: 1, maxKill: 30, cooldownFactor: 0.25 })
+    assert.deepStrictEqual(Reaper.scaleForPressure(1.2, base), { probability: 1, maxKill: 30, cooldownFactor: 0.25 })
+    const mid = Reaper.scaleForPressure(0.5, base)
+    assert.ok(Math.abs(mid.probability - 0.55) < 1e-9)
+    assert.strictEqual(mid.maxKill, 20)
+    assert.ok(Math.abs(mid.cooldownFactor - 0.625) < 1e-9)
+  })
+
+  test('judges expiry by the database clock from the scan', () => {
+    const states = Reaper.normalizeStates(undefined, 10)
+    const exp = Date.now() - 5000 // expired by the local clock...
+    const row = { pid: 100, state: 'idle', application_name: leaseManager.generateAppName(exp), idle_time: 60, db_now_ms: exp - 30000 }
+    // ...but the database clock is 35s behind: still live.
+    assert.strictEqual(Reaper.classify(row, leaseManager, states).category, 'own-active')
+    assert.strictEqual(Reaper.classify({ ...row, db_now_ms: exp + 1 }, leaseManager, states).category, 'own-expired')
+    assert.strictEqual(Reaper.classify({ ...row, db_now_ms: undefined }, leaseManager, states).category, 'own-expired')
+  })
+
+  test('trust group: locks each sibling and reaps only the services it locked', async () => {
+    const siblings = ['billing', 'orders']
+    const lms = Object.fromEntries(siblings.map(svc => [svc, new LeaseManager(svc, 'inst-9', secret)]))
+    const outsider = new LeaseManager('payroll', 'inst-9', secret)
+    const queries = []
+    const mockClient = {
+      query: async (text, params) => {
+        queries.push({ text, params })
+        // Another leader already holds 'orders'.
+        if (text.includes('pg_try_advisory_lock')) return { rows: [{ locked: params[1] !== 'orders' }] }
+        if (text.includes('pg_stat_activity') && !text.includes('pg_terminate_backend')) {
+          const expired = Date.now() - 5000
+          return {
+            rows: [
+              { pid: 1, state: 'idle', application_name: lms.billing.generateAppName(expired), idle_time: 60 },
+              { pid: 2, state: 'idle', application_name: lms.orders.generateAppName(expired), idle_time: 60 },
+              { pid: 3, state: 'idle', application_name: outsider.generateAppName(expired), idle_time: 60 },
+              { pid: 4, state: 'idle', application_name: leaseManager.generateAppName(expired), idle_time: 60 },
+            ]
+          }
+        }
+        return { rows: [] }
+      }
+    }
+
+    const result = await Reaper.reap(mockClient, config, leaseManager, { ...strategy, maxIdleConnectionsToKill: 10, reapServices: siblings }, logger)
+
+    const locks = queries.filter(q => q.text.includes('pg_try_advisory_lock')).map(q => q.params[1])
+    assert.deepStrictEqual(locks, ['billing', 'mysvc', 'orders'])
+    assert.deepStrictEqual(result.services, ['billing', 'mysvc'])
+    const scan = queries.find(q => q.text.includes('LIKE ANY'))
+    assert.deepStrictEqual(scan.params[0], ['s=billing;%', 's=mysvc;%'])
+    const kill = queries.find(q => q.text.includes('pg_terminate_backend'))
+    assert.deepStrictEqual(kill.params[0].slice().sort(), [1, 4])
+    const unlocks = queries.filter(q => q.text.includes('pg_advisory_unlock')).map(q => q.params[1])
+    assert.deepStrictEqual(unlocks, ['billing', 'mysvc'])
+  })
+
+  test('groupServices normalizes siblings like their own clients do', () => {
+    const long = 'x'.repeat(80)
+    const group = Reaper.groupServices(leaseManager, [long, 'mysvc'])
+    assert.deepStrictEqual(group, [new LeaseManager(long, 'inst-1', secret).serviceName, 'mysvc'].sort())
+  })
+
+  test('reports per-pid signal results and writes the audit table in the same pass', async () => {
+    const queries = []
+    const expired = Date.now() - 5000
+    const mockClient = {
+      query: async (text, params) => {
+        queries.push({ text, params })
+        if (text.includes('pg_try_advisory_lock')) return { rows: [{ locked: true }] }
+        if (text.includes('pg_terminate_backend')) return { rows: [{ pid: 100, signalled: true }] } // 150 already gone
+        if (text.includes('pg_stat_activity')) {
+          return {
+            rows: [
+              { pid: 100, state: 'idle', application_name: leaseManager.generateAppName(expired), idle_time: 20, usename: 'app', client_addr: '10.0.0.7', backend_start: '2026-01-01T00:00:00.000Z' },
+              { pid: 150, state: 'idle', application_name: leaseManager.generateAppName(expired - 1000), idle_time: 25 },
+            ]
+          }
+        }
+        return { rows: [] }
+      }
+    }
+
+    const result = await Reaper.reap(mockClient, config, leaseManager, { ...strategy, maxIdleConnectionsToKill: 5, auditTable: 'ops.reap_audit' }, logger)
+
+    const byPid = Object.fromEntries(result.audit.map(r => [r.pid, r]))
+    assert.strictEqual(byPid[100].result, true)
+    assert.strictEqual(byPid[150].result, null)
+    assert.strictEqual(byPid[100].action, 'terminate')
+    assert.strictEqual(byPid[100].service, 'mysvc')
+    assert.strictEqual(byPid[100].instanceId, 'inst-1')
+    assert.strictEqual(byPid[100].clientAddr, '10.0.0.7')
+    assert.strictEqual(byPid[100].usename, 'app')
+    assert.ok(Number.isInteger(byPid[100].leaseExpDeltaMs) && byPid[100].leaseExpDeltaMs >= 5000)
+
+    const insert = queries.find(q => q.text.includes('INSERT INTO ops.reap_audit'))
+    assert.ok(insert)
+    assert.deepStrictEqual(insert.params.slice(0, 2), ['mysvc', 'inst-1'])
+    assert.deepStrictEqual(JSON.parse(insert.params[2]).map(r => r.pid).sort(), [100, 150])
+    // Inserted while the lock is still held.
+    const unlockAt = queries.findIndex(q => q.text.includes('pg_advisory_unlock'))
+    assert.ok(queries.indexOf(insert) < unlockAt)
+    assert.strictEqual(result.auditError, null)
+  })
+
+  test('a failed audit insert does not fail the pass', async () => {
+    const mockClient = {
+      query: async (text) => {
+        if (text.includes('pg_try_advisory_lock')) return { rows: [{ locked: true }] }
+        if (text.includes('INSERT INTO')) throw new Error('relation does not exist')
+        if (text.includes('pg_stat_activity') && !text.includes('pg_terminate_backend')) {
+          return { rows: [{ pid: 100, state: 'idle', application_name: leaseManager.generateAppName(Date.now() - 5000), idle_time: 20 }] }
+        }
+        return { rows: [] }
+      }
+    }
+    const result = await Reaper.reap(mockClient, config, leaseManager, { ...strategy, auditTable: 'reap_audit', reaperErrorMode: 'throw' }, logger)
+    assert.strictEqual(result.locked, true)
+    assert.strictEqual(result.killed, 1)
+    assert.match(result.auditError.message, /does not exist/)
+    assert.throws(() => Reaper.qualifiedTableName('x; DROP TABLE y'), /schema\.table/)
+  })
+})
@@ -0,0 +1,218 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+
+const AequorClient = require('../lib/client')
+
+class FakePgClient {
+  constructor(shared, config) {
+    this.shared = shared
+    this.config = config
+    this.handlers = {}
+  }
+  on(ev, fn) {
+    this.handlers[ev] = this.handlers[ev] || []
+    this.handlers[ev].push(fn)
+  }
+  async connect() {
+    if (this.shared.down.has(this.config.host)) {
+      const err = new Error(`connect ECONNREFUSED ${this.config.host}`)
+      err.code = 'ECONNREFUSED'
+      throw err
+    }
+  }
+  async end() {
+    this.shared.ended.push(this.config.host)
+  }
+  async query(sql, params) {
+    const s = typeof sql === 'string' ? sql : sql.text
+    if (s.startsWith('q:')) {
+      this.shared.log.push({ host: this.config.host, sql: s, params, appName: this.config.application_name })
+      if (s === 'q:bad') {
+        const err = new Error('relation "nope" does not exist')
+        err.code = '42P01'
+        throw err
+      }
+    }
+    return { rows: [] }
+  }
+}
+
+function makeFakePgLibrary() {
+  const shared = { log: [], down: new Set(), ended: [] }
+  class Client {
+    constructor(config) {
+      return new FakePgClient(shared, config)
+    }
+  }
+  return { Client, shared }
+}
+
+function makeClient(lib, extra = {}) {
+  return new AequorClient({
+    host: 'primary',
+    user: 'u',
+    database: 'd',
+    serviceName: 'svc',
+    coordinationSecret: 'coord-secret-123456',
+    library: lib,
+    reaper: false,
+    clockSync: false,
+    minBackoff: 1,
+    maxBackoff: 2,
+    replicas: [{ host: 'replica-a' }, { host: 'replica-b' }],
+    ...extra,
+  })
+}
+
+describe('Read replica routing', () => {
+  test('readOnly queries rotate across replicas; other queries stay on the primary', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+
+    await c.query('q:read1', [1], { readOnly: true })
+    await c.read.query('q:read2')
+    await c.read.query({ text: 'q:read3' })
+    await c.query('q:write', [2])
+
+    assert.deepStrictEqual(lib.shared.log.map(q => [q.host, q.sql]), [
+      ['replica-a', 'q:read1'],
+      ['replica-b', 'q:read2'],
+      ['replica-a', 'q:read3'],
+      ['primary', 'q:write'],
+    ])
+    assert.deepStrictEqual(lib.shared.log[0].params, [1])
+    await c.end()
+  })
+
+  test('each endpoint carries its own lease', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    await c.read.query('q:a')
+    await c.read.query('q:b')
+    await c.query('q:c')
+
+    const instances = lib.shared.log.map(q => /;i=([^;]+);/.exec(q.appName)[1])
+    assert.strictEqual(new Set(instances).size, 3)
+    assert.ok(lib.shared.log.every(q => q.appName.startsWith('s=svc;')))
+    await c.end()
+  })
+
+  test('first and custom policies', async () => {
+    const lib = makeFakePgLibrary()
+    const first = makeClient(lib, { replicaPolicy: 'first' })
+    await first.read.query('q:1')
+    await first.read.query('q:2')
+    assert.deepStrictEqual(lib.shared.log.map(q => q.host), ['replica-a', 'replica-a'])
+    await first.end()
+
+    const seen = []
+    const lib2 = makeFakePgLibrary()
+    const custom = makeClient(lib2, {
+      replicaPolicy: (endpoints) => { seen.push(endpoints); return 1 },
+    })
+    await custom.read.query('q:3')
+    assert.strictEqual(lib2.shared.log[0].host, 'replica-b')
+    assert.deepStrictEqual(seen[0], [{ index: 0, host: 'replica-a', port: undefined }, { index: 1, host: 'replica-b', port: undefined }])
+    await custom.end()
+
+    assert.throws(() => makeClient(makeFakePgLibrary(), { replicaPolicy: 'nearest' }), /Invalid replicaPolicy/)
+  })
+
+  test('a failing replica is marked down and the next one serves the read', async () => {
+    const lib = makeFakePgLibrary()
+    const down = []
+    const c = makeClient(lib, { replicaPolicy: 'first', hooks: { onReplicaDown: (p) => down.push(p) } })
+    lib.shared.down.add('replica-a')
+
+    await c.read.query('q:1')
+    await c.read.query('q:2')
+    assert.deepStrictEqual(lib.shared.log.map(q => q.host), ['replica-b', 'replica-b'])
+    assert.strictEqual(down.length, 1)
+    assert.strictEqual(down[0].host, 'replica-a')
+    assert.strictEqual(down[0].err.code, 'ECONNREFUSED')
+
+    // Back after the cooldown.
+    lib.shared.down.delete('replica-a')
+    c._replicas.endpoints[0].downUntil = 0
+    await c.read.query('q:3')
+    assert.strictEqual(lib.shared.log[2].host, 'replica-a')
+    await c.end()
+  })
+
+  test('falls back to the primary when every replica is down', async () => {
+    const lib = makeFakePgLibrary()
+    const fallbacks = []
+    const c = makeClient(lib, { hooks: { onReplicaFallback: (p) => fallbacks.push(p) } })
+    lib.shared.down.add('replica-a')
+    lib.shared.down.add('replica-b')
+
+    await c.read.query('q:1')
+    assert.deepStrictEqual(lib.shared.log.map(q => q.host), ['primary'])
+    assert.strictEqual(fallbacks.length, 1)
+    assert.strictEqual(fallbacks[0].err.code, 'ECONNREFUSED')
+
+    // Both still cooling down: straight to the primary.
+    await c.read.query('q:2')
+    assert.deepStrictEqual(lib.shared.log.map(q => q.host), ['primary', 'primary'])
+    assert.strictEqual(fallbacks.length, 2)
+    assert.strictEqual(fallbacks[1].err, null)
+    await c.end()
+  })
+
+  test('replicaFallback: false surfaces the replica error', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib, { replicaFallback: false })
+    lib.shared.down.add('replica-a')
+    lib.shared.down.add('replica-b')
+    await assert.rejects(c.read.query('q:1'), { code: 'ECONNREFUSED' })
+    await assert.rejects(c.read.query('q:2'), /No healthy read replica/)
+    assert.strictEqual(lib.shared.log.length, 0)
+    await c.end()
+  })
+
+  test('statement errors are not failed over', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib, { replicaPolicy: 'first' })
+    await assert.rejects(c.read.query('q:bad'), { code: '42P01' })
+    assert.deepStrictEqual(lib.shared.log.map(q => q.host), ['replica-a'])
+    assert.strictEqual(c._replicas.endpoints[0].downUntil, 0)
+    await c.end()
+  })
+
+  test('readOnly without replicas runs on the primary as idempotent', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib, { replicas: undefined })
+    await c.read.query('q:1')
+    assert.deepStrictEqual(lib.shared.log.map(q => q.host), ['primary'])
+    await c.end()
+  })
+
+  test("replicas reap on their own server with the primary's reaperConnection credentials", async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib, {
+      reaperConnection: { host: 'primary-admin', port: 6432, user: 'reaper', password: 'reaper-pw' },
+      replicas: [{ host: 'replica-a', port: 5433 }, { host: 'replica-b', reaperConnection: { host: 'replica-b-admin', user: 'r2' } }],
+    })
+    const target = (client) => client._withReaperConnection(side => side.config)
+
+    const primary = await target(c)
+    assert.deepStrictEqual([primary.host, primary.port, primary.user], ['primary-admin', 6432, 'reaper'])
+    const [a, b] = c._replicas.endpoints.map(e => e.client)
+    const onA = await target(a)
+    assert.deepStrictEqual([onA.host, onA.port, onA.user, onA.password], ['replica-a', 5433, 'reaper', 'reaper-pw'])
+    // A replica's own reaperConnection wins.
+    const onB = await target(b)
+    assert.deepStrictEqual([onB.host, onB.user], ['replica-b-admin', 'r2'])
+    await c.end()
+  })
+
+  test('end() closes every replica client', async () => {
+    const lib = makeFakePgLibrary()
+    const c = makeClient(lib)
+    await c.query('q:w')
+    await c.read.query('q:a')
+    await c.read.query('q:b')
+    await c.end()
+    assert.deepStrictEqual([...lib.shared.ended].sort(), ['primary', 'replica-a', 'replica-b'])
+  })
+})
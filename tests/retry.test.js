@@ -9,6 +9,11 @@ describe('RetryStrategy', () => {
     assert.strictEqual(RetryStrategy.isRetryable({ code: '08003' }), true)
   })
 
+  test('should retry after server-side idle cut-offs', () => {
+    assert.strictEqual(RetryStrategy.isRetryable({ code: '57P05' }), true) // idle_session_timeout
+    assert.strictEqual(RetryStrategy.isRetryable({ code: '25P03' }), true) // idle_in_transaction_session_timeout
+  })
+
   test('should identify node socket errors as retryable', () => {
     assert.strictEqual(RetryStrategy.isRetryable({ code: 'ECONNRESET' }), true)
     assert.strictEqual(RetryStrategy.isRetryable({ code: 'EPIPE' }), true)
@@ -0,0 +1,110 @@
+const { test, describe } = require('node:test')
+const assert = require('node:assert')
+const crypto = require('crypto')
+
+const ServerReaper = require('../lib/server-reaper')
+const LeaseManager = require('../lib/lease')
+const Reaper = require('../lib/reaper')
+
+// JS model of aequor_sign(): encode(substring(hmac(...) FROM 1 FOR 8), 'base64'), rtrim '=', translate '+/' -> '-_'.
+function sqlModelSign(base, secret) {
+  const mac = crypto.createHmac('sha256', Buffer.from(secret, 'utf8')).update(Buffer.from(base, 'utf8')).digest()
+  return mac.subarray(0, 8).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+}
+
+describe('ServerReaper', () => {
+  test('the SQL signature pipeline matches LeaseManager byte for byte', () => {
+    for (let n = 0; n < 200; n++) {
+      const secret = crypto.randomBytes(24).toString('base64') + 'é'
+      const lm = new LeaseManager('svc', crypto.randomBytes(6).toString('base64url'), secret)
+      const parsed = LeaseManager.parse(lm.generateAppName(Date.now() + n))
+      assert.strictEqual(sqlModelSign(parsed.base, secret), parsed.sig)
+    }
+  })
+
+  test('installSql uses the JS reaper lock and lease format', () => {
+    const sql = ServerReaper.installSql({ schema: 'ops' })
+    assert.match(sql, /CREATE EXTENSION IF NOT EXISTS pgcrypto/)
+    assert.match(sql, /CREATE TABLE IF NOT EXISTS ops\.aequor_secrets/)
+    assert.ok(sql.includes(`pg_try_advisory_xact_lock(${Reaper.LOCK_NS}, hashtext(p_service))`))
+    assert.ok(sql.includes("translate(\n    rtrim(encode(substring(public.hmac("))
+    assert.ok(sql.includes("'+/', '-_'"))
+    assert.match(sql, /CREATE OR REPLACE FUNCTION ops\.aequor_reap\(/)
+    assert.throws(() => ServerReaper.installSql({ schema: 'ops; DROP TABLE x' }), /lowercase SQL identifier/)
+  })
+
+  test('installSql pins search_path and qualifies pgcrypto', () => {
+    const sql = ServerReaper.installSql({ schema: 'ops', pgcryptoSchema: 'extensions' })
+    assert.match(sql, /CREATE EXTENSION IF NOT EXISTS pgcrypto SCHEMA extensions;/)
+    assert.ok(sql.includes('substring(extensions.hmac('))
+    const paths = sql.match(/SET search_path = .*/g)
+    assert.deepStrictEqual(paths, ['SET search_path = pg_catalog, extensions, pg_temp', 'SET search_path = pg_catalog, pg_temp'])
+    assert.ok(!/\bpublic\b/.test(sql))
+  })
+
+  test('cronScheduleSql normalizes the service and quotes arguments', () => {
+    const sql = ServerReaper.cronScheduleSql({
+      serviceName: 'orders',
+      secretRef: "it's",
+      schedule: '*/5 * * * *',
+      states: { idle: 120, 'idle in transaction': 300 },
+      maxIdleConnectionsToKill: 5,
+    })
+    assert.strictEqual(
+      sql,
+      "SELECT cron.schedule('aequor-reap-orders', '*/5 * * * *', $aequor$SELECT * FROM public.aequor_reap(" +
+        "'orders', 'it''s', '{\"idle\":120,\"idle in transaction\":300}'::jsonb, 5, false)$aequor$);"
+    )
+
+    const long = 'a'.repeat(80)
+    const lm = new LeaseManager(long, 'AbCdEfGh', 'coord-secret-123456')
+    assert.ok(ServerReaper.cronScheduleSql({ serviceName: long }).includes(`aequor_reap('${lm.serviceName}'`))
+    assert.throws(() => ServerReaper.cronScheduleSql({}), /serviceName/)
+  })
+
+  test('cronScheduleSql accepts reaperStates in object form', () => {
+    const states = {
+      idle: 120,
+      'idle in transaction': { cancelAfterSec: 60, terminateAfterSec: 300 },
+      'idle in transaction (aborted)': {},
+      active: false,
+    }
+    const sql = ServerReaper.cronScheduleSql({ serviceName: 'orders', states, minConnectionIdleTimeSec: 200 })
+    const json = JSON.parse(sql.match(/, '(\{.*?\})'::jsonb,/)[1])
+    assert.deepStrictEqual(json, { idle: 120, 'idle in transaction': 300, 'idle in transaction (aborted)': 200 })
+    // aequor_reap() reads each threshold as (p_states ->> state)::float8.
+    assert.ok(ServerReaper.installSql().includes('(p_states ->> c.c_state)::float8'))
+
+    const normalized = Reaper.normalizeStates(states, 200)
+    for (const [state, rule] of Object.entries(normalized)) assert.strictEqual(json[state], rule.terminateAfterSec)
+
+    assert.throws(
+      () => ServerReaper.cronScheduleSql({ serviceName: 'orders', states: { idle: { terminateAfterSec: 'soon' } } }),
+      /states\["idle"\] needs a non-negative terminateAfterSec/
+    )
+  })
+
+  test('storeSecrets mirrors a keyring with parameters only', async () => {
+    const queries = []
+    const client = { query: async (text, params) => { queries.push({ text, params }); return { rows: [] } } }
+    await ServerReaper.storeSecrets(client, 'orders', { current: 'k2', keys: { k1: 'old-secret-1234567890', k2: 'new-secret-1234567890' } })
+
+    assert.strictEqual(queries[0].text, 'BEGIN')
+    assert.deepStrictEqual(queries[1].params, ['orders', 'k1', 'old-secret-1234567890'])
+    assert.deepStrictEqual(queries[2].params, ['orders', 'k2', 'new-secret-1234567890'])
+    assert.deepStrictEqual(queries[3].params, ['orders', ['k1', 'k2']])
+    assert.strictEqual(queries[4].text, 'COMMIT')
+    assert.ok(queries.every(q => !q.text.includes('secret-1234567890')))
+  })
+
+  test('verifySignatureCompatibility compares JS and SQL signatures', async () => {
+    const good = { query: async (text, [base, secret]) => ({ rows: [{ sig: sqlModelSign(base, secret) }] }) }
+    const res = await ServerReaper.verifySignatureCompatibility(good)
+    assert.strictEqual(res.ok, true)
+    assert.strictEqual(res.samples.length, 3)
+    assert.ok(res.samples[1].base.endsWith(';k=k2'))
+
+    const bad = { query: async () => ({ rows: [{ sig: 'AAAAAAAAAAA' }] }) }
+    assert.strictEqual((await ServerReaper.verifySignatureCompatibility(bad)).ok, false)
+  })
+})
@@ -22,6 +22,8 @@ if (!dbUrl) {
 const url = new URL(dbUrl)
 
 async function runClient(id) {
+  // Logger detects 53300
+  let hitLimit = false
 const client = new AequorClient({
     user: url.username,
     password: url.password,
@@ -38,21 +40,17 @@ const client = new AequorClient({
     minBackoff: 200,
     maxBackoff: 2000,
     maxConnectRetryTimeMs: 60000,
-    debug: false 
+    logger: (msg) => {
+      const full = String(msg)
+      if (full.includes('53300') || full.includes('too many clients')) {
+          if (!hitLimit) {
+              process.stdout.write('!') // Print '!' for limit hit
+              hitLimit = true
+          }
+      }
+    },
   })
 
-  // Hook logger to detect 53300
-  let hitLimit = false
-  client._logger = (msg, ...args) => {
-    const full = String(msg) + String(args)
-    if (full.includes('53300') || full.includes('too many clients')) {
-        if (!hitLimit) {
-            process.stdout.write('!') // Print '!' for limit hit
-            hitLimit = true
-        }
-    }
-  }
-
   try {
     await client.connect()
     // Hold connection